@@ -72,6 +72,9 @@ Specialize in Three.js, WebGL, shaders, and 3D math.`,
     };
     
     this.conversationHistories = new Map();
+    this.contexts = new Map();
+    this.memories = new Map();
+    this.memoryEmbedder = null;
     this.initialized = false;
   }
 
@@ -83,6 +86,15 @@ Specialize in Three.js, WebGL, shaders, and 3D math.`,
     
     // Load conversation histories from storage
     await this._loadHistories();
+
+    // Built-in tools for the function-calling loop
+    if (window.AgentConstitution && window.AgentConstitution.tools.registry.size === 0) {
+      try {
+        await window.AgentConstitution.initialize();
+      } catch (e) {
+        console.warn('[AgentAIService] Agent Constitution failed to initialize:', e.message);
+      }
+    }
     
     this.initialized = true;
     console.log('[AgentAIService] Initialized with', Object.keys(this.agentConfigs).length, 'agents');
@@ -109,6 +121,11 @@ Specialize in Three.js, WebGL, shaders, and 3D math.`,
         if (memory?.conversations) {
           this.conversationHistories.set(agentId, memory.conversations.slice(-20));
         }
+        if (memory?.context && window.ContextManager) {
+          this.contexts.set(agentId, window.ContextManager.fromJSON(memory.context, this._contextOptions()));
+        } else if (memory?.conversations) {
+          memory.conversations.forEach(m => this.getContext(agentId)?.add(m.role, m.content));
+        }
       } catch (e) {
         console.warn(`[AgentAIService] Failed to load history for ${agentId}`);
       }
@@ -122,6 +139,7 @@ Specialize in Three.js, WebGL, shaders, and 3D math.`,
       const history = this.conversationHistories.get(agentId) || [];
       const memory = await window.PuterService.loadAgentMemory(agentId);
       memory.conversations = history.slice(-20);
+      memory.context = this.contexts.get(agentId)?.toJSON() || null;
       memory.lastActive = new Date().toISOString();
       await window.PuterService.saveAgentMemory(agentId, memory);
     } catch (e) {
@@ -130,46 +148,163 @@ Specialize in Three.js, WebGL, shaders, and 3D math.`,
   }
 
   /**
-   * Send a message to an agent and get a response
+   * The context window comes from the model at build time (see _contextWindow)
+   */
+  _contextOptions() {
+    return {
+      summarize: async (turns, previous) => {
+        if (!window.PuterService?.isOnline()) throw new Error('Summarizer offline');
+        const transcript = turns.map(t => `${t.role}: ${t.content}`).join('\n');
+        return window.PuterService.chat(
+          `${previous ? `Current summary:\n${previous}\n\n` : ''}New turns:\n${transcript}\n\nUpdate the summary. Keep every instruction, decision and open question.`,
+          { model: 'gpt-4o-mini' }
+        );
+      }
+    };
+  }
+
+  /**
+   * Context manager holding an agent's conversation within its model window
+   */
+  getContext(agentId) {
+    if (!this.contexts.has(agentId)) {
+      if (typeof window === 'undefined' || !window.ContextManager) return null;
+      this.contexts.set(agentId, new window.ContextManager(this._contextOptions()));
+    }
+    return this.contexts.get(agentId);
+  }
+
+  /**
+   * Long-term semantic memory of an agent, loaded from storage on first use
+   */
+  async getMemory(agentId) {
+    if (this.memories.has(agentId)) return this.memories.get(agentId);
+    if (typeof window === 'undefined' || !window.SemanticMemory) return null;
+
+    let data = null;
+    try {
+      data = await window.PuterService?.kvGet(`agent_semantic_${agentId}`);
+    } catch (e) {
+      console.warn(`[AgentAIService] Failed to load memory for ${agentId}`);
+    }
+    if (!this.memories.has(agentId)) {
+      this.memories.set(agentId, window.SemanticMemory.fromJSON(data, { embedder: this.memoryEmbedder }));
+    }
+    return this.memories.get(agentId);
+  }
+
+  async _saveMemory(agentId) {
+    const memory = this.memories.get(agentId);
+    if (!memory || !window.PuterService) return;
+    try {
+      await window.PuterService.kvSet(`agent_semantic_${agentId}`, memory.toJSON());
+    } catch (e) {
+      console.warn(`[AgentAIService] Failed to save memory for ${agentId}`);
+    }
+  }
+
+  /**
+   * Use another embedder (e.g. SemanticMemory.createHttpEmbedder()) for new memories
+   */
+  setMemoryEmbedder(embedder) {
+    this.memoryEmbedder = typeof embedder === 'function' ? { name: 'custom', embed: embedder } : embedder;
+    this.memories.forEach(memory => {
+      memory.embedder = this.memoryEmbedder;
+    });
+  }
+
+  async remember(agentId, text, metadata = {}) {
+    const memory = await this.getMemory(agentId);
+    if (!memory) return [];
+    const stored = await memory.add(text, { agentId, ...metadata });
+    await this._saveMemory(agentId);
+    return stored;
+  }
+
+  async recall(agentId, query, options = {}) {
+    const memory = await this.getMemory(agentId);
+    return memory ? memory.search(query, options) : [];
+  }
+
+  clearMemory(agentId) {
+    this.memories.get(agentId)?.clear();
+    return this._saveMemory(agentId);
+  }
+
+  /**
+   * System prompt with the agent's memories relevant to the message appended
+   */
+  async _withMemories(agentId, systemPrompt, message, options = {}) {
+    if (options.memory === false) return systemPrompt;
+    try {
+      const memory = await this.getMemory(agentId);
+      const recalled = memory ? await memory.recall(message, { k: options.memoryK ?? 4 }) : '';
+      return recalled ? `${systemPrompt}\n\n${recalled}` : systemPrompt;
+    } catch (e) {
+      console.warn(`[AgentAIService] Memory recall failed for ${agentId}:`, e.message);
+      return systemPrompt;
+    }
+  }
+
+  _memorize(agentId, message, response, options = {}) {
+    if (options.memory === false) return;
+    this.remember(agentId, `User: ${message}\nAssistant: ${response}`, { kind: 'conversation' })
+      .catch(e => console.warn(`[AgentAIService] Failed to memorize for ${agentId}:`, e.message));
+  }
+
+  /**
+   * Send a message to an agent and get a response.
+   * options.history = false sends the message on its own and keeps it out of the conversation.
    */
   async chat(agentId, message, options = {}) {
+    if (options.tools) {
+      return this.chatWithTools(agentId, message, options);
+    }
+
     const config = this.agentConfigs[agentId] || this.agentConfigs['orchestrator'];
-    
+    const keepHistory = options.history !== false;
+
     // Get or create conversation history
     let history = this.conversationHistories.get(agentId) || [];
     
     // Add user message to history
-    history.push({ role: 'user', content: message });
+    if (keepHistory) history.push({ role: 'user', content: message });
     
-    // Build messages array
-    const messages = [
-      { role: 'system', content: config.systemPrompt },
-      ...history.slice(-10) // Keep last 10 messages for context
-    ];
+    // Build messages array: pinned system prompt with recalled memories, rolling summary and recent turns
+    const context = keepHistory ? this.getContext(agentId) : null;
+    const system = await this._withMemories(agentId, config.systemPrompt, message, options);
+    const messages = !keepHistory
+      ? [{ role: 'system', content: system }, { role: 'user', content: message }]
+      : context
+        ? await context.build({ system, query: message, pending: message, maxTokens: this._contextWindow(options.model || config.model) })
+        : [{ role: 'system', content: system }, ...history.slice(-10)];
 
     try {
       let response;
       
-      if (window.PuterService?.isOnline()) {
-        response = await window.PuterService.chat(messages, {
-          model: options.model || config.model
-        });
+      if (this._aiAvailable()) {
+        response = await this._complete(messages, options.model || config.model, agentId);
+        this._memorize(agentId, message, response, options);
       } else {
         response = `[${agentId}] Offline mode - AI unavailable. Message received: "${message.slice(0, 50)}..."`;
       }
 
-      // Add response to history
-      history.push({ role: 'assistant', content: response });
-      
-      // Trim history to last 20 messages
-      if (history.length > 20) {
-        history = history.slice(-20);
+      if (keepHistory) {
+        // Add response to history
+        history.push({ role: 'assistant', content: response });
+        context?.add('user', message);
+        context?.add('assistant', response);
+        
+        // Trim history to last 20 messages
+        if (history.length > 20) {
+          history = history.slice(-20);
+        }
+        
+        this.conversationHistories.set(agentId, history);
+        
+        // Save to persistent storage
+        this._saveHistory(agentId);
       }
-      
-      this.conversationHistories.set(agentId, history);
-      
-      // Save to persistent storage
-      this._saveHistory(agentId);
 
       return {
         agentId,
@@ -188,6 +323,207 @@ Specialize in Three.js, WebGL, shaders, and 3D math.`,
     }
   }
 
+  /**
+   * Tools an agent may call: the tools granted to it in AgentRegistry (optionally narrowed to
+   * the names in `only`), limited to those AgentConstitution.tools can actually invoke.
+   */
+  getToolSpecs(agentId, only = null) {
+    const constitution = typeof window !== 'undefined' ? window.AgentConstitution : null;
+    if (!constitution?.tools) return [];
+
+    const granted = window.AgentRegistry?.getAgent?.(agentId)?.tools || [];
+    const names = Array.isArray(only) ? granted.filter(name => only.includes(name)) : granted;
+    const specs = new Map();
+
+    names.forEach(name => {
+      const registered = constitution.tools.registry.get(name);
+      if (!registered || specs.has(name)) return;
+      const tool = window.AgentRegistry.getTool?.(name);
+      specs.set(name, {
+        name,
+        description: tool?.description || registered.description || '',
+        parameters: registered.parameters || { type: 'object' }
+      });
+    });
+
+    return Array.from(specs.values());
+  }
+
+  /**
+   * A tool call is a reply that is only {"tool": name, "arguments": {...}}, optionally in a
+   * single code fence. JSON inside a longer answer is part of the answer.
+   */
+  _parseToolCall(text) {
+    const source = String(text ?? '').trim();
+    const candidate = source.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/)?.[1] ?? source;
+    if (!candidate.startsWith('{')) return null;
+
+    try {
+      const call = JSON.parse(candidate);
+      if (!call || typeof call.tool !== 'string') return null;
+      return { name: call.tool, arguments: call.arguments ?? {} };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _validateToolArguments(spec, args) {
+    if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+      return [{ path: '$', message: 'arguments must be an object' }];
+    }
+    const validate = typeof window !== 'undefined' ? window.PuterAIService?.validateSchema : null;
+    return validate ? validate(args, spec.parameters) : [];
+  }
+
+  _contextWindow(model) {
+    return window.puterAI?.getContextWindow?.(model) || undefined;
+  }
+
+  _aiAvailable() {
+    return !!(window.puterAI?.complete || window.PuterService?.isOnline());
+  }
+
+  /**
+   * One completion for an agent. Goes through PuterAIService when loaded so the agent's
+   * budget applies and its usage is recorded; PuterService is the fallback.
+   */
+  async _complete(messages, model, agentId = null) {
+    const puterAI = window.puterAI;
+    if (puterAI?.complete) {
+      const result = await puterAI.complete(messages, { model, agentId });
+      if (!result.success) throw new Error(result.error);
+      return result.content;
+    }
+    if (!window.PuterService?.isOnline()) {
+      throw new Error('AI unavailable offline');
+    }
+    return window.PuterService.chat(messages, { model });
+  }
+
+  /**
+   * Function-calling loop. The agent's tools are described in the system prompt; each reply
+   * is either a tool call ({"tool": name, "arguments": {...}}), which is validated, run through
+   * AgentConstitution.tools.invoke and fed back, or the final answer. Stops after options.maxSteps
+   * tool calls (default 5) by asking for an answer without further tools.
+   * options.tools: true for all tools granted to the agent in AgentRegistry, or an array
+   * naming a subset of them.
+   */
+  async chatWithTools(agentId, message, options = {}) {
+    const config = this.agentConfigs[agentId] || this.agentConfigs['orchestrator'];
+    const model = options.model || config.model;
+    const maxSteps = options.maxSteps ?? 5;
+    const specs = this.getToolSpecs(agentId, Array.isArray(options.tools) ? options.tools : null);
+
+    if (specs.length === 0) {
+      return this.chat(agentId, message, { ...options, tools: null });
+    }
+
+    const systemPrompt = await this._withMemories(agentId, config.systemPrompt, message, options);
+    const toolPrompt = `${systemPrompt}
+
+You can call these tools:
+${JSON.stringify(specs, null, 2)}
+
+To call a tool, reply with only a JSON object: {"tool": "<name>", "arguments": {...}}
+The arguments must match the tool's parameters schema. The result is sent back to you as TOOL_RESULT.
+When you have everything you need, reply with the final answer as plain text.`;
+
+    const context = this.getContext(agentId);
+    const history = this.conversationHistories.get(agentId) || [];
+    const messages = context
+      ? await context.build({ system: toolPrompt, query: message, pending: message, maxTokens: this._contextWindow(model) })
+      : [{ role: 'system', content: toolPrompt }, ...history.slice(-10), { role: 'user', content: message }];
+
+    const toolCalls = [];
+    let response = null;
+    let truncated = false;
+
+    try {
+      while (response === null) {
+        const reply = await this._complete(messages, model, agentId);
+        const call = this._parseToolCall(reply);
+
+        if (!call) {
+          response = reply;
+          break;
+        }
+
+        if (toolCalls.length >= maxSteps) {
+          truncated = true;
+          messages.push({ role: 'assistant', content: reply });
+          messages.push({ role: 'user', content: `Tool limit of ${maxSteps} calls reached. Give your final answer now without calling tools.` });
+          response = await this._complete(messages, model, agentId);
+          break;
+        }
+
+        const record = { step: toolCalls.length + 1, name: call.name, arguments: call.arguments };
+        const spec = specs.find(s => s.name === call.name);
+
+        if (!spec) {
+          record.error = `Unknown tool '${call.name}'. Available: ${specs.map(s => s.name).join(', ')}`;
+        } else {
+          const errors = this._validateToolArguments(spec, call.arguments);
+          const gate = typeof window !== 'undefined' ? window.ApprovalGate : null;
+          const decision = errors.length || !gate ? null : await gate.request({
+            kind: 'tool',
+            tool: call.name,
+            requiresApproval: window.AgentConstitution.tools.registry.get(call.name)?.requiresApproval,
+            agentId,
+            source: 'agent-ai-service',
+            description: `${agentId} calls ${call.name}(${JSON.stringify(call.arguments).slice(0, 200)})`
+          });
+
+          if (errors.length) {
+            record.error = `Invalid arguments: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`;
+          } else if (decision && !decision.approved) {
+            record.error = 'Denied by user';
+          } else {
+            try {
+              record.result = await window.AgentConstitution.tools.invoke(call.name, call.arguments);
+            } catch (e) {
+              record.error = e.message;
+            }
+          }
+        }
+
+        toolCalls.push(record);
+        options.onToolCall?.(record);
+
+        messages.push({ role: 'assistant', content: reply });
+        messages.push({
+          role: 'user',
+          content: `TOOL_RESULT ${call.name}: ${JSON.stringify(record.error ? { error: record.error } : { result: record.result ?? null })}`
+        });
+      }
+    } catch (e) {
+      console.error(`[AgentAIService] Tool loop error for ${agentId}:`, e);
+      return {
+        agentId,
+        response: `Error: ${e.message}`,
+        toolCalls,
+        timestamp: new Date().toISOString(),
+        error: true
+      };
+    }
+
+    history.push({ role: 'user', content: message }, { role: 'assistant', content: response });
+    this.conversationHistories.set(agentId, history.slice(-20));
+    context?.add('user', message);
+    context?.add('assistant', response);
+    this._saveHistory(agentId);
+    this._memorize(agentId, message, response, options);
+
+    return {
+      agentId,
+      response,
+      toolCalls,
+      steps: toolCalls.length,
+      truncated,
+      timestamp: new Date().toISOString(),
+      model
+    };
+  }
+
   /**
    * Execute a specific task with an agent
    */
@@ -215,14 +551,54 @@ Execute this task and provide the result.`;
   }
 
   /**
-   * Generate code with Code Agent
+   * Generate code with Code Agent. Changes to existing code (options.content, with
+   * options.path) come back as a proposeEdit proposal to review and apply hunk by hunk.
    */
-  async generateCode(description, language = 'javascript') {
+  async generateCode(description, language = 'javascript', options = {}) {
+    if (typeof options.content === 'string') {
+      return this.proposeEdit(options.path || 'file', options.content, description, options);
+    }
     return this.executeTask('code-agent', 'Generate code based on this description', {
       requirements: `${description}\n\nLanguage: ${language}\nReturn only the code, no explanations.`
     });
   }
 
+  /**
+   * Ask Code Agent for an edit to an existing file as a unified diff instead of a rewrite.
+   * Returns { path, patch, diff, stats, fromFullText, needsReview, response }; apply the whole
+   * patch or selected hunks with applyEdit. A whole-file rewrite is flagged needsReview. The prompt carries the whole file, so it is kept out of
+   * the agent's conversation history and memory.
+   */
+  async proposeEdit(path, content, instruction, options = {}) {
+    const DiffEngine = window.DiffEngine;
+    if (!DiffEngine) throw new Error('DiffEngine not loaded');
+    // The offline reply is not an edit
+    if (!this._aiAvailable()) throw new Error('AI unavailable offline');
+
+    const result = await this.chat(options.agentId || 'code-agent', DiffEngine.editPrompt(path, content, instruction), {
+      model: options.model,
+      memory: false,
+      history: false
+    });
+    if (result.error) throw new Error(result.response);
+
+    const proposal = DiffEngine.patchFromResponse(content, result.response, path);
+    if (!proposal.patch) throw new Error('Response contained no diff or code');
+    return { path, ...proposal, needsReview: proposal.fromFullText, response: result.response };
+  }
+
+  /**
+   * Apply a proposed edit. options.hunks (indices) or options.accept(hunk, index) select
+   * hunks; returns DiffEngine.applyPatch's { text, results, applied, rejected, failed }.
+   * Proposals flagged needsReview need options.confirmed.
+   */
+  applyEdit(content, proposal, options = {}) {
+    if (proposal.needsReview && !options.confirmed) {
+      throw new Error(`Edit to ${proposal.path} rewrites the whole file; review it and apply with confirmed: true`);
+    }
+    return window.DiffEngine.applyPatch(content, proposal.patch || proposal, options);
+  }
+
   /**
    * Get design suggestions from Art Agent
    */
@@ -242,9 +618,17 @@ Execute this task and provide the result.`;
   }
 
   /**
-   * Coordinate multiple agents for a complex task
+   * Coordinate multiple agents for a complex task.
+   * With options.mode ('parallel' | 'debate' | 'vote' | 'consensus') the roster in
+   * options.agents (default: code-agent, art-agent, analyst) answers through
+   * PuterAIService.orchestrate. options.judge names the agent that judges; without one,
+   * vote and debate are decided by majority.
    */
   async orchestrate(task, options = {}) {
+    if (options.mode && options.mode !== 'sequential') {
+      return this.orchestrateRoster(task, options);
+    }
+
     // First, ask orchestrator to break down the task
     const plan = await this.chat('orchestrator', 
       `Break down this task into subtasks and assign to agents: ${task}
@@ -276,11 +660,48 @@ Return as JSON: { "subtasks": [{ "agent": "...", "task": "..." }] }`
     return { plan: null, results: [plan], summary: 'Single agent response' };
   }
 
+  async orchestrateRoster(task, options = {}) {
+    const puterAI = typeof window !== 'undefined' ? window.puterAI : null;
+    if (!puterAI?.orchestrate) {
+      throw new Error('PuterAIService is required for orchestration modes');
+    }
+
+    const toAgent = (agentId) => ({
+      id: agentId,
+      name: agentId.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' '),
+      model: this.agentConfigs[agentId]?.model
+    });
+    const roster = (options.agents || ['code-agent', 'art-agent', 'analyst'])
+      .filter(agentId => this.agentConfigs[agentId])
+      .map(toAgent);
+
+    // Debate turns and ballots are one-off: they stay out of each agent's history and memory
+    return puterAI.orchestrate(task, roster, {
+      mode: options.mode,
+      rounds: options.rounds,
+      concurrency: options.concurrency,
+      ...(options.judge ? { judge: toAgent(options.judge) } : {}),
+      ask: async (agent, prompt) => {
+        const config = this.agentConfigs[agent.id] || this.agentConfigs['orchestrator'];
+        try {
+          const content = await this._complete([
+            { role: 'system', content: config.systemPrompt },
+            { role: 'user', content: prompt }
+          ], config.model, agent.id);
+          return { success: true, content };
+        } catch (e) {
+          return { success: false, error: e.message };
+        }
+      }
+    });
+  }
+
   /**
    * Clear conversation history for an agent
    */
   clearHistory(agentId) {
     this.conversationHistories.delete(agentId);
+    this.contexts.get(agentId)?.clear();
     this._saveHistory(agentId);
   }
 
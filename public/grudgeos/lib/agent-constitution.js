@@ -418,6 +418,7 @@ const AgentConstitution = {
       return Array.from(this.registry.entries()).map(([name, tool]) => ({
         name,
         description: tool.description,
+        parameters: tool.parameters || null,
         usageCount: tool.usageCount
       }));
     }
@@ -493,11 +494,21 @@ const AgentConstitution = {
     // Register built-in tools
     this.tools.register('puter_ai_chat', {
       description: 'Chat with AI using Puter',
+      parameters: {
+        type: 'object',
+        properties: { prompt: { type: 'string' }, options: { type: 'object' } },
+        required: ['prompt']
+      },
       execute: (params) => this.puterAI.chat(params.prompt, params.options)
     });
     
     this.tools.register('puter_kv_save', {
       description: 'Save data to Puter KV storage',
+      parameters: {
+        type: 'object',
+        properties: { key: { type: 'string', minLength: 1 }, value: {} },
+        required: ['key', 'value']
+      },
       execute: async (params) => {
         await puter.kv.set(params.key, JSON.stringify(params.value));
         return true;
@@ -506,6 +517,11 @@ const AgentConstitution = {
     
     this.tools.register('puter_kv_load', {
       description: 'Load data from Puter KV storage',
+      parameters: {
+        type: 'object',
+        properties: { key: { type: 'string', minLength: 1 } },
+        required: ['key']
+      },
       execute: async (params) => {
         const data = await puter.kv.get(params.key);
         return data ? JSON.parse(data) : null;
@@ -514,11 +530,39 @@ const AgentConstitution = {
     
     this.tools.register('puter_deploy', {
       description: 'Deploy static site to Puter hosting',
+      parameters: {
+        type: 'object',
+        properties: { name: { type: 'string', minLength: 1 }, path: { type: 'string', minLength: 1 } },
+        required: ['name', 'path']
+      },
       execute: async (params) => {
         return await puter.hosting.create(params.name, params.path);
       }
     });
     
+    // AgentRegistry tools that have an implementation here; the rest are shell/UI commands
+    const codeTool = (task, instruction) => ({
+      description: `${instruction} for the given code`,
+      parameters: {
+        type: 'object',
+        properties: { code: { type: 'string', minLength: 1 }, language: { type: 'string' } },
+        required: ['code']
+      },
+      execute: async (params) => {
+        const language = params.language || 'javascript';
+        const result = await this.puterAI.chat(
+          `${instruction} for this ${language} code:\n\n\`\`\`${language}\n${params.code}\n\`\`\``,
+          { task }
+        );
+        if (!result.success) throw new Error(result.error);
+        return result.content;
+      }
+    });
+
+    this.tools.register('ai-code-review', codeTool('code_generation', 'Review for bugs, security issues and style problems'));
+    this.tools.register('ai-docs-gen', codeTool('creative_writing', 'Write documentation'));
+    this.tools.register('ai-test-gen', codeTool('code_generation', 'Write unit tests'));
+    
     console.log('Agent Constitution initialized');
     return true;
   }
@@ -51,11 +51,10 @@ class AgentLearning {
   }
   
   async findSimilarPattern(input) {
-    const inputSig = this.generateSignature(input);
     const patterns = await this.loadPatterns();
     
     for (const pattern of patterns) {
-      if (this.compareSignatures(inputSig, pattern.inputSignature) > 0.7) {
+      if (this.patternSimilarity(input, pattern) > 0.7) {
         return pattern;
       }
     }
@@ -64,13 +63,12 @@ class AgentLearning {
   }
   
   async suggestFromPatterns(input) {
-    const inputSig = this.generateSignature(input);
     const patterns = await this.loadPatterns();
     
     const matches = patterns
       .map(p => ({
         pattern: p,
-        similarity: this.compareSignatures(inputSig, p.inputSignature)
+        similarity: this.patternSimilarity(input, p)
       }))
       .filter(m => m.similarity > 0.5 && m.pattern.confidence > this.confidenceThreshold)
       .sort((a, b) => (b.similarity * b.pattern.confidence) - (a.similarity * a.pattern.confidence));
@@ -384,6 +382,18 @@ class AgentLearning {
   
   // ============ UTILITIES ============
   
+  // Embedding similarity via SemanticMemory when loaded, signature overlap otherwise
+  patternSimilarity(input, pattern) {
+    const SemanticMemory = typeof window !== 'undefined' ? window.SemanticMemory : null;
+    if (SemanticMemory && pattern.inputSample) {
+      return SemanticMemory.cosine(
+        SemanticMemory.hashEmbed(input.slice(0, 500)),
+        SemanticMemory.hashEmbed(pattern.inputSample)
+      );
+    }
+    return this.compareSignatures(this.generateSignature(input), pattern.inputSignature);
+  }
+  
   generateSignature(text) {
     const words = text.toLowerCase()
       .replace(/[^\w\s]/g, ' ')
@@ -37,6 +37,7 @@ class AgentRegistry {
         languages: ['javascript', 'typescript', 'python', 'html', 'css'],
         preferredModel: 'claude-sonnet-4',
         capabilities: ['code-generation', 'refactoring', 'debugging', 'optimization', 'documentation'],
+        tools: ['ai-code-review', 'ai-docs-gen', 'ai-test-gen'],
         learningState: 'ready',
         level: 1,
         xp: 0,
@@ -88,7 +89,7 @@ class AgentRegistry {
         languages: ['lua', 'luau'],
         preferredModel: 'claude-3.5-sonnet',
         capabilities: ['roblox-dev', 'love2d', 'game-scripting', 'embedded-lua', 'coroutines'],
-        tools: ['run-lua', 'lua-lint'],
+        tools: ['run-lua', 'lua-lint', 'ai-code-review'],
         learningState: 'ready',
         level: 1,
         xp: 0,
@@ -106,7 +107,7 @@ class AgentRegistry {
         languages: ['rust', 'wasm'],
         preferredModel: 'claude-sonnet-4',
         capabilities: ['systems-programming', 'wasm-compilation', 'bevy-engine', 'memory-safety', 'concurrency'],
-        tools: ['cargo-run', 'wasm-pack'],
+        tools: ['cargo-run', 'wasm-pack', 'ai-code-review'],
         learningState: 'ready',
         level: 1,
         xp: 0,
@@ -124,7 +125,7 @@ class AgentRegistry {
         languages: ['javascript', 'glsl', 'wgsl'],
         preferredModel: 'gpt-4o',
         capabilities: ['3d-graphics', 'shader-programming', 'webgl', 'webgpu', 'scene-optimization'],
-        tools: ['threejs-viewer', 'glsl-sandbox'],
+        tools: ['threejs-viewer', 'glsl-sandbox', 'ai-code-review'],
         learningState: 'ready',
         level: 1,
         xp: 0,
@@ -142,7 +143,7 @@ class AgentRegistry {
         languages: ['javascript', 'typescript'],
         preferredModel: 'claude-3.5-sonnet',
         capabilities: ['2d-games', 'arcade-physics', 'tilemaps', 'sprite-animation', 'game-mechanics'],
-        tools: ['phaser-preview', 'tilemap-editor'],
+        tools: ['phaser-preview', 'tilemap-editor', 'ai-code-review'],
         learningState: 'ready',
         level: 1,
         xp: 0,
@@ -160,7 +161,7 @@ class AgentRegistry {
         languages: ['javascript', 'typescript'],
         preferredModel: 'claude-sonnet-4',
         capabilities: ['multiplayer-sync', 'room-management', 'state-sync', 'matchmaking', 'lobby-systems'],
-        tools: ['colyseus-monitor', 'network-debugger'],
+        tools: ['colyseus-monitor', 'network-debugger', 'ai-code-review'],
         learningState: 'ready',
         level: 1,
         xp: 0,
@@ -178,7 +179,7 @@ class AgentRegistry {
         languages: ['javascript', 'typescript'],
         preferredModel: 'claude-3.5-sonnet',
         capabilities: ['websocket', 'webrtc', 'p2p', 'signaling', 'network-protocols'],
-        tools: ['ws-monitor', 'rtc-debugger'],
+        tools: ['ws-monitor', 'rtc-debugger', 'ai-code-review'],
         learningState: 'ready',
         level: 1,
         xp: 0,
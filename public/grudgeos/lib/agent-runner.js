@@ -4,6 +4,45 @@
  */
 
 class AutonomousAgent {
+  static PLAN_SCHEMA = {
+    type: 'object',
+    required: ['goal', 'steps'],
+    properties: {
+      goal: { type: 'string' },
+      steps: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['type', 'description'],
+          properties: {
+            type: { enum: ['analyze', 'code', 'command', 'api', 'file', 'deploy'] },
+            description: { type: 'string' },
+            action: { type: ['string', 'object'] },
+            critical: { type: 'boolean' }
+          }
+        }
+      }
+    }
+  };
+
+  static CHECKPOINT_PREFIX = 'agent_run_';
+  static CHECKPOINT_OUTPUT_LIMIT = 8000;
+
+  static PLAN_FORMAT = `Return a JSON object with this structure:
+{
+  "goal": "brief description of the goal",
+  "steps": [
+    {"type": "analyze|code|command|api|file|deploy", "description": "what to do", "action": "specific action", "critical": true/false}
+  ]
+}
+
+For analyze, code and command steps "action" is a string. For the other types it is an object:
+- api: {"method": "GET", "url": "https://...", "headers": {}, "query": {}, "body": {}, "bodyType": "json", "expectStatus": 200}
+- file: {"op": "write|read|delete|mkdir|move|copy|list", "path": "relative/path", "content": "...", "fromStep": 1, "to": "relative/path"}
+  ("fromStep" uses the output of an earlier step, counted from 0, as the file content)
+- deploy: {"subdomain": "my-app", "path": "folder in the workspace", "html": "...", "fromStep": 1}`;
+
   constructor(config = {}) {
     this.id = config.id || `agent_${Date.now()}`;
     this.name = config.name || 'Autonomous Agent';
@@ -15,7 +54,18 @@ class AutonomousAgent {
     this.context = config.context || {};
     this.listeners = new Map();
     this.maxRetries = config.maxRetries || 3;
+    this.maxReplans = config.maxReplans ?? 2;
+    this.maxSteps = config.maxSteps || 25;
+    this.planHistory = [];
+    this.task = null;
+    this.run = null;
+    this.checkpointing = config.checkpoint !== false;
     this.timeout = config.timeout || 30000;
+    this.dryRun = config.dryRun || false;
+    this.workspaceId = config.workspaceId || this.id;
+    this.fileWorkspace = config.fileWorkspace || null;
+    this.restClient = config.restClient || null;
+    this.restCollectionId = null;
   }
 
   on(event, callback) {
@@ -40,40 +90,341 @@ class AutonomousAgent {
     this.status = 'running';
     this.steps = [];
     this.currentStep = 0;
+    this.planHistory = [];
+    this.task = task;
+    if (options.dryRun !== undefined) this.dryRun = options.dryRun;
     this.emit('start', { task, agent: this });
 
     try {
       this.addStep('analyze', 'Analyzing task...', 'pending');
+
+      await this.requireApproval(0, {
+        kind: 'model',
+        model: this.model,
+        description: `Run "${task}" with ${this.model}`
+      });
       
       const plan = await this.planTask(task);
+      this.recordPlan(plan, 'Initial plan');
       this.updateStep(0, 'completed', 'Task analyzed');
-      
-      for (let i = 0; i < plan.steps.length; i++) {
-        const step = plan.steps[i];
+
+      this.run = { plan, queue: [...plan.steps], completed: [], replans: 0, index: 0 };
+      await this.checkpoint();
+    } catch (error) {
+      return this.fail(error);
+    }
+
+    return this.runPlan(options);
+  }
+
+  /**
+   * Continue a run restored from a checkpoint, starting after its last completed step
+   */
+  async resumeRun(checkpoint, options = {}) {
+    this.task = checkpoint.task;
+    this.steps = checkpoint.steps || [];
+    this.context = checkpoint.context || {};
+    this.planHistory = checkpoint.planHistory || [];
+    this.run = checkpoint.run;
+    this.dryRun = checkpoint.dryRun || false;
+    this.currentStep = this.steps.length;
+    this.status = 'running';
+
+    this.steps
+      .filter(step => step.status === 'running' || step.status === 'pending')
+      .forEach(step => this.updateStep(step.id, 'error', 'Interrupted'));
+    this.emit('start', { task: this.task, agent: this, resumed: true });
+    this.addStep('plan', `Resumed at step ${this.run.index} (${this.run.queue.length} remaining)`, 'completed');
+
+    return this.runPlan(options);
+  }
+
+  async runPlan(options = {}) {
+    const maxReplans = options.maxReplans ?? this.maxReplans;
+    const maxSteps = options.maxSteps ?? this.maxSteps;
+    const run = this.run;
+
+    try {
+      while (run.queue.length > 0) {
+        await this.waitWhilePaused();
+        if (this.status === 'stopped') {
+          await this.clearCheckpoint();
+          return { success: false, stopped: true, context: this.context, revisions: this.planHistory };
+        }
+
+        const i = run.index;
+        if (i >= maxSteps) {
+          throw new Error(`Step limit of ${maxSteps} reached`);
+        }
+
+        const step = run.queue[0];
         const stepIndex = this.addStep(step.type, step.description, 'running');
+        const interrupted = run.inFlight?.index === i && !this.dryRun && this.hasSideEffects(step);
         
         try {
+          const approval = this.describeForApproval(step);
+          if (interrupted) {
+            if (typeof window === 'undefined' || !window.ApprovalGate) {
+              const error = new Error(`Step ${i} was interrupted and may already have taken effect; not re-running it without approval`);
+              error.denied = true;
+              throw error;
+            }
+            Object.assign(approval, {
+              requiresApproval: true,
+              reason: 'Interrupted by a reload and may already have taken effect',
+              description: `Re-run interrupted ${approval.description}`
+            });
+          }
+          await this.requireApproval(stepIndex, approval);
+
+          run.inFlight = { index: i, type: step.type, startedAt: Date.now() };
+          await this.checkpoint();
           const result = await this.executeStep(step);
           this.updateStep(stepIndex, 'completed', result.summary || 'Completed');
           this.context[`step_${i}_result`] = result;
+          run.completed.push({ index: i, step, summary: result.summary });
+          run.queue.shift();
         } catch (stepError) {
           this.updateStep(stepIndex, 'error', stepError.message);
+          // Not executed; the top of the loop ends the stopped run
+          if (stepError.stopped) continue;
+          this.context[`step_${i}_error`] = stepError.message;
+          run.queue.shift();
           
-          if (step.critical !== false) {
-            throw stepError;
+          if (stepError.denied || step.critical !== false) {
+            stepError.failedStep = { index: i, type: step.type, description: step.description };
+
+            const revised = !stepError.denied && run.replans < maxReplans
+              ? await this.revisePlan(this.task, run.plan, run.completed, stepError.failedStep, stepError.message)
+              : null;
+            if (!revised) throw stepError;
+
+            run.replans++;
+            run.plan = { goal: revised.goal || run.plan.goal, steps: [...run.completed.map(c => c.step), ...revised.steps] };
+            run.queue = [...revised.steps];
+            this.recordPlan(run.plan, `Step ${i} (${step.description}) failed: ${stepError.message}`, stepError.failedStep);
+            this.addStep('plan', `Revised plan (${run.replans}/${maxReplans}): ${revised.steps.length} remaining steps`, 'completed');
           }
         }
+        delete run.inFlight;
+        run.index++;
+        await this.checkpoint();
       }
 
       this.status = 'completed';
+      await this.clearCheckpoint();
       this.emit('complete', { agent: this, context: this.context });
-      return { success: true, context: this.context };
+      return {
+        success: true,
+        context: this.context,
+        revisions: this.planHistory,
+        ...(this.dryRun ? { preview: this.getFilePreview() } : {})
+      };
       
     } catch (error) {
-      this.status = 'error';
-      this.emit('error', { agent: this, error });
-      console.error('Agent execution error:', error);
-      return { success: false, error: error.message };
+      return this.fail(error);
+    }
+  }
+
+  async fail(error) {
+    this.status = 'error';
+    await this.clearCheckpoint();
+    this.emit('error', { agent: this, error });
+    console.error('Agent execution error:', error);
+    return {
+      success: false,
+      error: error.message,
+      failedStep: error.failedStep || null,
+      revisions: this.planHistory
+    };
+  }
+
+  /**
+   * Steps that must not silently run twice when a run is resumed mid-step
+   */
+  hasSideEffects(step) {
+    if (step.type === 'deploy') return true;
+    if (step.type !== 'api' && step.type !== 'file') return false;
+
+    let action = {};
+    try {
+      action = this.parseAction(step);
+    } catch (e) {
+      return true;
+    }
+    if (step.type === 'api') return !['GET', 'HEAD', 'OPTIONS'].includes((action.method || 'GET').toUpperCase());
+    return ['delete', 'move'].includes(action.op);
+  }
+
+  describeForApproval(step) {
+    let action = {};
+    try {
+      if (['api', 'file', 'deploy'].includes(step.type)) action = this.parseAction(step);
+    } catch (e) {}
+
+    return {
+      kind: 'step',
+      type: step.type,
+      op: step.type === 'file' ? (action.op || 'write') : undefined,
+      url: action.url,
+      model: step.model,
+      requiresApproval: step.requiresApproval,
+      description: `${step.type}: ${step.description}`
+    };
+  }
+
+  /**
+   * Hold the run while ApprovalGate waits for a user decision; throws when denied or when
+   * the run was stopped in the meantime
+   */
+  async requireApproval(stepIndex, action) {
+    const gate = typeof window !== 'undefined' ? window.ApprovalGate : null;
+    if (!gate) return;
+
+    const reason = gate.check(action);
+    if (!reason) return;
+
+    const previous = this.status;
+    this.status = 'paused';
+    this.updateStep(stepIndex, 'paused', `Awaiting approval: ${reason}`);
+    this.emit('approval', { agent: this, action, reason });
+    await this.checkpoint();
+
+    const decision = await gate.request({ ...action, agentId: this.id, source: 'agent-runner' });
+
+    if (this.status === 'stopped') {
+      const error = new Error(`Stopped while awaiting approval: ${action.description}`);
+      error.stopped = true;
+      throw error;
+    }
+    if (this.status === 'paused') this.status = previous;
+    if (!decision.approved) {
+      const error = new Error(`Denied: ${action.description}${decision.approval?.note ? ` (${decision.approval.note})` : ''}`);
+      error.denied = true;
+      throw error;
+    }
+    this.updateStep(stepIndex, 'running', 'Approved');
+  }
+
+  async waitWhilePaused() {
+    while (this.status === 'paused') {
+      await new Promise(r => setTimeout(r, 250));
+    }
+  }
+
+  getCheckpointKey() {
+    return `${AutonomousAgent.CHECKPOINT_PREFIX}${this.id}`;
+  }
+
+  /**
+   * Persist plan, completed step results and position so a reload can resume the run
+   */
+  async checkpoint() {
+    const service = typeof window !== 'undefined' ? window.PuterService : null;
+    if (!this.checkpointing || !service || !this.run) return false;
+
+    try {
+      return await service.kvSet(this.getCheckpointKey(), {
+        id: this.id,
+        name: this.name,
+        type: this.type,
+        model: this.model,
+        workspaceId: this.workspaceId,
+        dryRun: this.dryRun,
+        task: this.task,
+        status: this.status,
+        run: this.run,
+        steps: this.steps,
+        context: this.getCheckpointContext(),
+        planHistory: this.planHistory,
+        updatedAt: Date.now()
+      });
+    } catch (e) {
+      console.warn('[AutonomousAgent] Checkpoint failed:', e.message);
+      return false;
+    }
+  }
+
+  /**
+   * Step results reduced to their summaries; text output is kept only when small enough
+   * for a later fromStep to use it after a resume.
+   */
+  getCheckpointContext() {
+    const limit = AutonomousAgent.CHECKPOINT_OUTPUT_LIMIT;
+    return Object.fromEntries(Object.entries(this.context).map(([key, value]) => {
+      if (!value || typeof value !== 'object') return [key, value];
+      const trimmed = { type: value.type, summary: value.summary };
+      if (typeof value.content === 'string' && value.content.length <= limit) trimmed.content = value.content;
+      return [key, trimmed];
+    }));
+  }
+
+  async clearCheckpoint() {
+    const service = typeof window !== 'undefined' ? window.PuterService : null;
+    if (!this.checkpointing || !service) return;
+    try {
+      await service.kvDelete(this.getCheckpointKey());
+    } catch (e) {
+      console.warn('[AutonomousAgent] Failed to clear checkpoint:', e.message);
+    }
+  }
+
+  static fromCheckpoint(checkpoint) {
+    return new AutonomousAgent({
+      id: checkpoint.id,
+      name: checkpoint.name,
+      type: checkpoint.type,
+      model: checkpoint.model,
+      workspaceId: checkpoint.workspaceId,
+      dryRun: checkpoint.dryRun
+    });
+  }
+
+  recordPlan(plan, reason, failedStep = null) {
+    const revision = {
+      revision: this.planHistory.length,
+      reason,
+      failedStep,
+      goal: plan.goal,
+      steps: plan.steps.map(s => ({ type: s.type, description: s.description })),
+      timestamp: Date.now()
+    };
+    this.planHistory.push(revision);
+    if (revision.revision > 0) {
+      this.emit('plan:revised', { agent: this, revision });
+    }
+    return revision;
+  }
+
+  /**
+   * Ask the planner for the remaining steps after a critical step failed.
+   * Returns null when no usable revision comes back.
+   */
+  async revisePlan(task, plan, completed, failedStep, error) {
+    const done = completed.map(c => `  [${c.index}] ${c.step.type}: ${c.step.description} -> ${c.summary || 'completed'}`).join('\n');
+    const output = this.context[`step_${failedStep.index}_result`]?.content;
+    const prompt = `You are an AI task planner revising a plan after a failure.
+
+Task: ${task}
+Goal: ${plan.goal}
+
+Completed steps (index, type, description -> result):
+${done || '  none'}
+
+Failed step [${failedStep.index}] ${failedStep.type}: ${failedStep.description}
+Error: ${error}${output ? `\nOutput: ${String(typeof output === 'string' ? output : JSON.stringify(output)).slice(0, 1000)}` : ''}
+
+Return only the REMAINING steps needed to reach the goal, taking the error into account.
+${AutonomousAgent.PLAN_FORMAT}
+
+Completed steps keep their indexes; new steps are numbered from ${failedStep.index + 1}, so "fromStep" may refer to either.
+If the goal cannot be reached, return a single analyze step explaining why.`;
+
+    try {
+      return await this.requestPlan(prompt, task);
+    } catch (e) {
+      console.warn('[AutonomousAgent] Plan revision failed:', e.message);
+      return null;
     }
   }
 
@@ -82,28 +433,13 @@ class AutonomousAgent {
     
 Task: ${task}
 
-Return a JSON object with this structure:
-{
-  "goal": "brief description of the goal",
-  "steps": [
-    {"type": "analyze|code|command|api|file|deploy", "description": "what to do", "action": "specific action", "critical": true/false}
-  ]
-}
+${AutonomousAgent.PLAN_FORMAT}
 
 Keep steps minimal and actionable. Each step should be independently executable.`;
 
     try {
-      const response = await puter.ai.chat([
-        { role: 'system', content: 'You are a task planning AI. Always respond with valid JSON.' },
-        { role: 'user', content: prompt }
-      ], { model: this.model });
-
-      const content = response.message?.content || response;
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+      const plan = await this.requestPlan(prompt, task);
+      if (plan) return plan;
       
       return {
         goal: task,
@@ -121,6 +457,36 @@ Keep steps minimal and actionable. Each step should be independently executable.
     }
   }
 
+  /**
+   * Send a planning prompt and return the parsed plan, or null if the reply is unusable
+   */
+  async requestPlan(prompt, task) {
+    const puterAI = typeof window !== 'undefined' ? window.puterAI : null;
+    if (puterAI) {
+      const response = await puterAI.json(prompt, AutonomousAgent.PLAN_SCHEMA, {
+        model: this.model,
+        agentId: this.id,
+        useHistory: false
+      });
+      if (response.valid) {
+        return response.parsed;
+      }
+      console.warn('[AutonomousAgent] Invalid plan, using fallback:', response.errors);
+      this.emit('plan:invalid', { agent: this, task, errors: response.errors });
+      return null;
+    }
+
+    const response = await puter.ai.chat([
+      { role: 'system', content: 'You are a task planning AI. Always respond with valid JSON.' },
+      { role: 'user', content: prompt }
+    ], { model: this.model });
+
+    const content = response.message?.content || response;
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    const plan = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+    return Array.isArray(plan?.steps) && plan.steps.length ? plan : null;
+  }
+
   async executeStep(step) {
     const handlers = {
       analyze: () => this.handleAnalyze(step),
@@ -135,27 +501,42 @@ Keep steps minimal and actionable. Each step should be independently executable.
     return await handler();
   }
 
+  /**
+   * Completion charged to this agent: through PuterAIService (budgets, usage) when
+   * loaded, else puter.ai directly
+   */
+  async complete(messages, model) {
+    const puterAI = typeof window !== 'undefined' ? window.puterAI : null;
+    if (puterAI?.complete) {
+      const result = await puterAI.complete(messages, { model, agentId: this.id });
+      if (!result.success) throw new Error(result.error);
+      return result.content;
+    }
+    const response = await puter.ai.chat(messages, { model });
+    return response.message?.content || response;
+  }
+
   async handleAnalyze(step) {
-    const response = await puter.ai.chat([
+    const content = await this.complete([
       { role: 'user', content: `Analyze: ${step.action || step.description}` }
-    ], { model: 'gpt-4o-mini' });
+    ], 'gpt-4o-mini');
     
     return {
       type: 'analysis',
-      content: response.message?.content || response,
+      content,
       summary: 'Analysis complete'
     };
   }
 
   async handleCode(step) {
-    const response = await puter.ai.chat([
+    const content = await this.complete([
       { role: 'system', content: 'You are an expert programmer. Generate clean, efficient code.' },
       { role: 'user', content: `Generate code for: ${step.action || step.description}` }
-    ], { model: 'claude-sonnet-4' });
+    ], 'claude-sonnet-4');
     
     return {
       type: 'code',
-      content: response.message?.content || response,
+      content,
       summary: 'Code generated'
     };
   }
@@ -176,27 +557,205 @@ Keep steps minimal and actionable. Each step should be independently executable.
     };
   }
 
+  /**
+   * Structured payload of an api/file/deploy step. Plans may carry it as an object or
+   * as a JSON string in `action`.
+   */
+  parseAction(step) {
+    if (step.action && typeof step.action === 'object') return step.action;
+    if (typeof step.action === 'string') {
+      try {
+        const parsed = JSON.parse(step.action);
+        if (parsed && typeof parsed === 'object') return parsed;
+      } catch (e) {}
+    }
+    throw new Error(`${step.type} step needs a structured action payload`);
+  }
+
+  /**
+   * Output of an earlier plan step, with the first fenced code block unwrapped
+   */
+  getStepOutput(index) {
+    const result = this.context[`step_${index}_result`];
+    if (!result) throw new Error(`No output from step ${index}`);
+    if (result.content === undefined) throw new Error(`Output of step ${index} is not available; large outputs are not kept across a resume`);
+
+    const content = typeof result.content === 'string' ? result.content : JSON.stringify(result.content, null, 2);
+    const fenced = content.match(/```[\w-]*\n([\s\S]*?)```/);
+    return fenced ? fenced[1] : content;
+  }
+
+  getRestClient() {
+    if (!this.restClient) {
+      if (typeof AIRestClient === 'undefined') throw new Error('AIRestClient not loaded');
+      this.restClient = new AIRestClient(this.id);
+    }
+    if (!this.restCollectionId) {
+      this.restCollectionId = this.restClient.createCollection(`${this.name} (${this.id})`, 'Requests made by an autonomous agent run').id;
+    }
+    return this.restClient;
+  }
+
+  async getFileWorkspace() {
+    if (!this.fileWorkspace) {
+      const { FileWorkspace } = await import('./file-workspace.js');
+      this.fileWorkspace = new FileWorkspace({ dryRun: this.dryRun });
+    }
+    if (this.dryRun && !this.fileWorkspace.dryRun) {
+      this.fileWorkspace.enableDryRun();
+    }
+    return this.fileWorkspace;
+  }
+
+  /**
+   * Pending file operations collected during a dry run
+   */
+  getFilePreview() {
+    return this.fileWorkspace ? this.fileWorkspace.getPendingOperations() : [];
+  }
+
+  async commitFileChanges() {
+    if (!this.fileWorkspace?.dryRun) throw new Error('No dry-run changes to commit');
+    this.dryRun = false;
+    return this.fileWorkspace.commitOperations();
+  }
+
   async handleAPI(step) {
+    const action = this.parseAction(step);
+    if (!action.url) throw new Error('api step requires a url');
+
+    const method = (action.method || 'GET').toUpperCase();
+    if (!AIRestClient.METHODS.includes(method)) throw new Error(`Unsupported HTTP method: ${method}`);
+
+    if (this.dryRun && !['GET', 'HEAD', 'OPTIONS'].includes(method)) {
+      return {
+        type: 'api',
+        content: { dryRun: true, method, url: action.url, body: action.body ?? null },
+        summary: `Dry run: ${method} ${action.url} not sent`
+      };
+    }
+
+    const toPairs = (obj = {}) => Object.entries(obj).map(([key, value]) => ({ key, value: String(value) }));
+    const client = this.getRestClient();
+    const request = client.createRequest(this.restCollectionId, {
+      name: step.description,
+      method,
+      url: action.url,
+      headers: toPairs(action.headers),
+      queryParams: toPairs(action.query),
+      auth: action.auth,
+      bodyType: action.body === undefined ? 'none' : (action.bodyType || (typeof action.body === 'string' ? 'text' : 'json')),
+      body: action.body
+    });
+
+    const response = await client.executeRequest(request.id);
+    if (response.error) throw new Error(response.error);
+
+    const expected = action.expectStatus;
+    const ok = expected ? response.status === expected : response.status < 400;
+    if (!ok) {
+      throw new Error(`${method} ${action.url} returned ${response.status} ${response.statusText || ''}`.trim());
+    }
+
     return {
       type: 'api',
-      content: `API call: ${step.action}`,
-      summary: 'API request processed'
+      content: response.body,
+      response,
+      summary: `${method} ${action.url} → ${response.status} (${response.time}ms)`
     };
   }
 
+  /**
+   * Plan paths come from model output, so they are confined to this agent's workspace:
+   * absolute paths and '..' segments are rejected and the result is workspace-relative.
+   */
+  resolveWorkspacePath(path) {
+    if (path === undefined || path === null || path === '') return '';
+    if (typeof path !== 'string') throw new Error('path must be a string');
+    if (path.startsWith('/') || path.startsWith('\\') || /^[a-zA-Z]:/.test(path)) {
+      throw new Error(`Path must be relative to the workspace: ${path}`);
+    }
+    const segments = path.split(/[\\/]+/).filter(segment => segment && segment !== '.');
+    if (segments.includes('..')) throw new Error(`Path may not leave the workspace: ${path}`);
+    return segments.join('/');
+  }
+
   async handleFile(step) {
+    const action = this.parseAction(step);
+    const op = action.op || 'write';
+    if (!action.path && op !== 'list') throw new Error('file step requires a path');
+
+    const path = this.resolveWorkspacePath(action.path);
+    const to = action.to === undefined ? undefined : this.resolveWorkspacePath(action.to);
+
+    const workspace = await this.getFileWorkspace();
+    const workspaceId = this.workspaceId;
+    let result;
+
+    switch (op) {
+      case 'write': {
+        const content = action.fromStep !== undefined ? this.getStepOutput(action.fromStep) : action.content;
+        if (typeof content !== 'string') throw new Error('file write requires content or fromStep');
+        result = await workspace.writeFile(workspaceId, path, content);
+        break;
+      }
+      case 'read':
+        result = await workspace.readFile(workspaceId, path);
+        if (result && typeof result.text === 'function') result = await result.text();
+        break;
+      case 'delete':
+        result = await workspace.deleteFile(workspaceId, path);
+        break;
+      case 'mkdir':
+        result = await workspace.createFolder(workspaceId, path);
+        break;
+      case 'move':
+        result = await workspace.moveFile(workspaceId, path, to);
+        break;
+      case 'copy':
+        result = await workspace.copyFile(workspaceId, path, to);
+        break;
+      case 'list':
+        result = await workspace.listFiles(workspaceId, path);
+        break;
+      default:
+        throw new Error(`Unknown file operation: ${op}`);
+    }
+
     return {
       type: 'file',
-      content: `File operation: ${step.action}`,
-      summary: 'File operation complete'
+      content: result,
+      summary: result?.dryRun
+        ? `Dry run: ${op} ${path}`
+        : `${op} ${path || workspaceId}`
     };
   }
 
   async handleDeploy(step) {
+    const action = this.parseAction(step);
+    if (!action.subdomain) throw new Error('deploy step requires a subdomain');
+
+    const deployService = typeof window !== 'undefined' ? window.DeployService : null;
+    if (!deployService) throw new Error('DeployService not loaded');
+
+    const projectRoot = this.fileWorkspace?.projectRoot || '/workspaces';
+    const relativePath = this.resolveWorkspacePath(action.path);
+    const sourcePath = `${projectRoot}/${this.workspaceId}${relativePath ? `/${relativePath}` : ''}`;
+    const htmlContent = action.fromStep !== undefined ? this.getStepOutput(action.fromStep) : action.html;
+
+    if (this.dryRun) {
+      return {
+        type: 'deploy',
+        content: { dryRun: true, subdomain: action.subdomain, sourcePath: htmlContent ? null : sourcePath },
+        summary: `Dry run: deploy to ${action.subdomain}.puter.site`
+      };
+    }
+
+    const deployment = await deployService.deploy(action.subdomain, sourcePath, htmlContent ? { htmlContent } : {});
     return {
       type: 'deploy',
-      content: `Deployment: ${step.action}`,
-      summary: 'Deployment initiated'
+      content: deployment,
+      summary: `Deployed to ${deployment.url}`
     };
   }
 
@@ -225,6 +784,7 @@ Keep steps minimal and actionable. Each step should be independently executable.
   pause() {
     if (this.status === 'running') {
       this.status = 'paused';
+      this.checkpoint();
       this.emit('pause', { agent: this });
     }
   }
@@ -232,12 +792,21 @@ Keep steps minimal and actionable. Each step should be independently executable.
   resume() {
     if (this.status === 'paused') {
       this.status = 'running';
+      this.checkpoint();
       this.emit('resume', { agent: this });
     }
   }
 
+  /**
+   * Stop after the current step. Approvals this agent is waiting on are denied so the run
+   * does not hang on them and the held step never runs.
+   */
   stop() {
     this.status = 'stopped';
+    const gate = typeof window !== 'undefined' ? window.ApprovalGate : null;
+    gate?.getPending()
+      .filter(approval => approval.agentId === this.id)
+      .forEach(approval => gate.deny(approval.id, 'Agent stopped').catch(() => {}));
     this.emit('stop', { agent: this });
   }
 
@@ -247,7 +816,8 @@ Keep steps minimal and actionable. Each step should be independently executable.
       name: this.name,
       status: this.status,
       steps: this.steps,
-      currentStep: this.currentStep
+      currentStep: this.currentStep,
+      planHistory: this.planHistory
     };
   }
 }
@@ -364,9 +934,36 @@ class AgentRunner {
     const agent = new AutonomousAgent({
       name: options.name || 'Task Agent',
       type: options.type || 'general',
-      model: options.model || 'claude-sonnet-4'
+      model: options.model || 'claude-sonnet-4',
+      dryRun: options.dryRun,
+      workspaceId: options.workspaceId,
+      maxReplans: options.maxReplans,
+      maxSteps: options.maxSteps
+    });
+
+    this.attachAgent(agent);
+
+    this.updateStatus('Running...');
+    this.addAgentStep({ 
+      id: 'task', 
+      type: 'task', 
+      description: `Task: ${task}`, 
+      status: 'running' 
+    });
+
+    const result = await agent.execute(task);
+    
+    this.updateAgentStep({ 
+      id: 'task', 
+      status: result.success ? 'completed' : 'error',
+      message: result.success ? 'Task completed' : result.error
     });
 
+    this.notifyManager();
+    return result;
+  }
+
+  attachAgent(agent) {
     this.agents.set(agent.id, agent);
     this.activeAgent = agent;
     this.notifyManager();
@@ -377,6 +974,10 @@ class AgentRunner {
     });
     agent.on('step', (step) => this.addAgentStep(step));
     agent.on('stepUpdate', (step) => this.updateAgentStep(step));
+    agent.on('plan:revised', ({ revision }) => {
+      this.updateStatus(`Re-planning: ${revision.reason}`);
+      this.notifyManager();
+    });
     agent.on('complete', () => {
       this.updateStatus('Completed');
       this.notifyManager();
@@ -397,27 +998,165 @@ class AgentRunner {
       this.updateStatus('Stopped');
       this.notifyManager();
     });
+  }
 
-    this.updateStatus('Running...');
-    this.addAgentStep({ 
-      id: 'task', 
-      type: 'task', 
-      description: `Task: ${task}`, 
-      status: 'running' 
-    });
-
-    const result = await agent.execute(task);
-    
-    this.updateAgentStep({ 
-      id: 'task', 
+  /**
+   * Checkpointed runs that were still running or paused when the page went away
+   */
+  async listInterruptedRuns() {
+    const service = typeof window !== 'undefined' ? window.PuterService : null;
+    if (!service) return [];
+
+    const keys = await service.kvList(AutonomousAgent.CHECKPOINT_PREFIX);
+    const runs = await Promise.all(keys.map(key => service.kvGet(key)));
+    return runs
+      .filter(run => run && (run.status === 'running' || run.status === 'paused') && !this.agents.has(run.id))
+      .map(run => ({
+        id: run.id,
+        name: run.name,
+        task: run.task,
+        status: run.status,
+        completedSteps: run.run?.completed?.length || 0,
+        remainingSteps: run.run?.queue?.length || 0,
+        updatedAt: run.updatedAt,
+        checkpoint: run
+      }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async resumeRun(runId) {
+    const runs = await this.listInterruptedRuns();
+    const interrupted = runs.find(r => r.id === runId);
+    if (!interrupted) throw new Error(`No interrupted run ${runId}`);
+
+    const agent = AutonomousAgent.fromCheckpoint(interrupted.checkpoint);
+    this.attachAgent(agent);
+
+    this.clearSteps();
+    this.addAgentStep({ id: 'task', type: 'task', description: `Task: ${interrupted.task}`, status: 'running' });
+    interrupted.checkpoint.steps?.forEach(step => this.addAgentStep(step));
+    this.updateStatus('Resuming...');
+
+    const result = await agent.resumeRun(interrupted.checkpoint);
+
+    this.updateAgentStep({
+      id: 'task',
       status: result.success ? 'completed' : 'error',
-      message: result.success ? 'Task completed' : result.error
+      message: result.success ? 'Task completed' : (result.error || 'Stopped')
     });
-
     this.notifyManager();
     return result;
   }
 
+  async discardRun(runId) {
+    await window.PuterService?.kvDelete(`${AutonomousAgent.CHECKPOINT_PREFIX}${runId}`);
+  }
+
+  /**
+   * Offer interrupted runs in the steps panel (and the agent terminal) after a reload
+   */
+  async offerInterruptedRuns() {
+    for (let waited = 0; window.PuterService && !window.PuterService.ready && waited < 5000; waited += 100) {
+      await new Promise(r => setTimeout(r, 100));
+    }
+
+    let runs;
+    try {
+      runs = await this.listInterruptedRuns();
+    } catch (e) {
+      console.warn('[AgentRunner] Could not list interrupted runs:', e.message);
+      return [];
+    }
+    if (runs.length === 0) return runs;
+
+    runs.forEach(run => {
+      this.managerUI?.logToTerminal(
+        `Interrupted run "${run.task}" (${run.completedSteps} steps done) - agent resume ${run.id}`,
+        'info'
+      );
+    });
+
+    const container = typeof document !== 'undefined' ? document.getElementById('agent-steps') : null;
+    if (!container) return runs;
+
+    runs.forEach(run => {
+      const el = document.createElement('div');
+      el.className = 'agent-step paused';
+      el.id = `resume-${run.id}`;
+      el.innerHTML = `
+        <div class="step-indicator paused">${this.getStatusIcon('paused')}</div>
+        <div class="step-content">
+          <div class="step-type">INTERRUPTED</div>
+          <div class="step-desc"></div>
+          <div class="step-message">${run.completedSteps} completed, ${run.remainingSteps} remaining</div>
+          <button class="agent-ctrl-btn" data-action="resume" data-testid="btn-resume-${run.id}">▶ Resume</button>
+          <button class="agent-ctrl-btn" data-action="discard" data-testid="btn-discard-${run.id}">🗑 Discard</button>
+        </div>
+      `;
+      el.querySelector('.step-desc').textContent = run.task;
+      el.querySelector('[data-action="resume"]').addEventListener('click', () => {
+        el.remove();
+        this.resumeRun(run.id);
+      });
+      el.querySelector('[data-action="discard"]').addEventListener('click', () => {
+        el.remove();
+        this.discardRun(run.id);
+      });
+      container.appendChild(el);
+    });
+    this.updateStatus(`${runs.length} interrupted run${runs.length === 1 ? '' : 's'}`);
+    return runs;
+  }
+
+  /**
+   * Show ApprovalGate requests (from agents, squads and tools) with approve/deny controls
+   */
+  watchApprovals() {
+    const gate = typeof window !== 'undefined' ? window.ApprovalGate : null;
+    if (!gate || this.approvalUnsubscribe) return;
+
+    const offRequested = gate.on('requested', approval => this.renderApproval(approval));
+    const offDecided = gate.on('decided', approval => {
+      document.getElementById(`approval-${approval.id}`)?.remove();
+      this.managerUI?.logToTerminal(`${approval.status === 'approved' ? 'Approved' : 'Denied'}: ${approval.description}`, 'info');
+      this.notifyManager();
+    });
+    this.approvalUnsubscribe = () => {
+      offRequested();
+      offDecided();
+      this.approvalUnsubscribe = null;
+    };
+    gate.getPending().forEach(approval => this.renderApproval(approval));
+  }
+
+  renderApproval(approval) {
+    this.updateStatus(`Awaiting approval: ${approval.reason}`);
+    this.managerUI?.logToTerminal(`Approval needed (${approval.reason}) - agent approve ${approval.id}`, 'info');
+
+    const container = document.getElementById('agent-steps');
+    if (!container || document.getElementById(`approval-${approval.id}`)) return;
+
+    const el = document.createElement('div');
+    el.className = 'agent-step paused';
+    el.id = `approval-${approval.id}`;
+    el.innerHTML = `
+      <div class="step-indicator paused">${this.getStatusIcon('paused')}</div>
+      <div class="step-content">
+        <div class="step-type">APPROVAL</div>
+        <div class="step-desc"></div>
+        <div class="step-message"></div>
+        <button class="agent-ctrl-btn" data-action="approve" data-testid="btn-approve-${approval.id}">✓ Approve</button>
+        <button class="agent-ctrl-btn" data-action="deny" data-testid="btn-deny-${approval.id}">✗ Deny</button>
+      </div>
+    `;
+    el.querySelector('.step-desc').textContent = approval.description;
+    el.querySelector('.step-message').textContent = approval.reason;
+    el.querySelector('[data-action="approve"]').addEventListener('click', () => window.ApprovalGate.approve(approval.id));
+    el.querySelector('[data-action="deny"]').addEventListener('click', () => window.ApprovalGate.deny(approval.id));
+    container.appendChild(el);
+    container.scrollTop = container.scrollHeight;
+  }
+
   addAgentStep(step) {
     const container = document.getElementById('agent-steps');
     if (!container) {
@@ -524,6 +1263,91 @@ class CommandExecutor {
   constructor() {
     this.history = [];
     this.maxHistory = 100;
+    this.env = {};
+    this.registry = CommandExecutor.getRegistry();
+    if (this.registry) {
+      CommandExecutor.registerCommands(this.registry);
+    }
+  }
+
+  static getRegistry() {
+    if (typeof window !== 'undefined' && window.CommandRegistry) return window.CommandRegistry;
+    if (typeof require === 'function') return require('./core/command-registry.js').CommandRegistry;
+    return null;
+  }
+
+  static registerCommands(registry) {
+    const shells = [registry.SHELLS.EXECUTOR];
+    const { FS_READ, FS_WRITE, AI, AGENT, DEPLOY } = registry.PERMISSIONS;
+
+    [
+      {
+        name: 'ls',
+        description: 'List files (uses Puter.fs)',
+        usage: 'ls [path]',
+        category: 'filesystem',
+        permissions: [FS_READ],
+        args: [{ name: 'path', type: 'string', default: '/' }],
+        handler: async (ctx) => ctx.executor.listFiles(ctx.params.path)
+      },
+      {
+        name: 'cat',
+        description: 'Read a file',
+        usage: 'cat <filepath>',
+        category: 'filesystem',
+        permissions: [FS_READ],
+        args: [{ name: 'path', type: 'string', required: true }],
+        handler: async (ctx) => ctx.executor.readFile(ctx.params.path)
+      },
+      {
+        name: 'write',
+        description: 'Write to a file',
+        usage: 'write <filepath> <content...>',
+        category: 'filesystem',
+        permissions: [FS_WRITE],
+        args: [
+          { name: 'path', type: 'string', required: true },
+          { name: 'content', type: 'string', variadic: true }
+        ],
+        handler: async (ctx) => ctx.executor.writeFile(ctx.params.path, ctx.params.content.join(' '))
+      },
+      {
+        name: 'ai',
+        description: 'Ask AI a question',
+        usage: 'ai <question...>',
+        category: 'ai',
+        permissions: [AI],
+        args: [{ name: 'question', type: 'string', variadic: true, required: true }],
+        handler: async (ctx) => ctx.executor.askAI(ctx.params.question.join(' '))
+      },
+      {
+        name: 'agent',
+        description: 'Manage AI agents',
+        usage: 'agent <list|start|stop|runs|resume|discard|approvals|approve|deny> [id]',
+        category: 'agents',
+        permissions: [AGENT],
+        args: [
+          { name: 'action', type: 'string', enum: ['list', 'start', 'stop', 'runs', 'resume', 'discard', 'approvals', 'approve', 'deny'] },
+          { name: 'id', type: 'string', description: 'Interrupted run or pending approval' }
+        ],
+        handler: async (ctx) => ctx.executor.manageAgent(ctx.args)
+      },
+      {
+        name: 'deploy',
+        description: 'Deploy to Puter hosting',
+        usage: 'deploy <site-name>',
+        category: 'deploy',
+        permissions: [DEPLOY],
+        args: [{ name: 'site', type: 'string', required: true }],
+        handler: async (ctx) => ctx.executor.deploy(ctx.args)
+      },
+      {
+        name: 'status',
+        description: 'Show system status',
+        category: 'general',
+        handler: async (ctx) => ctx.executor.getStatus()
+      }
+    ].forEach(command => registry.register({ ...command, shells, source: 'command-executor' }));
   }
 
   async execute(command, options = {}) {
@@ -543,9 +1367,14 @@ class CommandExecutor {
 
     try {
       const result = await this.processCommand(command, options);
+      if (result.exitCode !== 0) {
+        entry.status = 'error';
+        entry.error = result.output;
+        return { success: false, output: result.output, error: result.output, exitCode: result.exitCode };
+      }
       entry.status = 'completed';
-      entry.output = result;
-      return { success: true, output: result };
+      entry.output = result.output;
+      return { success: true, output: result.output, exitCode: 0 };
     } catch (error) {
       entry.status = 'error';
       entry.error = error.message;
@@ -553,46 +1382,33 @@ class CommandExecutor {
     }
   }
 
-  async processCommand(command, options) {
+  /**
+   * Run a command through the registry; returns { output, exitCode }
+   */
+  async processCommand(command, options = {}) {
+    if (!this.registry) {
+      return { output: 'Command registry not loaded', exitCode: 1 };
+    }
+
     const parts = command.trim().split(/\s+/);
     const cmd = parts[0].toLowerCase();
-    const args = parts.slice(1);
-
-    const commands = {
-      'help': () => this.showHelp(),
-      'echo': () => args.join(' '),
-      'date': () => new Date().toString(),
-      'clear': () => 'Screen cleared',
-      'ls': () => this.listFiles(args[0] || '/'),
-      'cat': () => this.readFile(args[0]),
-      'write': () => this.writeFile(args[0], args.slice(1).join(' ')),
-      'ai': () => this.askAI(args.join(' ')),
-      'agent': () => this.manageAgent(args),
-      'deploy': () => this.deploy(args),
-      'status': () => this.getStatus()
-    };
-
-    const handler = commands[cmd];
-    if (handler) {
-      return await handler();
+    const shell = this.registry.SHELLS.EXECUTOR;
+    if (!this.registry.has(cmd, shell)) {
+      return { output: `Unknown command: ${cmd}. Type 'help' for available commands.`, exitCode: 1 };
     }
-    
-    return `Unknown command: ${cmd}. Type 'help' for available commands.`;
+
+    const result = await this.registry.execute(cmd, parts.slice(1), {
+      shell,
+      permissions: options.permissions || null,
+      agentId: options.agentId || null,
+      env: this.env,
+      executor: this
+    });
+    return { output: result.output, exitCode: result.exitCode };
   }
 
   showHelp() {
-    return `Available Commands:
-  help     - Show this help message
-  echo     - Echo text back
-  date     - Show current date/time
-  clear    - Clear the screen
-  ls       - List files (uses Puter.fs)
-  cat      - Read a file
-  write    - Write to a file
-  ai       - Ask AI a question
-  agent    - Manage AI agents (start|stop|list)
-  deploy   - Deploy to Puter hosting
-  status   - Show system status`;
+    return this.registry.formatHelp(this.registry.SHELLS.EXECUTOR);
   }
 
   async listFiles(path) {
@@ -636,9 +1452,42 @@ class CommandExecutor {
     }
   }
 
-  manageAgent(args) {
+  async manageAgent(args) {
     const action = args[0];
+    const runner = typeof window !== 'undefined' ? window.AgentRunner : null;
+    if (!runner && ['runs', 'resume', 'discard'].includes(action)) return 'AgentRunner not loaded';
     switch (action) {
+      case 'runs': {
+        const runs = await runner.listInterruptedRuns();
+        return runs.length
+          ? runs.map(r => `${r.id}  ${r.status}  ${r.completedSteps} done / ${r.remainingSteps} left  ${r.task}`).join('\n')
+          : 'No interrupted runs';
+      }
+      case 'resume':
+        if (!args[1]) return 'Usage: agent resume <run-id>';
+        runner.resumeRun(args[1]).catch(e => console.error('[CommandExecutor] Resume failed:', e));
+        return `Resuming ${args[1]}`;
+      case 'discard':
+        if (!args[1]) return 'Usage: agent discard <run-id>';
+        await runner.discardRun(args[1]);
+        return `Discarded ${args[1]}`;
+      case 'approvals': {
+        const pending = window.ApprovalGate?.getPending() || [];
+        return pending.length
+          ? pending.map(a => `${a.id}  ${a.reason}  ${a.description}`).join('\n')
+          : 'No pending approvals';
+      }
+      case 'approve':
+      case 'deny': {
+        if (!args[1]) return `Usage: agent ${action} <approval-id>`;
+        if (!window.ApprovalGate) return 'ApprovalGate not loaded';
+        try {
+          const record = await window.ApprovalGate.decide(args[1], action === 'approve');
+          return `${record.status === 'approved' ? 'Approved' : 'Denied'}: ${record.description}`;
+        } catch (e) {
+          return `Approval error: ${e.message}`;
+        }
+      }
       case 'list':
         return 'Active agents: (use AgentRunner.listAgents())';
       case 'start':
@@ -646,7 +1495,7 @@ class CommandExecutor {
       case 'stop':
         return 'Use AgentRunner.stopActive() to stop the current agent';
       default:
-        return 'Usage: agent <list|start|stop>';
+        return 'Usage: agent <list|start|stop|runs|resume|discard|approvals|approve|deny> [id]';
     }
   }
 
@@ -922,6 +1771,8 @@ document.addEventListener('DOMContentLoaded', () => {
     agentManagerUI.initialize();
     agentManagerUI.syncWithRunner(agentRunner);
     agentManagerUI.updateAgentCount();
+    agentRunner.watchApprovals();
+    agentRunner.offerInterruptedRuns();
   }, 500);
 });
 
@@ -7,12 +7,29 @@ class AgentSquad {
     ERROR: 'error'
   };
 
+  static commandsRegistered = false;
+
+  // Relative weight of each routing signal when delegateTask picks an agent
+  static ROUTING_WEIGHTS = {
+    specialty: 0.4,
+    tools: 0.2,
+    load: 0.25,
+    success: 0.15
+  };
+
   constructor() {
     this.namespace = 'agent_squad';
     this.squads = new Map();
     this.terminals = new Map();
     this.agentRestClients = new Map();
     this.messageQueue = [];
+    this.blackboards = new Map();
+    this.blackboardSaves = new Map();
+    this.routingWeights = { ...AgentSquad.ROUTING_WEIGHTS };
+    this.skillCache = { skills: [], loadedAt: 0 };
+    this.runtime = null;
+    this.runtimeHandlers = null;
+    this.rebalancing = null;
     this.initialized = false;
   }
 
@@ -20,8 +37,12 @@ class AgentSquad {
     if (this.initialized) return;
     
     await this.loadSquads();
+    await this.loadBlackboards();
     await this.loadMessageQueue();
     this.setupInterAgentMessaging();
+    if (!this.runtime && typeof window !== 'undefined' && window.agentRuntime) {
+      this.setRuntime(window.agentRuntime);
+    }
     this.initialized = true;
     console.log('[AgentSquad] Initialized with', this.squads.size, 'squads');
   }
@@ -49,6 +70,73 @@ class AgentSquad {
     }
   }
 
+  static getBlackboardClass() {
+    if (typeof window !== 'undefined' && window.SquadBlackboard) return window.SquadBlackboard;
+    if (typeof require === 'function') return require('./squad-blackboard.js').SquadBlackboard;
+    return null;
+  }
+
+  async loadBlackboards() {
+    if (typeof puter === 'undefined' || !puter.kv) return;
+    const Blackboard = AgentSquad.getBlackboardClass();
+    if (!Blackboard) return;
+
+    for (const squadId of this.squads.keys()) {
+      try {
+        const data = await puter.kv.get(`${this.namespace}:blackboard:${squadId}`);
+        if (data) {
+          this.blackboards.set(squadId, Blackboard.fromJSON(JSON.parse(data), {
+            onChange: () => this.scheduleBlackboardSave(squadId)
+          }));
+        }
+      } catch (e) {
+        console.warn(`[AgentSquad] Failed to load blackboard for ${squadId}:`, e.message);
+      }
+    }
+  }
+
+  async saveBlackboard(squadId) {
+    const board = this.blackboards.get(squadId);
+    if (!board || typeof puter === 'undefined' || !puter.kv) return;
+    try {
+      await puter.kv.set(`${this.namespace}:blackboard:${squadId}`, JSON.stringify(board.toJSON()));
+    } catch (e) {
+      console.warn('[AgentSquad] Failed to save blackboard:', e.message);
+    }
+  }
+
+  /**
+   * Coalesce the writes of one synchronous burst of blackboard changes into a single save
+   */
+  scheduleBlackboardSave(squadId) {
+    if (this.blackboardSaves.has(squadId)) return this.blackboardSaves.get(squadId);
+    const pending = Promise.resolve().then(() => {
+      this.blackboardSaves.delete(squadId);
+      return this.saveBlackboard(squadId);
+    });
+    this.blackboardSaves.set(squadId, pending);
+    return pending;
+  }
+
+  /**
+   * Shared blackboard of a squad, created on first use
+   */
+  getBlackboard(squadId) {
+    if (!this.squads.has(squadId)) throw new Error('Squad not found');
+    if (!this.blackboards.has(squadId)) {
+      const Blackboard = AgentSquad.getBlackboardClass();
+      if (!Blackboard) throw new Error('SquadBlackboard not loaded');
+      this.blackboards.set(squadId, new Blackboard(squadId, {
+        onChange: () => this.scheduleBlackboardSave(squadId)
+      }));
+    }
+    return this.blackboards.get(squadId);
+  }
+
+  subscribeBlackboard(squadId, pattern, callback, agentId = null) {
+    return this.getBlackboard(squadId).subscribe(pattern, callback, agentId);
+  }
+
   async createSquad(config) {
     const squad = {
       id: `squad_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
@@ -72,6 +160,7 @@ class AgentSquad {
     };
 
     this.squads.set(squad.id, squad);
+    this.linkMembers(squad.agents);
     await this.saveSquads();
     return squad;
   }
@@ -82,6 +171,7 @@ class AgentSquad {
 
     if (!squad.agents.includes(agentId)) {
       squad.agents.push(agentId);
+      this.linkMembers([agentId]);
       const terminal = this.createTerminalForAgent(agentId, squadId);
       squad.terminals[agentId] = terminal;
       squad.lastActive = Date.now();
@@ -128,6 +218,7 @@ class AgentSquad {
 
     terminal.history.push(execution);
     terminal.status = 'busy';
+    this.touchMember(terminal.agentId);
 
     try {
       const result = await this.simulateCommandExecution(command, terminal);
@@ -147,54 +238,146 @@ class AgentSquad {
   }
 
   async simulateCommandExecution(command, terminal) {
+    const registry = this.getCommandRegistry();
+    if (!registry) {
+      return { output: 'Command registry not loaded', exitCode: 1 };
+    }
+
     const parts = command.trim().split(/\s+/);
-    const cmd = parts[0];
-    const args = parts.slice(1);
-
-    const builtins = {
-      'echo': () => ({ output: args.join(' '), exitCode: 0 }),
-      'pwd': () => ({ output: terminal.cwd, exitCode: 0 }),
-      'cd': () => {
-        const dir = args[0] || '/';
-        terminal.cwd = dir;
-        return { output: '', exitCode: 0 };
-      },
-      'ls': () => ({ output: 'agent-config.json  tasks/  shared/  output/', exitCode: 0 }),
-      'env': () => ({ output: Object.entries(terminal.environment).map(([k,v]) => `${k}=${v}`).join('\n') || '(no environment variables)', exitCode: 0 }),
-      'export': () => {
-        const [key, value] = args[0]?.split('=') || [];
-        if (key) terminal.environment[key] = value || '';
-        return { output: '', exitCode: 0 };
-      },
-      'clear': () => {
+    const result = await registry.execute(parts[0], parts.slice(1), {
+      shell: registry.SHELLS.SQUAD,
+      permissions: terminal.permissions || null,
+      agentId: terminal.agentId,
+      env: terminal.environment,
+      terminal,
+      squad: this,
+      clear: () => {
         terminal.history = [];
-        return { output: '', exitCode: 0 };
-      },
-      'help': () => ({
-        output: `Available commands:
-  echo <text>     - Print text
-  pwd             - Print working directory
-  cd <dir>        - Change directory
-  ls              - List files
-  env             - Show environment variables
-  export KEY=VAL  - Set environment variable
-  clear           - Clear terminal
-  rest <action>   - REST client commands
-  agent <action>  - Agent commands
-  task <action>   - Task commands`,
-        exitCode: 0
-      }),
-      'rest': async () => await this.handleRestCommand(args, terminal),
-      'agent': async () => await this.handleAgentCommand(args, terminal),
-      'task': async () => await this.handleTaskCommand(args, terminal)
-    };
+      }
+    });
 
-    const handler = builtins[cmd];
-    if (handler) {
-      return await handler();
+    return { output: result.output, exitCode: result.exitCode };
+  }
+
+  getCommandRegistry() {
+    let registry = null;
+    if (typeof window !== 'undefined' && window.CommandRegistry) {
+      registry = window.CommandRegistry;
+    } else if (typeof require === 'function') {
+      registry = require('./core/command-registry.js').CommandRegistry;
     }
 
-    return { output: `${cmd}: command not found`, exitCode: 127 };
+    if (registry && !AgentSquad.commandsRegistered) {
+      AgentSquad.registerCommands(registry);
+      AgentSquad.commandsRegistered = true;
+    }
+    return registry;
+  }
+
+  static registerCommands(registry) {
+    const shells = [registry.SHELLS.SQUAD];
+    const { NETWORK, AGENT } = registry.PERMISSIONS;
+
+    [
+      {
+        name: 'ls',
+        description: 'List files',
+        usage: 'ls',
+        category: 'filesystem',
+        handler: async () => 'agent-config.json  tasks/  shared/  output/'
+      },
+      {
+        name: 'pwd',
+        description: 'Print working directory',
+        category: 'filesystem',
+        handler: async (ctx) => ctx.terminal.cwd
+      },
+      {
+        name: 'cd',
+        description: 'Change directory',
+        usage: 'cd <dir>',
+        category: 'filesystem',
+        args: [{ name: 'dir', type: 'string', default: '/' }],
+        handler: async (ctx) => {
+          ctx.terminal.cwd = ctx.params.dir;
+        }
+      },
+      {
+        name: 'rest',
+        description: 'REST client commands',
+        usage: 'rest <action> [args...]',
+        category: 'squad',
+        permissions: [NETWORK],
+        subcommands: {
+          'list': 'List all collections',
+          'new <name>': 'Create new collection',
+          'add <method> <url> [name]': 'Add request',
+          'run <request>': 'Execute a saved request',
+          'env <key> <value>': 'Set REST environment variable',
+          'export': 'Export collection as JSON',
+          'history': 'Show request history'
+        },
+        handler: async (ctx) => ctx.squad.handleRestCommand(ctx.args, ctx.terminal)
+      },
+      {
+        name: 'agent',
+        description: 'Agent commands',
+        usage: 'agent <action> [args...]',
+        category: 'squad',
+        permissions: [AGENT],
+        subcommands: {
+          'status': 'Show your status and stats',
+          'list': 'List agents in squad',
+          'msg <id> <text>': 'Send message to agent',
+          'inbox': 'View received messages',
+          'ask <id> <question>': 'Ask agent (gets AI response)'
+        },
+        handler: async (ctx) => ctx.squad.handleAgentCommand(ctx.args, ctx.terminal)
+      },
+      {
+        name: 'task',
+        description: 'Task commands',
+        usage: 'task <action> [args...]',
+        category: 'squad',
+        permissions: [AGENT],
+        subcommands: {
+          'list': 'List all pending tasks',
+          'mine': 'List my assigned tasks',
+          'add <name>': 'Add new task',
+          'claim <num>': 'Claim a task',
+          'complete <num>': 'Mark task complete',
+          'delegate <num> <agent>': 'Delegate to agent'
+        },
+        handler: async (ctx) => ctx.squad.handleTaskCommand(ctx.args, ctx.terminal)
+      },
+      {
+        name: 'bb',
+        description: 'Squad blackboard commands',
+        usage: 'bb <action> [args...]',
+        category: 'squad',
+        permissions: [AGENT],
+        subcommands: {
+          'list [prefix]': 'List blackboard entries',
+          'get <key> [version]': 'Show an entry',
+          'put <key> <value>': 'Post a value (JSON or text)',
+          'history <key>': 'Show versions of an entry',
+          'work': 'List open work items',
+          'add-work <title>': 'Post a work item',
+          'claim <key>': 'Claim a work item',
+          'release <key>': 'Release a claimed work item',
+          'done <key> [result-ref]': 'Complete a claimed work item'
+        },
+        handler: async (ctx) => ctx.squad.handleBlackboardCommand(ctx.args, ctx.terminal)
+      }
+    ].forEach(command => registry.register({ ...command, shells, source: 'agent-squad' }));
+  }
+
+  commandHelp(name) {
+    const registry = this.getCommandRegistry();
+    return {
+      output: registry?.formatCommandHelp(name, registry.SHELLS.SQUAD) || `${name}: no help available`,
+      exitCode: 0
+    };
   }
 
   async handleRestCommand(args, terminal) {
@@ -245,6 +428,20 @@ class AgentSquad {
         if (!request) {
           return { output: `Request not found: ${requestName}`, exitCode: 1 };
         }
+
+        const url = client.interpolate
+          ? client.interpolate(request.url, { ...client.globalEnvironment, ...client.environment })
+          : request.url;
+        const decision = await this.requestApproval({
+          kind: 'tool',
+          tool: 'rest run',
+          url,
+          agentId: terminal.agentId,
+          description: `rest run ${request.method} ${url}`
+        });
+        if (!decision.approved) {
+          return { output: `Denied: ${request.method} ${url}`, exitCode: 1 };
+        }
         
         try {
           const result = await client.executeRequest(request.id);
@@ -277,17 +474,7 @@ class AgentSquad {
         }
         return { output: client.history.slice(0, 10).map(h => `${h.request.method} ${h.request.url} - ${h.response.status}`).join('\n'), exitCode: 0 };
       },
-      'help': () => ({
-        output: `REST Client Commands:
-  rest list              - List all collections
-  rest new <name>        - Create new collection
-  rest add <method> <url> [name] - Add request
-  rest run <request>     - Execute a saved request
-  rest env <key> <value> - Set REST environment variable
-  rest export            - Export collection as JSON
-  rest history           - Show request history`,
-        exitCode: 0
-      })
+      'help': () => this.commandHelp('rest')
     };
 
     const handler = restActions[action];
@@ -333,10 +520,19 @@ class AgentSquad {
         
         await this.sendInterAgentMessage(terminal.agentId, targetAgent, question, 'question');
         
-        // Simulate AI response using Puter
-        if (typeof puter !== 'undefined' && puter.ai) {
+        // Answer through PuterAIService so the target agent's budget applies
+        const puterAI = typeof window !== 'undefined' ? window.puterAI : null;
+        if (puterAI || (typeof puter !== 'undefined' && puter.ai)) {
           try {
-            const response = await puter.ai.chat(`As ${targetAgent}, briefly answer: ${question}`);
+            const prompt = `As ${targetAgent}, briefly answer: ${question}`;
+            let response;
+            if (puterAI) {
+              const result = await puterAI.chat(prompt, { agentId: targetAgent, useHistory: false });
+              if (!result.success) throw new Error(result.error);
+              response = result.content;
+            } else {
+              response = await puter.ai.chat(prompt);
+            }
             await this.sendInterAgentMessage(targetAgent, terminal.agentId, response, 'answer');
             return { output: `Asked ${targetAgent}: "${question}"\nResponse: ${response}`, exitCode: 0 };
           } catch (e) {
@@ -345,15 +541,7 @@ class AgentSquad {
         }
         return { output: `Asked ${targetAgent}: "${question}"`, exitCode: 0 };
       },
-      'help': () => ({
-        output: `Agent Commands:
-  agent status           - Show your status and stats
-  agent list             - List agents in squad
-  agent msg <id> <text>  - Send message to agent
-  agent inbox            - View received messages
-  agent ask <id> <question> - Ask agent (gets AI response)`,
-        exitCode: 0
-      })
+      'help': () => this.commandHelp('agent')
     };
 
     const handler = agentActions[action];
@@ -364,6 +552,85 @@ class AgentSquad {
     return { output: `Unknown agent action: ${action}. Try: agent help`, exitCode: 1 };
   }
   
+  async handleBlackboardCommand(args, terminal) {
+    const action = args[0];
+    const squad = this.getSquadByTerminal(terminal.id);
+    if (!squad) return { output: 'No squad assigned', exitCode: 1 };
+
+    const board = this.getBlackboard(squad.id);
+    const me = terminal.agentId;
+    const key = args[1];
+    const needKey = (usage) => ({ output: `Usage: bb ${usage}`, exitCode: 1 });
+
+    const bbActions = {
+      'list': () => {
+        const entries = board.list({ prefix: key });
+        if (entries.length === 0) return { output: 'Blackboard is empty', exitCode: 0 };
+        return { output: entries.map(e => `${e.ref}  [${e.kind}] by ${e.author}`).join('\n'), exitCode: 0 };
+      },
+      'get': () => {
+        if (!key) return needKey('get <key> [version]');
+        const entry = args[2] ? board.get(key, { version: Number(args[2]) }) : board.resolve(key);
+        if (!entry) return { output: `Not found: ${key}`, exitCode: 1 };
+        const value = typeof entry.value === 'string' ? entry.value : JSON.stringify(entry.value, null, 2);
+        return { output: `${entry.ref} by ${entry.author}\n${value}`, exitCode: 0 };
+      },
+      'put': () => {
+        const raw = args.slice(2).join(' ');
+        if (!key || !raw) return needKey('put <key> <value>');
+        let value = raw;
+        try {
+          value = JSON.parse(raw);
+        } catch (e) {}
+        const entry = board.post(key, value, { author: me });
+        return { output: `Posted ${entry.ref}`, exitCode: 0 };
+      },
+      'history': () => {
+        if (!key) return needKey('history <key>');
+        const versions = board.history(key);
+        if (versions.length === 0) return { output: `Not found: ${key}`, exitCode: 1 };
+        return { output: versions.map(v => `v${v.version} ${v.author} ${new Date(v.timestamp).toISOString()} ${v.note}`).join('\n'), exitCode: 0 };
+      },
+      'work': () => {
+        const open = board.openWork();
+        if (open.length === 0) return { output: 'No open work items', exitCode: 0 };
+        return { output: open.map(w => `${w.key}  ${w.work.title}`).join('\n'), exitCode: 0 };
+      },
+      'add-work': () => {
+        const title = args.slice(1).join(' ');
+        if (!title) return needKey('add-work <title>');
+        const item = board.addWorkItem(title, { author: me });
+        return { output: `Work item ${item.key}: ${title}`, exitCode: 0 };
+      },
+      'claim': () => {
+        if (!key) return needKey('claim <key>');
+        const claimed = board.claim(key, me);
+        if (!claimed) return { output: `${key} is already claimed or done`, exitCode: 1 };
+        return { output: `Claimed ${key}`, exitCode: 0 };
+      },
+      'release': () => {
+        if (!key) return needKey('release <key>');
+        board.release(key, me);
+        return { output: `Released ${key}`, exitCode: 0 };
+      },
+      'done': async () => {
+        if (!key) return needKey('done <key> [result-ref]');
+        const item = board.complete(key, me, args[2] || null);
+        await this.broadcastToSquad(squad.id, `${me} completed ${key}: ${item.work.title}`);
+        return { output: `Completed ${key}`, exitCode: 0 };
+      },
+      'help': () => this.commandHelp('bb')
+    };
+
+    const handler = bbActions[action];
+    if (!handler) return { output: `Unknown blackboard action: ${action}. Try: bb help`, exitCode: 1 };
+    try {
+      return await handler();
+    } catch (e) {
+      return { output: `bb ${action}: ${e.message}`, exitCode: 1 };
+    }
+  }
+
   getMessagesFor(agentId) {
     return this.messageQueue.filter(m => m.to === agentId && m.status === 'pending');
   }
@@ -478,16 +745,7 @@ class AgentSquad {
         if (myTasks.length === 0) return { output: 'No tasks assigned to you', exitCode: 0 };
         return { output: myTasks.map((t, i) => `${i+1}. [${t.status}] ${t.name}`).join('\n'), exitCode: 0 };
       },
-      'help': () => ({
-        output: `Task Commands:
-  task list              - List all pending tasks
-  task mine              - List my assigned tasks  
-  task add <name>        - Add new task
-  task claim <num>       - Claim a task
-  task complete <num>    - Mark task complete
-  task delegate <num> <agent> - Delegate to agent`,
-        exitCode: 0
-      })
+      'help': () => this.commandHelp('task')
     };
 
     const handler = taskActions[action];
@@ -765,30 +1023,315 @@ class AgentSquad {
     };
   }
 
-  async delegateTask(squadId, task, targetAgentId = null) {
+  /**
+   * Ask ApprovalGate before destructive or costly squad actions; allowed when no gate is loaded
+   */
+  async requestApproval(action) {
+    const gate = typeof window !== 'undefined' ? window.ApprovalGate : null;
+    if (!gate) return { approved: true, automatic: true };
+    return gate.request({ ...action, source: 'agent-squad' });
+  }
+
+  // ==================== Routing ====================
+
+  getRegistry() {
+    return typeof window !== 'undefined' ? window.AgentRegistry || null : null;
+  }
+
+  getRuntime() {
+    return this.runtime || (typeof window !== 'undefined' ? window.agentRuntime || null : null);
+  }
+
+  /**
+   * Follow an AgentRuntime: rebalance work away from agents its heartbeat reports as
+   * away/offline and forward overdue-task escalations to squad leaders.
+   */
+  setRuntime(runtime) {
+    if (this.runtime && this.runtimeHandlers) {
+      Object.entries(this.runtimeHandlers).forEach(([event, handler]) => this.runtime.off(event, handler));
+    }
+
+    this.runtime = runtime;
+    this.runtimeHandlers = null;
+    if (!runtime) return;
+
+    const rebalance = () => this.rebalanceOffline().catch(e =>
+      console.warn('[AgentSquad] Rebalance failed:', e.message));
+    this.runtimeHandlers = {
+      'agent:presence': rebalance,
+      'agent:terminated': rebalance,
+      'heartbeat': rebalance,
+      'task:escalated': event => this.notifyEscalation(event)
+    };
+    Object.entries(this.runtimeHandlers).forEach(([event, handler]) => runtime.on(event, handler));
+    this.squads.forEach(squad => this.linkMembers(squad.agents));
+  }
+
+  /**
+   * Give AgentRegistry members a runtime agent (registryId = member id) so heartbeat
+   * presence, runtime load and escalations apply to them
+   */
+  linkMembers(agentIds) {
+    const runtime = this.getRuntime();
+    const registry = this.getRegistry();
+    if (!runtime?.linkRegistryAgent || !registry) return;
+    agentIds.forEach(agentId => {
+      const registryAgent = registry.getAgent(agentId);
+      if (registryAgent) runtime.linkRegistryAgent(registryAgent);
+    });
+  }
+
+  touchMember(agentId) {
+    const runtime = this.getRuntime();
+    const runtimeAgent = runtime?.findAgent?.(agentId);
+    if (runtimeAgent) {
+      runtime.touchAgent(runtimeAgent.id).catch(e => console.warn('[AgentSquad] Failed to update presence:', e.message));
+    }
+  }
+
+  /**
+   * Skill levels from AgentLearning, cached for a minute
+   */
+  async refreshSkills(maxAgeMs = 60000) {
+    const learning = typeof window !== 'undefined' ? window.agentLearning : null;
+    if (!learning || Date.now() - this.skillCache.loadedAt < maxAgeMs) return this.skillCache.skills;
+    try {
+      this.skillCache = { skills: await learning.listSkills(), loadedAt: Date.now() };
+    } catch (e) {
+      console.warn('[AgentSquad] Failed to load skills:', e.message);
+    }
+    return this.skillCache.skills;
+  }
+
+  isAgentOffline(agentId) {
+    const runtimeAgent = this.getRuntime()?.findAgent?.(agentId);
+    return !!runtimeAgent && runtimeAgent.presence !== 'online';
+  }
+
+  isAgentAvailable(squad, agentId) {
+    const runtimeAgent = this.getRuntime()?.findAgent?.(agentId);
+    if (runtimeAgent) return runtimeAgent.presence === 'online';
+    const terminal = this.terminals.get(squad.terminals[agentId]?.id) || squad.terminals[agentId];
+    return !!terminal && terminal.status !== 'error';
+  }
+
+  getAgentLoad(agentId) {
+    let load = 0;
+    this.squads.forEach(squad => {
+      load += squad.taskQueue.filter(t => t.assignedTo === agentId && t.status !== 'completed').length;
+    });
+    const runtime = this.getRuntime();
+    const runtimeAgent = runtime?.findAgent?.(agentId);
+    if (runtimeAgent && runtime.getAgentLoad) load += runtime.getAgentLoad(runtimeAgent.id);
+    return load;
+  }
+
+  /**
+   * Score every available squad member for a task. Signals (0..1, combined with routingWeights):
+   * - specialty: AgentRegistry capabilities/languages/role against task.capabilities,
+   *   task.languages or the words of the task
+   * - tools: share of task.tools the agent has, or tool names mentioned by the task
+   * - load: open squad tasks plus AgentRuntime board tasks, as 1 / (1 + load)
+   * - success: mean AgentLearning proficiency of skills named after the agent's
+   *   capabilities (or prefixed `<agentId>:`), 0.5 when unknown
+   */
+  scoreAgents(squadId, task, options = {}) {
+    const squad = this.squads.get(squadId);
+    if (!squad) throw new Error('Squad not found');
+
+    const exclude = options.exclude || [];
+    const registry = this.getRegistry();
+    const text = typeof task === 'string' ? task : [task.name, task.description, task.type].filter(Boolean).join(' ');
+    const words = new Set(text.toLowerCase().match(/[a-z0-9+#]+/g) || []);
+    const mentions = terms => terms.filter(term =>
+      term.toLowerCase().split(/[^a-z0-9+#]+/).filter(Boolean).some(w => words.has(w))).length;
+
+    return squad.agents
+      .filter(agentId => !exclude.includes(agentId) && this.isAgentAvailable(squad, agentId))
+      .map(agentId => {
+        const profile = registry?.getAgent(agentId) || {};
+        const capabilities = profile.capabilities || [];
+        const languages = profile.languages || [];
+        const tools = registry?.getAgentTools(agentId) || [];
+
+        const required = [...(task.capabilities || []), ...(task.languages || [])];
+        const specialty = required.length
+          ? required.filter(r => capabilities.includes(r) || languages.includes(r) || languages.includes('all')).length / required.length
+          : Math.min(1, mentions([...capabilities, ...languages.filter(l => l !== 'all'), profile.role || '']) / 2);
+
+        const toolScore = task.tools?.length
+          ? task.tools.filter(id => tools.some(t => t.id === id)).length / task.tools.length
+          : Math.min(1, mentions(tools.map(t => t.name || t.id)) / 2);
+
+        const load = this.getAgentLoad(agentId);
+
+        const skills = this.skillCache.skills.filter(skill =>
+          capabilities.includes(skill.name) || skill.name?.startsWith(`${agentId}:`));
+        const success = skills.length
+          ? skills.reduce((sum, skill) => sum + skill.proficiency, 0) / skills.length
+          : 0.5;
+
+        const breakdown = { specialty, tools: toolScore, load: 1 / (1 + load), success };
+        const score = Object.entries(this.routingWeights)
+          .reduce((sum, [signal, weight]) => sum + weight * (breakdown[signal] || 0), 0);
+
+        return { agentId, score, load, breakdown };
+      })
+      .sort((a, b) => b.score - a.score || a.load - b.load);
+  }
+
+  async routeTask(squadId, task, options = {}) {
+    await this.refreshSkills();
+    return this.scoreAgents(squadId, task, options)[0]?.agentId || null;
+  }
+
+  /**
+   * Delegate each of task.subtasks (strings or task objects) separately; routing sees the
+   * load added by earlier parts, so the parts spread across the squad.
+   */
+  async splitTask(squadId, task) {
+    const squad = this.squads.get(squadId);
+    if (!squad) throw new Error('Squad not found');
+
+    const decision = await this.requestApproval({
+      kind: 'task',
+      type: task.type,
+      tool: task.tool,
+      model: task.model,
+      url: task.url,
+      requiresApproval: task.requiresApproval,
+      description: `Delegate "${task.name}" (${task.subtasks.length} parts) in ${squad.name}`
+    });
+    if (!decision.approved) {
+      throw new Error(`Task denied: ${task.name}`);
+    }
+
+    const parentId = `split_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    const { subtasks, ...shared } = task;
+    const parts = [];
+    for (const [i, subtask] of subtasks.entries()) {
+      const part = typeof subtask === 'string' ? { name: subtask } : subtask;
+      parts.push(await this.delegateTask(squadId, {
+        ...shared,
+        ...part,
+        context: { ...shared.context, ...part.context, parentId, part: i + 1, of: subtasks.length }
+      }, part.assignTo || null, { approved: true }));
+    }
+
+    return { id: parentId, name: task.name, subtasks: parts };
+  }
+
+  /**
+   * Move open work of agents the AgentRuntime reports as away/offline to the best available
+   * member, or back to pending when nobody can take it.
+   */
+  rebalanceOffline() {
+    if (!this.rebalancing) {
+      this.rebalancing = this.moveStrandedTasks().finally(() => {
+        this.rebalancing = null;
+      });
+    }
+    return this.rebalancing;
+  }
+
+  async moveStrandedTasks() {
+    const moved = [];
+    await this.refreshSkills();
+
+    for (const squad of this.squads.values()) {
+      const stranded = squad.taskQueue.filter(t =>
+        t.assignedTo && t.status !== 'completed' && this.isAgentOffline(t.assignedTo));
+
+      for (const task of stranded) {
+        const from = task.assignedTo;
+        const to = this.scoreAgents(squad.id, task, { exclude: [from] })[0]?.agentId || null;
+
+        task.reassignedFrom = [...(task.reassignedFrom || []), from];
+        task.assignedTo = to;
+        task.status = to ? 'assigned' : 'pending';
+        moved.push({ squadId: squad.id, taskId: task.id, from, to });
+
+        if (to) {
+          await this.sendInterAgentMessage('system', to,
+            `Task reassigned from ${from} (offline): ${task.name}`, 'task_assignment');
+        }
+      }
+      if (stranded.length) squad.lastActive = Date.now();
+    }
+
+    if (moved.length) {
+      console.log(`[AgentSquad] Rebalanced ${moved.length} task(s) from offline agents`);
+      await this.saveSquads();
+    }
+    return moved;
+  }
+
+  /**
+   * Tell the squad leader about an overdue AgentRuntime task it could not reassign
+   */
+  async notifyEscalation({ task, escalation }) {
+    if (escalation.action !== 'notify') return;
+
+    const runtimeAgent = task.assignedTo ? this.getRuntime()?.getAgent(task.assignedTo) : null;
+    const member = runtimeAgent?.registryId || task.assignedTo;
+    const leader = escalation.leader ||
+      Array.from(this.squads.values()).find(squad => squad.leader && squad.agents.includes(member))?.leader;
+    if (!leader) return;
+
+    await this.sendInterAgentMessage('system', leader,
+      `Overdue task: ${task.description || task.id}${member ? ` (assigned to ${member})` : ''}`,
+      'task_escalation');
+  }
+
+  /**
+   * Without targetAgentId (and with autoAssign on) the task is routed to the best scoring
+   * member; tasks with `subtasks` are split across agents via splitTask.
+   */
+  async delegateTask(squadId, task, targetAgentId = null, options = {}) {
     const squad = this.squads.get(squadId);
     if (!squad) throw new Error('Squad not found');
 
+    if (task.subtasks?.length && !targetAgentId) {
+      return this.splitTask(squadId, task);
+    }
+
+    // Blackboard artifacts are passed as pinned references rather than pasted content
+    const artifacts = (task.artifacts || []).map(keyOrRef => {
+      const entry = this.getBlackboard(squadId).resolve(keyOrRef);
+      if (!entry) throw new Error(`Blackboard artifact not found: ${keyOrRef}`);
+      return { key: entry.key, version: entry.version, ref: entry.ref };
+    });
+
     const taskObj = {
-      id: `task_${Date.now()}`,
+      id: `task_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
       name: task.name || task,
       description: task.description || '',
       priority: task.priority || 'normal',
       assignedTo: targetAgentId,
       status: targetAgentId ? 'assigned' : 'pending',
       createdAt: Date.now(),
-      context: task.context || {}
+      context: task.context || {},
+      artifacts
     };
 
-    if (!targetAgentId && squad.settings.autoAssign) {
-      const availableAgent = squad.agents.find(agentId => {
-        const termId = squad.terminals[agentId]?.id;
-        const term = termId ? this.terminals.get(termId) : null;
-        return term?.status === 'ready';
-      });
+    const decision = options.approved ? { approved: true } : await this.requestApproval({
+      kind: 'task',
+      type: task.type,
+      tool: task.tool,
+      model: task.model,
+      url: task.url,
+      requiresApproval: task.requiresApproval,
+      agentId: targetAgentId,
+      description: `Delegate "${taskObj.name}" in ${squad.name}`
+    });
+    if (!decision.approved) {
+      throw new Error(`Task denied: ${taskObj.name}`);
+    }
 
-      if (availableAgent) {
-        taskObj.assignedTo = availableAgent;
+    if (!targetAgentId && squad.settings.autoAssign) {
+      const routedAgent = await this.routeTask(squadId, task);
+      if (routedAgent) {
+        taskObj.assignedTo = routedAgent;
         taskObj.status = 'assigned';
       }
     }
@@ -799,7 +1342,8 @@ class AgentSquad {
 
     if (taskObj.assignedTo) {
       await this.sendInterAgentMessage('system', taskObj.assignedTo, 
-        `New task assigned: ${taskObj.name}`, 'task_assignment');
+        `New task assigned: ${taskObj.name}${artifacts.length ? ` (artifacts: ${artifacts.map(a => a.ref).join(', ')})` : ''}`,
+        'task_assignment');
     }
 
     return taskObj;
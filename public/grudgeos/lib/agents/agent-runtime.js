@@ -3,17 +3,49 @@
  * Manages autonomous AI agent lifecycle, identity, presence, and task delegation
  */
 
+export const TASK_STATUS = {
+  PENDING: 'pending',
+  BLOCKED: 'blocked',
+  ASSIGNED: 'assigned',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
 export class AgentRuntime {
   constructor() {
     this.agents = new Map();
     this.taskQueue = [];
     this.delegationGraph = new Map();
+    this.escalationPolicy = 'reassign';
     this.heartbeatInterval = 5000;
     this.kvNamespace = 'agent_runtime';
     this.listeners = new Map();
+    this.semanticMemories = new Map();
+    this.semanticLoads = new Map();
+    this.memoryOptions = {};
+    this.consolidation = {
+      maxShortTerm: 100,
+      keepRecent: 20,
+      minEntries: 10,
+      intervalMs: 30 * 60 * 1000,
+      similarity: 0.3,
+      maxArchive: 500,
+      summarize: null
+    };
+    this.consolidating = new Set();
+    this.memorySaveTimers = new Map();
+    this.memorySaveDelayMs = 1000;
   }
 
   async initialize() {
+    if (typeof window !== 'undefined' && !window.SemanticMemory) {
+      try {
+        await import('../core/semantic-memory.js');
+      } catch (e) {
+        console.warn('[AgentRuntime] Semantic memory unavailable:', e.message);
+      }
+    }
     await this.loadState();
     this.startHeartbeat();
     console.log('[AgentRuntime] Initialized with', this.agents.size, 'agents');
@@ -27,7 +59,17 @@ export class AgentRuntime {
         if (state) {
           const data = JSON.parse(state);
           data.agents?.forEach(a => this.agents.set(a.id, a));
-          this.taskQueue = data.taskQueue || [];
+          // The memory key holds the full memory, including the consolidation archive
+          await Promise.all(Array.from(this.agents.keys()).map(id => this.loadAgentMemory(id)));
+          this.taskQueue = (data.taskQueue || []).map(task => ({
+            dependsOn: [],
+            labels: [],
+            dueAt: null,
+            escalations: [],
+            assignmentHistory: [],
+            ...task
+          }));
+          this.delegationGraph = new Map(data.delegationGraph || []);
         }
       } catch (e) {
         console.warn('[AgentRuntime] Failed to load state:', e);
@@ -39,8 +81,13 @@ export class AgentRuntime {
     if (typeof puter !== 'undefined' && puter.kv) {
       try {
         const state = {
-          agents: Array.from(this.agents.values()),
+          // memory.archive is only persisted under the agent's memory key
+          agents: Array.from(this.agents.values()).map(agent => {
+            const { archive, ...memory } = agent.memory || {};
+            return { ...agent, memory };
+          }),
           taskQueue: this.taskQueue,
+          delegationGraph: Array.from(this.delegationGraph.entries()),
           timestamp: Date.now()
         };
         await puter.kv.set(`${this.kvNamespace}:state`, JSON.stringify(state));
@@ -56,6 +103,7 @@ export class AgentRuntime {
       name: config.name || 'Unnamed Agent',
       type: config.type || 'general',
       specialty: config.specialty || null,
+      registryId: config.registryId || null,
       status: 'idle',
       presence: 'online',
       createdAt: Date.now(),
@@ -91,6 +139,36 @@ export class AgentRuntime {
     return this.agents.get(id);
   }
 
+  /**
+   * Runtime agent by its own id or by the AgentRegistry id it was created for
+   */
+  findAgent(id) {
+    return this.agents.get(id) || this.getAllAgents().find(a => a.registryId === id) || null;
+  }
+
+  /**
+   * Runtime agent standing in for an AgentRegistry agent, created on first use
+   */
+  linkRegistryAgent(registryAgent) {
+    return this.findAgent(registryAgent.id) || this.createAgent({
+      name: registryAgent.name,
+      type: registryAgent.type,
+      specialty: registryAgent.role,
+      registryId: registryAgent.id,
+      capabilities: registryAgent.capabilities
+    });
+  }
+
+  /**
+   * Record activity for an agent; an agent the heartbeat marked away comes back online
+   */
+  async touchAgent(agentId) {
+    const agent = this.agents.get(agentId);
+    if (!agent) return;
+    if (agent.presence === 'away') return this.updateAgentPresence(agentId, 'online');
+    agent.lastActive = Date.now();
+  }
+
   getAllAgents() {
     return Array.from(this.agents.values());
   }
@@ -124,7 +202,7 @@ export class AgentRuntime {
     if (!agent) return;
 
     const memory = {
-      id: `mem_${Date.now()}`,
+      id: `mem_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
       type,
       data,
       timestamp: Date.now()
@@ -132,19 +210,264 @@ export class AgentRuntime {
 
     if (type === 'short') {
       agent.memory.shortTerm.push(memory);
-      if (agent.memory.shortTerm.length > 100) {
+      const { maxShortTerm } = this.consolidation;
+      if (agent.memory.shortTerm.length > maxShortTerm) {
+        // Runs in the background; the entries it folds are picked before it first awaits
+        this.consolidateMemory(agentId).catch(e =>
+          console.warn('[AgentRuntime] Memory consolidation failed:', e.message));
+      }
+      // Hard cap in case consolidation cannot run; a running one archives what it folds
+      const cap = this.consolidating.has(agentId) ? maxShortTerm * 2 : maxShortTerm;
+      while (agent.memory.shortTerm.length > cap) {
         agent.memory.shortTerm.shift();
       }
     } else {
       agent.memory.longTerm.push(memory);
     }
 
-    await this.saveAgentMemory(agentId);
+    const semantic = await this.getSemanticMemory(agentId);
+    if (semantic) {
+      await semantic.add(typeof data === 'string' ? data : JSON.stringify(data), {
+        memoryId: memory.id,
+        type
+      });
+    }
+
+    this.scheduleMemorySave(agentId);
+    return memory;
+  }
+
+  /**
+   * Coalesce memory writes: the memory and semantic store (up to thousands of chunks) are
+   * written once per memorySaveDelayMs rather than on every addMemory
+   */
+  scheduleMemorySave(agentId) {
+    if (this.memorySaveTimers.has(agentId)) return;
+    this.memorySaveTimers.set(agentId, setTimeout(() => {
+      this.memorySaveTimers.delete(agentId);
+      this.saveAgentMemory(agentId);
+    }, this.memorySaveDelayMs));
+  }
+
+  // ==================== Memory consolidation ====================
+
+  memoryText(entry) {
+    return typeof entry.data === 'string' ? entry.data : JSON.stringify(entry.data);
+  }
+
+  memoryKeywords(texts, limit = 5) {
+    const counts = new Map();
+    texts.forEach(text => {
+      new Set(String(text).toLowerCase().match(/[a-z][a-z0-9_]{3,}/g) || []).forEach(word => {
+        counts.set(word, (counts.get(word) || 0) + 1);
+      });
+    });
+    return Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([word]) => word);
+  }
+
+  /**
+   * Greedy single-pass clustering: each entry joins the most similar cluster centroid above
+   * consolidation.similarity, otherwise starts a new one. Uses SemanticMemory embeddings when
+   * loaded, keyword overlap otherwise.
+   */
+  clusterMemories(entries) {
+    const SemanticMemory = typeof window !== 'undefined' ? window.SemanticMemory : null;
+    const words = text => new Set(String(text).toLowerCase().match(/[a-z0-9_]{3,}/g) || []);
+    const similarity = (a, b) => {
+      if (SemanticMemory) return SemanticMemory.cosine(a, b);
+      const overlap = [...a].filter(w => b.has(w)).length;
+      return overlap / Math.max(1, Math.min(a.size, b.size));
+    };
+
+    const clusters = [];
+    entries.forEach(entry => {
+      const text = this.memoryText(entry);
+      const features = SemanticMemory ? SemanticMemory.hashEmbed(text) : words(text);
+      let best = null;
+      let bestScore = this.consolidation.similarity;
+
+      clusters.forEach(cluster => {
+        const score = similarity(features, cluster.centroid);
+        if (score >= bestScore) {
+          best = cluster;
+          bestScore = score;
+        }
+      });
+
+      if (!best) {
+        clusters.push({ entries: [entry], centroid: features });
+      } else {
+        best.entries.push(entry);
+        best.centroid = SemanticMemory
+          ? best.centroid.map((v, i) => v + (features[i] - v) / best.entries.length)
+          : new Set([...best.centroid, ...features]);
+      }
+    });
+    return clusters.map(c => c.entries);
+  }
+
+  heuristicSummary(entries) {
+    const texts = entries.map(e => this.memoryText(e).replace(/\s+/g, ' '));
+    const keywords = this.memoryKeywords(texts);
+    const first = texts[0].slice(0, 160);
+    const last = texts[texts.length - 1].slice(0, 160);
+    return entries.length === 1
+      ? first
+      : `${entries.length} related entries about ${keywords.join(', ') || 'general activity'}. First: ${first} Latest: ${last}`;
+  }
+
+  /**
+   * Summary of one cluster: consolidation.summarize(entries) if set, else an AI summary via
+   * PuterAIService (charged to agentId) or puter.ai, else a keyword/first/latest heuristic
+   */
+  async summarizeCluster(entries, agentId = null) {
+    const transcript = entries.map(e => `- ${this.memoryText(e).slice(0, 500)}`).join('\n');
+    try {
+      if (this.consolidation.summarize) {
+        return { summary: await this.consolidation.summarize(entries), method: 'custom' };
+      }
+      const messages = [{
+        role: 'user',
+        content: `Condense these related agent memories into one short factual memory. Keep names, decisions, results and open issues.\n${transcript}`
+      }];
+      const puterAI = typeof window !== 'undefined' ? window.puterAI : null;
+      let summary = null;
+      if (puterAI?.complete) {
+        const result = await puterAI.complete(messages, { model: 'gpt-4o-mini', agentId });
+        if (result.success) summary = result.content;
+      } else if (typeof puter !== 'undefined' && puter.ai) {
+        const response = await puter.ai.chat(messages, { model: 'gpt-4o-mini' });
+        summary = response?.message?.content || response;
+      }
+      if (typeof summary === 'string' && summary.trim()) return { summary: summary.trim(), method: 'ai' };
+    } catch (e) {
+      console.warn('[AgentRuntime] Memory summarization failed, using heuristic:', e.message);
+    }
+    return { summary: this.heuristicSummary(entries), method: 'heuristic' };
+  }
+
+  /**
+   * Fold short-term memories (all but the newest keepRecent) into summarized long-term
+   * memories, one per cluster of related entries. Each consolidated memory lists its
+   * source ids; the sources move to memory.archive so getMemoryProvenance can return them.
+   */
+  async consolidateMemory(agentId, options = {}) {
+    const agent = this.agents.get(agentId);
+    if (!agent || this.consolidating.has(agentId)) return [];
+
+    const { keepRecent, minEntries, maxArchive } = { ...this.consolidation, ...options };
+    const candidates = agent.memory.shortTerm.slice(0, Math.max(0, agent.memory.shortTerm.length - keepRecent));
+    if (candidates.length < (options.force ? 1 : minEntries)) return [];
+
+    this.consolidating.add(agentId);
+    try {
+      const consolidated = [];
+      for (const cluster of this.clusterMemories(candidates)) {
+        const { summary, method } = await this.summarizeCluster(cluster, agentId);
+        consolidated.push({
+          id: `mem_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+          type: 'consolidated',
+          data: summary,
+          keywords: this.memoryKeywords(cluster.map(e => this.memoryText(e))),
+          sources: cluster.map(e => e.id),
+          sourceRange: { from: cluster[0].timestamp, to: cluster[cluster.length - 1].timestamp },
+          method,
+          timestamp: Date.now()
+        });
+      }
+
+      const folded = new Set(candidates.map(e => e.id));
+      agent.memory.shortTerm = agent.memory.shortTerm.filter(e => !folded.has(e.id));
+      agent.memory.longTerm.push(...consolidated);
+      agent.memory.archive = [...(agent.memory.archive || []), ...candidates].slice(-maxArchive);
+      agent.memory.lastConsolidatedAt = Date.now();
+
+      const semantic = await this.getSemanticMemory(agentId);
+      for (const memory of consolidated) {
+        await semantic?.add(memory.data, { memoryId: memory.id, type: 'consolidated', sources: memory.sources });
+      }
+
+      this.emit('memory:consolidated', { agentId, memories: consolidated, folded: candidates.length });
+      await this.saveAgentMemory(agentId);
+      return consolidated;
+    } finally {
+      this.consolidating.delete(agentId);
+    }
+  }
+
+  /**
+   * Source entries of a consolidated memory that are still in short-term memory or the archive
+   */
+  getMemoryProvenance(agentId, memoryId) {
+    const agent = this.agents.get(agentId);
+    const memory = agent?.memory.longTerm.find(m => m.id === memoryId);
+    if (!memory?.sources) return [];
+    const pool = [...(agent.memory.archive || []), ...agent.memory.shortTerm];
+    return memory.sources.map(id => pool.find(e => e.id === id)).filter(Boolean);
+  }
+
+  async consolidateDue(now = Date.now()) {
+    for (const agent of this.agents.values()) {
+      const last = agent.memory.lastConsolidatedAt || agent.createdAt;
+      if (now - last >= this.consolidation.intervalMs) {
+        await this.consolidateMemory(agent.id).catch(e =>
+          console.warn('[AgentRuntime] Memory consolidation failed:', e.message));
+      }
+    }
+  }
+
+  /**
+   * Embedding-backed store behind addMemory, when SemanticMemory is loaded. The persisted
+   * store is loaded on first use so a write after a reload does not replace it with an empty one.
+   * memoryOptions (embedder, halfLifeMs, ...) apply to stores created afterwards.
+   */
+  async getSemanticMemory(agentId) {
+    if (!this.semanticMemories.has(agentId)) {
+      const SemanticMemory = typeof window !== 'undefined' ? window.SemanticMemory : null;
+      if (!SemanticMemory) return null;
+      if (!this.semanticLoads.has(agentId)) {
+        this.semanticLoads.set(agentId, this.loadSemanticMemory(agentId, SemanticMemory)
+          .finally(() => this.semanticLoads.delete(agentId)));
+      }
+      await this.semanticLoads.get(agentId);
+    }
+    return this.semanticMemories.get(agentId) || null;
+  }
+
+  /**
+   * Restore an agent's store from KV, or start an empty one when none was saved.
+   * Leaves it unset when KV fails so the saved store is not overwritten.
+   */
+  async loadSemanticMemory(agentId, SemanticMemory) {
+    let store = new SemanticMemory(this.memoryOptions);
+    if (typeof puter !== 'undefined' && puter.kv) {
+      try {
+        const saved = await puter.kv.get(`${this.kvNamespace}:semantic:${agentId}`);
+        if (saved) store = SemanticMemory.fromJSON(JSON.parse(saved), this.memoryOptions);
+      } catch (e) {
+        console.warn('[AgentRuntime] Failed to load semantic memory:', e);
+        return;
+      }
+    }
+    if (!this.semanticMemories.has(agentId)) this.semanticMemories.set(agentId, store);
+  }
+
+  /**
+   * Memories most relevant to a query: [{ text, metadata, similarity, score }]
+   */
+  async recallMemories(agentId, query, options = {}) {
+    const semantic = await this.getSemanticMemory(agentId);
+    return semantic ? semantic.search(query, options) : [];
   }
 
   async saveAgentMemory(agentId) {
     const agent = this.agents.get(agentId);
     if (!agent) return;
+    clearTimeout(this.memorySaveTimers.get(agentId));
+    this.memorySaveTimers.delete(agentId);
 
     if (typeof puter !== 'undefined' && puter.kv) {
       try {
@@ -152,6 +475,10 @@ export class AgentRuntime {
           `${this.kvNamespace}:memory:${agentId}`,
           JSON.stringify(agent.memory)
         );
+        const semantic = this.semanticMemories.get(agentId);
+        if (semantic) {
+          await puter.kv.set(`${this.kvNamespace}:semantic:${agentId}`, JSON.stringify(semantic.toJSON()));
+        }
       } catch (e) {
         console.warn('[AgentRuntime] Failed to save agent memory:', e);
       }
@@ -168,22 +495,45 @@ export class AgentRuntime {
             agent.memory = JSON.parse(data);
           }
         }
+
+        this.semanticMemories.delete(agentId);
+        await this.getSemanticMemory(agentId);
       } catch (e) {
         console.warn('[AgentRuntime] Failed to load agent memory:', e);
       }
     }
   }
 
+  getTask(taskId) {
+    return this.taskQueue.find(t => t.id === taskId);
+  }
+
+  /**
+   * config: { type, priority, description, input, delegatedBy, parentId, dependsOn: [taskId],
+   *           dueAt (timestamp) | dueInMs, labels: [], escalateTo: agentId }
+   */
   createTask(config) {
+    const dependsOn = config.dependsOn || [];
+    dependsOn.forEach(id => {
+      if (!this.getTask(id)) throw new Error(`Unknown dependency: ${id}`);
+    });
+
     const task = {
       id: `task_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
       type: config.type || 'general',
       priority: config.priority || 'normal',
       description: config.description || '',
       input: config.input || {},
-      status: 'pending',
+      status: TASK_STATUS.PENDING,
       assignedTo: null,
       delegatedBy: config.delegatedBy || null,
+      parentId: config.parentId || null,
+      dependsOn,
+      labels: config.labels || [],
+      dueAt: config.dueAt || (config.dueInMs ? Date.now() + config.dueInMs : null),
+      escalateTo: config.escalateTo || null,
+      escalations: [],
+      assignmentHistory: [],
       createdAt: Date.now(),
       startedAt: null,
       completedAt: null,
@@ -193,21 +543,176 @@ export class AgentRuntime {
     };
 
     this.taskQueue.push(task);
+    this.updateBlocked(task);
     this.emit('task:created', task);
     this.saveState();
     return task;
   }
 
-  async assignTask(taskId, agentId) {
+  // ==================== Task board ====================
+
+  getBlockers(task) {
+    return task.dependsOn.filter(id => this.getTask(id)?.status !== TASK_STATUS.COMPLETED);
+  }
+
+  /**
+   * Move a task between blocked and its runnable status as its dependencies settle
+   */
+  updateBlocked(task) {
+    if ([TASK_STATUS.COMPLETED, TASK_STATUS.FAILED, TASK_STATUS.RUNNING].includes(task.status)) return false;
+
+    const blocked = this.getBlockers(task).length > 0;
+    const next = blocked
+      ? TASK_STATUS.BLOCKED
+      : (task.assignedTo ? TASK_STATUS.ASSIGNED : TASK_STATUS.PENDING);
+    if (next === task.status) return false;
+
+    task.status = next;
+    task.logs.push({ time: Date.now(), message: blocked ? `Blocked by ${this.getBlockers(task).join(', ')}` : 'Unblocked' });
+    this.emit(blocked ? 'task:blocked' : 'task:unblocked', task);
+    return true;
+  }
+
+  getDependents(taskId) {
+    return this.taskQueue.filter(t => t.dependsOn.includes(taskId));
+  }
+
+  addDependency(taskId, dependsOnId) {
+    const task = this.getTask(taskId);
+    if (!task || !this.getTask(dependsOnId)) throw new Error('Task not found');
+    if (taskId === dependsOnId || this.dependsOnTransitively(dependsOnId, taskId)) {
+      throw new Error(`Dependency cycle: ${taskId} -> ${dependsOnId}`);
+    }
+    if (!task.dependsOn.includes(dependsOnId)) {
+      task.dependsOn.push(dependsOnId);
+      this.updateBlocked(task);
+      this.saveState();
+    }
+    return task;
+  }
+
+  removeDependency(taskId, dependsOnId) {
+    const task = this.getTask(taskId);
+    if (!task) return null;
+    task.dependsOn = task.dependsOn.filter(id => id !== dependsOnId);
+    this.updateBlocked(task);
+    this.saveState();
+    return task;
+  }
+
+  dependsOnTransitively(taskId, targetId, seen = new Set()) {
+    if (seen.has(taskId)) return false;
+    seen.add(taskId);
+    const task = this.getTask(taskId);
+    return !!task?.dependsOn.some(id => id === targetId || this.dependsOnTransitively(id, targetId, seen));
+  }
+
+  isOverdue(task, now = Date.now()) {
+    return !!task.dueAt && task.dueAt < now &&
+      task.status !== TASK_STATUS.COMPLETED && task.status !== TASK_STATUS.FAILED;
+  }
+
+  setDueDate(taskId, dueAt) {
+    const task = this.getTask(taskId);
+    if (!task) return null;
+    task.dueAt = dueAt;
+    task.escalations = [];
+    this.saveState();
+    return task;
+  }
+
+  setLabels(taskId, labels) {
+    const task = this.getTask(taskId);
+    if (!task) return null;
+    task.labels = [...new Set(labels)];
+    this.saveState();
+    return task;
+  }
+
+  /**
+   * Filter the board: { agentId, status, label, blocked, overdue, parentId, dependsOn }
+   * e.g. queryTasks({ agentId: 'agent_x', blocked: true }) for all blocked tasks of one agent
+   */
+  queryTasks(filter = {}) {
+    const now = Date.now();
+    const statuses = filter.status ? [].concat(filter.status) : null;
+    return this.taskQueue.filter(task =>
+      (filter.agentId === undefined || task.assignedTo === filter.agentId) &&
+      (!statuses || statuses.includes(task.status)) &&
+      (!filter.label || task.labels.includes(filter.label)) &&
+      (filter.blocked === undefined || (task.status === TASK_STATUS.BLOCKED) === filter.blocked) &&
+      (filter.overdue === undefined || this.isOverdue(task, now) === filter.overdue) &&
+      (filter.parentId === undefined || task.parentId === filter.parentId) &&
+      (!filter.dependsOn || task.dependsOn.includes(filter.dependsOn))
+    );
+  }
+
+  getBlockedTasks(agentId) {
+    return this.queryTasks({ agentId, blocked: true });
+  }
+
+  getOverdueTasks(agentId) {
+    return this.queryTasks({ agentId, overdue: true });
+  }
+
+  getAgentLoad(agentId) {
+    return this.taskQueue.filter(t => t.assignedTo === agentId &&
+      [TASK_STATUS.ASSIGNED, TASK_STATUS.RUNNING, TASK_STATUS.BLOCKED].includes(t.status)).length;
+  }
+
+  /**
+   * Overdue tasks are reassigned to the least loaded idle online agent (escalationPolicy
+   * 'reassign'), otherwise - or when nobody is free - 'task:escalated' notifies the task's
+   * escalateTo leader. Each task escalates once per due date.
+   */
+  async escalateOverdue(now = Date.now()) {
+    const overdue = this.taskQueue.filter(t => this.isOverdue(t, now) && t.escalations.length === 0);
+
+    for (const task of overdue) {
+      const candidate = this.escalationPolicy === 'reassign'
+        ? this.getActiveAgents()
+          .filter(a => a.id !== task.assignedTo && a.status !== 'terminated' && !a.tasks?.active)
+          .sort((a, b) => this.getAgentLoad(a.id) - this.getAgentLoad(b.id))[0]
+        : null;
+
+      const escalation = { at: now, from: task.assignedTo, to: null, leader: task.escalateTo, action: 'notify' };
+      if (candidate && task.status !== TASK_STATUS.RUNNING) {
+        escalation.action = 'reassign';
+        escalation.to = candidate.id;
+        task.escalations.push(escalation);
+        await this.assignTask(task.id, candidate.id, 'overdue');
+      } else {
+        task.escalations.push(escalation);
+      }
+
+      task.logs.push({ time: now, message: `Overdue: ${escalation.action}${escalation.to ? ` to ${escalation.to}` : ''}` });
+      this.emit('task:escalated', { task, escalation });
+    }
+
+    if (overdue.length) await this.saveState();
+    return overdue;
+  }
+
+  async assignTask(taskId, agentId, reason = 'assigned') {
     const task = this.taskQueue.find(t => t.id === taskId);
     const agent = this.agents.get(agentId);
 
     if (!task || !agent) return null;
 
+    const previous = task.assignedTo ? this.agents.get(task.assignedTo) : null;
+    if (previous && previous.tasks.active === taskId) {
+      previous.tasks.active = null;
+      previous.status = 'idle';
+    }
+
+    task.assignmentHistory.push({ agentId, from: task.assignedTo, reason, at: Date.now() });
     task.assignedTo = agentId;
-    task.status = 'assigned';
-    agent.tasks.active = taskId;
-    agent.status = 'working';
+    task.status = TASK_STATUS.ASSIGNED;
+    this.updateBlocked(task);
+    if (task.status !== TASK_STATUS.BLOCKED) {
+      agent.tasks.active = taskId;
+      agent.status = 'working';
+    }
 
     this.emit('task:assigned', { task, agent });
     await this.saveState();
@@ -217,6 +722,9 @@ export class AgentRuntime {
   async startTask(taskId) {
     const task = this.taskQueue.find(t => t.id === taskId);
     if (!task) return null;
+    if (this.getBlockers(task).length) {
+      throw new Error(`Task ${taskId} is blocked by ${this.getBlockers(task).join(', ')}`);
+    }
 
     task.status = 'running';
     task.startedAt = Date.now();
@@ -251,8 +759,14 @@ export class AgentRuntime {
       this.emit('agent:status', { agentId: agent.id, status: 'idle' });
     }
 
+    this.getDependents(taskId).forEach(dependent => this.updateBlocked(dependent));
+
     this.emit('task:completed', task);
     await this.saveState();
+    if (agent) {
+      this.consolidateMemory(agent.id).catch(e =>
+        console.warn('[AgentRuntime] Memory consolidation failed:', e.message));
+    }
     return task;
   }
 
@@ -280,6 +794,7 @@ export class AgentRuntime {
   delegateTask(parentTaskId, childConfig, fromAgentId, toAgentId) {
     const childTask = this.createTask({
       ...childConfig,
+      parentId: parentTaskId,
       delegatedBy: fromAgentId
     });
 
@@ -294,7 +809,7 @@ export class AgentRuntime {
     }
 
     if (toAgentId) {
-      this.assignTask(childTask.id, toAgentId);
+      this.assignTask(childTask.id, toAgentId, `delegated by ${fromAgentId}`);
     }
 
     this.emit('task:delegated', { parent: parentTaskId, child: childTask });
@@ -338,19 +853,24 @@ export class AgentRuntime {
   }
 
   startHeartbeat() {
-    setInterval(() => {
-      const now = Date.now();
-      this.agents.forEach(agent => {
-        if (agent.presence === 'online') {
-          agent.stats.uptime += this.heartbeatInterval / 1000;
-          if (now - agent.lastActive > 60000) {
-            agent.presence = 'away';
-            this.emit('agent:presence', { agentId: agent.id, presence: 'away' });
-          }
+    if (this.heartbeatTimer) clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatInterval);
+  }
+
+  async heartbeat() {
+    const now = Date.now();
+    this.agents.forEach(agent => {
+      if (agent.presence === 'online') {
+        agent.stats.uptime += this.heartbeatInterval / 1000;
+        if (now - agent.lastActive > 60000) {
+          agent.presence = 'away';
+          this.emit('agent:presence', { agentId: agent.id, presence: 'away' });
         }
-      });
-      this.emit('heartbeat', { timestamp: now, agents: this.getActiveAgents().length });
-    }, this.heartbeatInterval);
+      }
+    });
+    await this.escalateOverdue(now);
+    await this.consolidateDue(now);
+    this.emit('heartbeat', { timestamp: now, agents: this.getActiveAgents().length });
   }
 
   on(event, callback) {
@@ -3,12 +3,25 @@
  * Specialized shell environment for AI-assisted code generation, debugging, and execution
  */
 
+import '../core/context-manager.js';
+import '../core/diff-engine.js';
+import { eventBus, TOPICS } from '../event-bus.js';
+import { CollabDocument, diffRange } from './collab-document.js';
+
 export class CodeNinjaShell {
+  static JOURNAL_SOURCE = 'code-ninja';
+
   constructor() {
     this.shells = new Map();
     this.templates = this.initTemplates();
     this.kvNamespace = 'code_ninja';
+    this.contexts = new Map();
     this.listeners = new Map();
+    this.documents = new Map();
+    this.site = `site_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    this.bus = null;
+    this.collabUnsubscribers = null;
+    this.saveTimer = null;
   }
 
   initTemplates() {
@@ -96,6 +109,7 @@ export class CodeNinjaShell {
 
   async initialize() {
     await this.loadState();
+    this.registerJournalSource();
     console.log('[CodeNinjaShell] Initialized with', this.shells.size, 'shells');
     return this;
   }
@@ -117,6 +131,7 @@ export class CodeNinjaShell {
   async saveState() {
     if (typeof puter !== 'undefined' && puter.kv) {
       try {
+        this.snapshotDocuments();
         const state = {
           shells: Array.from(this.shells.values()),
           timestamp: Date.now()
@@ -199,7 +214,14 @@ When debugging, explain the root cause and provide step-by-step fixes.`;
     }));
   }
 
-  async executeAICommand(shellId, command, context = {}) {
+  /**
+   * Run an AI command in a shell. Pass `options.stream` (or `options.onToken`) to receive
+   * tokens as they arrive via `onToken` and `shell:ai-token`; `options.signal` cancels.
+   * With `context.path` naming a file in the shell's context the command is an edit to that
+   * file: the entry's response is the proposed diff and `proposalId` names the pending
+   * proposal (see proposeFileEdit) to review and apply with applyFileEdit.
+   */
+  async executeAICommand(shellId, command, context = {}, options = {}) {
     const shell = this.shells.get(shellId);
     if (!shell) {
       throw new Error('Shell not found');
@@ -222,7 +244,25 @@ When debugging, explain the root cause and provide step-by-step fixes.`;
     this.emit('shell:ai-start', { shellId, entry });
 
     try {
-      const response = await this.callAI(shell, command, context);
+      if (context.path && this.getFileContent(shell, context.path) !== null) {
+        const proposal = await this.proposeFileEdit(shellId, context.path, command, { signal: options.signal });
+        entry.proposalId = proposal.id;
+        entry.response = proposal.diff;
+        entry.status = 'completed';
+        this.emit('shell:ai-complete', { shellId, entry });
+        await this.saveState();
+        return entry;
+      }
+
+      const onToken = (options.stream || options.onToken)
+        ? (delta, content) => {
+          entry.response = content;
+          options.onToken?.(delta, content);
+          this.emit('shell:ai-token', { shellId, entryId: entry.id, delta, content });
+        }
+        : null;
+
+      const response = await this.callAI(shell, command, context, { onToken, signal: options.signal });
       entry.response = response;
       entry.status = 'completed';
       
@@ -235,6 +275,7 @@ When debugging, explain the root cause and provide step-by-step fixes.`;
         shell.aiSession.conversationHistory = shell.aiSession.conversationHistory.slice(-20);
       }
 
+      shell.aiSession.context = this.contexts.get(shell.id)?.toJSON() || null;
       shell.stats.aiCalls++;
       this.emit('shell:ai-complete', { shellId, entry });
     } catch (error) {
@@ -247,7 +288,55 @@ When debugging, explain the root cause and provide step-by-step fixes.`;
     return entry;
   }
 
-  async callAI(shell, command, context) {
+  /**
+   * Context manager for a shell's AI session, restored from aiSession.context
+   */
+  getAIContext(shell) {
+    if (!this.contexts.has(shell.id)) {
+      const puterAI = typeof window !== 'undefined' ? window.puterAI : null;
+      // The window is set per request from the model (see callAI)
+      this.contexts.set(shell.id, window.ContextManager.fromJSON(shell.aiSession.context, {
+        summarize: puterAI ? (turns, previous) => puterAI.summarizeTurns(turns, previous) : null
+      }));
+    }
+    return this.contexts.get(shell.id);
+  }
+
+  /**
+   * AgentRuntime agent behind a shell, matched by its own or its AgentRegistry id
+   */
+  getRuntimeAgent(shell) {
+    const runtime = typeof window !== 'undefined' ? window.agentRuntime : null;
+    return shell.agentId && runtime?.findAgent ? runtime.findAgent(shell.agentId) : null;
+  }
+
+  /**
+   * The shell's system prompt with the runtime memories of its agent that relate to the prompt
+   */
+  async getSystemPrompt(shell, prompt) {
+    const system = shell.aiSession.systemPrompt;
+    const agent = this.getRuntimeAgent(shell);
+    if (!agent) return system;
+
+    try {
+      const memories = await window.agentRuntime.recallMemories(agent.id, prompt, { k: 4 });
+      return memories.length
+        ? `${system}\n\nRelevant memories:\n${memories.map(m => `- ${m.text.replace(/\s+/g, ' ')}`).join('\n')}`
+        : system;
+    } catch (e) {
+      console.warn('[CodeNinjaShell] Memory recall failed:', e.message);
+      return system;
+    }
+  }
+
+  rememberExchange(shell, command, response) {
+    const agent = this.getRuntimeAgent(shell);
+    if (!agent || typeof response !== 'string') return;
+    window.agentRuntime.addMemory(agent.id, 'short', `${shell.name}: ${command}\n${response.slice(0, 1000)}`)
+      .catch(e => console.warn('[CodeNinjaShell] Failed to store memory:', e.message));
+  }
+
+  async callAI(shell, command, context, options = {}) {
     const template = this.templates[shell.templateId];
     
     let prompt = command;
@@ -261,18 +350,57 @@ When debugging, explain the root cause and provide step-by-step fixes.`;
       prompt += `\n\nRelevant files: ${context.files.join(', ')}`;
     }
 
+    const aiContext = this.getAIContext(shell);
+    const puterAI = typeof window !== 'undefined' ? window.puterAI : null;
+    const keepHistory = options.history !== false;
+    const system = keepHistory ? await this.getSystemPrompt(shell, prompt) : shell.aiSession.systemPrompt;
+    if (options.onToken && keepHistory && puterAI && typeof puter !== 'undefined' && puter.ai) {
+      const stream = await puterAI.chat(prompt, {
+        model: shell.aiSession.model === 'auto' ? undefined : shell.aiSession.model,
+        system,
+        conversationId: shell.id,
+        agentId: shell.agentId,
+        context: aiContext,
+        useHistory: false,
+        stream: true,
+        signal: options.signal,
+        onToken: options.onToken
+      });
+      const result = await stream.result;
+      if (!result.success) throw new Error(result.error);
+      this.rememberExchange(shell, command, result.content);
+      return result.content;
+    }
+
     if (typeof puter !== 'undefined' && puter.ai) {
       try {
-        const response = await puter.ai.chat(prompt, {
-          model: shell.aiSession.model === 'auto' ? undefined : shell.aiSession.model,
-          systemPrompt: shell.aiSession.systemPrompt
-        });
-        return response;
+        const model = shell.aiSession.model === 'auto' ? undefined : shell.aiSession.model;
+        const messages = keepHistory
+          ? await aiContext.build({ system, query: prompt, pending: prompt, maxTokens: puterAI?.getContextWindow?.(model) })
+          : [{ role: 'system', content: system }, { role: 'user', content: prompt }];
+        let content;
+        if (puterAI?.complete) {
+          // PuterAIService applies the shell agent's budget and records its usage
+          const result = await puterAI.complete(messages, { model, agentId: shell.agentId, conversationId: shell.id });
+          if (!result.success) throw new Error(result.error);
+          content = result.content;
+        } else {
+          const response = await puter.ai.chat(messages, { model });
+          content = response?.message?.content || response?.content || response;
+        }
+        if (keepHistory) {
+          aiContext.add('user', prompt);
+          aiContext.add('assistant', content);
+          this.rememberExchange(shell, command, content);
+        }
+        return content;
       } catch (e) {
+        if (options.simulate === false) throw e;
         console.warn('[CodeNinjaShell] Puter AI error:', e);
       }
     }
 
+    if (options.simulate === false) throw new Error('AI is not available');
     return this.simulateAIResponse(shell, command, template);
   }
 
@@ -301,6 +429,12 @@ When debugging, explain the root cause and provide step-by-step fixes.`;
     const shell = this.shells.get(shellId);
     if (!shell) return;
 
+    // Open collaborative files take the change as an edit instead of a new copy
+    if (this.documents.has(this.documentId(shellId, filePath))) {
+      this.replaceDocument(shellId, filePath, content, 'system');
+      return;
+    }
+
     shell.context.files.push({
       path: filePath,
       content,
@@ -314,6 +448,147 @@ When debugging, explain the root cause and provide step-by-step fixes.`;
     this.saveState();
   }
 
+  // ==================== AI edits ====================
+
+  getFileContent(shell, path) {
+    const doc = this.getDocument(shell.id, path);
+    if (doc) return doc.getText();
+    return shell.context.files.find(f => f.path === path)?.content ?? null;
+  }
+
+  writeFileContent(shell, path, content, actor) {
+    if (this.getDocument(shell.id, path)) {
+      this.replaceDocument(shell.id, path, content, actor);
+      return;
+    }
+    const file = shell.context.files.find(f => f.path === path);
+    if (file) {
+      file.content = content;
+      file.updatedAt = Date.now();
+    } else {
+      this.addFileToContext(shell.id, path, content);
+    }
+  }
+
+  /**
+   * Ask the shell's AI for an edit to a context file as a unified diff. The proposal is kept
+   * in context.proposals for review; nothing changes until applyFileEdit. Throws when the AI
+   * is unavailable - canned responses are never parsed as edits. A whole-file rewrite is
+   * flagged needsReview.
+   */
+  async proposeFileEdit(shellId, path, instruction, options = {}) {
+    const shell = this.shells.get(shellId);
+    if (!shell) throw new Error('Shell not found');
+
+    const content = this.getFileContent(shell, path);
+    if (content === null) throw new Error(`File not in context: ${path}`);
+
+    const DiffEngine = window.DiffEngine;
+    // The prompt carries the whole file, so it stays out of the session history and memory
+    const response = await this.callAI(shell, DiffEngine.editPrompt(path, content, instruction), {}, {
+      signal: options.signal,
+      history: false,
+      simulate: false
+    });
+    const { patch, diff, stats, fromFullText } = DiffEngine.patchFromResponse(content, response, path);
+    if (!patch?.hunks.length) throw new Error('AI response contained no changes');
+
+    const proposal = {
+      id: `edit_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      path,
+      instruction,
+      patch,
+      diff,
+      stats,
+      fromFullText,
+      needsReview: fromFullText,
+      status: 'pending',
+      createdAt: Date.now()
+    };
+    shell.context.proposals = [...(shell.context.proposals || []), proposal].slice(-10);
+    shell.stats.aiCalls++;
+
+    this.emit('shell:edit-proposed', { shellId, proposal });
+    await this.saveState();
+    return proposal;
+  }
+
+  getFileEdit(shell, proposalId) {
+    const proposal = shell.context.proposals?.find(p => p.id === proposalId);
+    if (!proposal) throw new Error(`Edit proposal not found: ${proposalId}`);
+    if (proposal.status !== 'pending') throw new Error(`Edit proposal already ${proposal.status}`);
+    return proposal;
+  }
+
+  /**
+   * Apply a proposal. options.hunks (indices) or options.accept(hunk, index) pick hunks;
+   * the rest are rejected. The file is opened as a shared document and the change is typed
+   * in by the agent (streamAgentEdit) so other replicas see it live; options.live = false
+   * writes the context copy directly. Applied changes are recorded in AIJournal. A proposal
+   * flagged needsReview (a whole-file rewrite) is only applied with options.confirmed.
+   */
+  async applyFileEdit(shellId, proposalId, options = {}) {
+    const shell = this.shells.get(shellId);
+    if (!shell) throw new Error('Shell not found');
+    const proposal = this.getFileEdit(shell, proposalId);
+    if (proposal.needsReview && !options.confirmed) {
+      throw new Error(`Edit proposal ${proposalId} rewrites all of ${proposal.path}; review it and apply with confirmed: true`);
+    }
+
+    const before = this.getFileContent(shell, proposal.path) ?? '';
+    const result = window.DiffEngine.applyPatch(before, proposal.patch, options);
+    const actor = options.actor || shell.agentId || 'code-ninja';
+
+    if (result.applied) {
+      if (options.live === false) {
+        this.writeFileContent(shell, proposal.path, result.text, actor);
+      } else {
+        if (!this.getDocument(shellId, proposal.path)) this.openDocument(shellId, proposal.path);
+        result.text = await this.streamAgentEdit(shellId, proposal.path, result.text, {
+          actor,
+          delayMs: options.delayMs,
+          signal: options.signal
+        });
+      }
+      shell.stats.filesGenerated++;
+
+      const journal = this.registerJournalSource();
+      const key = this.documentId(shellId, proposal.path);
+      try {
+        await journal?.trackFileOperation({
+          agent: actor,
+          model: shell.aiSession.model,
+          description: `Applied ${result.applied}/${proposal.patch.hunks.length} hunk(s) to ${proposal.path}: ${proposal.instruction}`,
+          source: CodeNinjaShell.JOURNAL_SOURCE,
+          files: [{ path: key, content: result.text, action: 'modified' }],
+          beforeFiles: [{ path: key, content: before }]
+        });
+      } catch (e) {
+        console.warn('[CodeNinjaShell] Failed to journal edit:', e.message);
+      }
+    }
+
+    proposal.status = !result.applied ? 'rejected' : (result.rejected || result.failed) ? 'partial' : 'applied';
+    proposal.results = result.results;
+    proposal.resolvedAt = Date.now();
+
+    this.emit('shell:edit-applied', { shellId, proposal, result });
+    await this.saveState();
+    return { proposal, ...result };
+  }
+
+  async rejectFileEdit(shellId, proposalId) {
+    const shell = this.shells.get(shellId);
+    if (!shell) throw new Error('Shell not found');
+    const proposal = this.getFileEdit(shell, proposalId);
+
+    proposal.status = 'rejected';
+    proposal.resolvedAt = Date.now();
+    this.emit('shell:edit-rejected', { shellId, proposal });
+    await this.saveState();
+    return proposal;
+  }
+
   setContextVariable(shellId, key, value) {
     const shell = this.shells.get(shellId);
     if (!shell) return;
@@ -333,16 +608,260 @@ When debugging, explain the root cause and provide step-by-step fixes.`;
       history: []
     };
     shell.aiSession.conversationHistory = [];
+    shell.aiSession.context = null;
+    this.contexts.delete(shellId);
+    this.closeShellDocuments(shellId);
     this.saveState();
   }
 
+  /**
+   * Let AIJournal read and revert context files, which it tracks as `<shellId>:<path>`
+   */
+  registerJournalSource() {
+    const journal = typeof window !== 'undefined' ? window.aiJournal : null;
+    if (!journal?.registerSource) return null;
+    if (journal.sources.has(CodeNinjaShell.JOURNAL_SOURCE)) return journal;
+
+    const resolve = key => {
+      const at = key.indexOf(':');
+      const shell = this.shells.get(key.slice(0, at));
+      if (!shell) throw new Error(`Shell not found for ${key}`);
+      return { shell, path: key.slice(at + 1) };
+    };
+    journal.registerSource(CodeNinjaShell.JOURNAL_SOURCE, {
+      read: key => {
+        const { shell, path } = resolve(key);
+        return this.getFileContent(shell, path);
+      },
+      write: async (key, content) => {
+        const { shell, path } = resolve(key);
+        this.writeFileContent(shell, path, content, 'revert');
+        await this.saveState();
+      },
+      remove: async key => {
+        const { shell, path } = resolve(key);
+        this.closeDocument(shell.id, path);
+        shell.context.files = shell.context.files.filter(f => f.path !== path);
+        await this.saveState();
+      }
+    });
+    return journal;
+  }
+
+  // ==================== Collaborative files ====================
+
+  documentId(shellId, path) {
+    return `${shellId}:${path}`;
+  }
+
+  /**
+   * Subscribe to collab updates, cursor presence and sync requests from other replicas
+   * (other tabs over BroadcastChannel, other machines over the EventBus WebSocket)
+   */
+  connectCollab(bus = null) {
+    if (bus && bus !== this.bus) {
+      this.collabUnsubscribers?.forEach(off => off());
+      this.collabUnsubscribers = null;
+      this.bus = bus;
+    }
+    this.bus = this.bus || eventBus;
+    if (this.collabUnsubscribers) return this.bus;
+
+    this.collabUnsubscribers = [
+      this.bus.subscribe(TOPICS.COLLAB_UPDATE, update => {
+        if (update?.site === this.site) return;
+        this.documents.get(update?.docId)?.doc.applyUpdate(update);
+      }),
+      this.bus.subscribe(TOPICS.COLLAB_CURSOR, presence => {
+        if (presence?.site === this.site) return;
+        this.documents.get(presence?.docId)?.doc.applyPresence(presence);
+      }),
+      this.bus.subscribe(TOPICS.COLLAB_SYNC, request => {
+        if (request?.site === this.site) return;
+        const entry = this.documents.get(request?.docId);
+        if (!entry) return;
+        this.bus.emit(TOPICS.COLLAB_UPDATE, entry.doc.getState());
+        entry.doc.cursors.forEach(presence => {
+          if (presence.site === this.site) this.bus.emit(TOPICS.COLLAB_CURSOR, presence);
+        });
+      })
+    ];
+    return this.bus;
+  }
+
+  publish(topic, payload) {
+    if (topic === TOPICS.COLLAB_UPDATE && !payload.ops.length) return;
+    this.connectCollab().emit(topic, payload);
+  }
+
+  /**
+   * Open a file of the shell's context as a shared document. The CRDT state saved with the
+   * file is restored when there is one, so edits merge with other replicas after a reload;
+   * otherwise options.content (else the context copy) seeds it and the document joins the
+   * state of any replica that already has it open. Changes from any actor update the context copy.
+   */
+  openDocument(shellId, path, options = {}) {
+    const shell = this.shells.get(shellId);
+    if (!shell) throw new Error('Shell not found');
+
+    const docId = this.documentId(shellId, path);
+    if (this.documents.has(docId)) return this.documents.get(docId).doc;
+
+    let file = shell.context.files.find(f => f.path === path);
+    const content = options.content ?? file?.content ?? '';
+    const doc = file?.crdt
+      ? new CollabDocument(docId, { site: this.site, state: file.crdt })
+      : new CollabDocument(docId, { site: this.site, content });
+    // The context copy may have changed while the document was closed
+    if (file?.crdt && doc.getText() !== content) doc.replaceText(content, 'system');
+
+    if (!file) {
+      file = { path, content: doc.getText(), addedAt: Date.now() };
+      shell.context.files.push(file);
+      if (shell.context.files.length > 10) shell.context.files.shift();
+    }
+    file.collab = true;
+
+    doc.on('change', change => {
+      const current = shell.context.files.find(f => f.path === path);
+      if (current) {
+        current.content = change.text;
+        current.updatedAt = Date.now();
+      }
+      this.emit('collab:change', { shellId, path, ...change });
+      this.scheduleSave();
+    });
+    doc.on('cursor', presence => this.emit('collab:cursor', { shellId, path, presence }));
+
+    this.documents.set(docId, { doc, shellId, path });
+    this.publish(TOPICS.COLLAB_SYNC, { docId, site: this.site });
+    this.publish(TOPICS.COLLAB_UPDATE, doc.getState());
+    this.emit('collab:open', { shellId, path, docId });
+    return doc;
+  }
+
+  getDocument(shellId, path) {
+    return this.documents.get(this.documentId(shellId, path))?.doc || null;
+  }
+
+  requireDocument(shellId, path) {
+    const doc = this.getDocument(shellId, path);
+    if (!doc) throw new Error(`Document not open: ${path}`);
+    return doc;
+  }
+
+  /**
+   * Edit an open document: { index, deleteCount, text, actor }
+   */
+  editDocument(shellId, path, edit) {
+    const doc = this.requireDocument(shellId, path);
+    const update = doc.splice(edit.index, edit.deleteCount || 0, edit.text || '', edit.actor || 'user');
+    this.publish(TOPICS.COLLAB_UPDATE, update);
+    return update;
+  }
+
+  /**
+   * Set the whole content, sending only the changed range
+   */
+  replaceDocument(shellId, path, content, actor = 'user') {
+    const doc = this.requireDocument(shellId, path);
+    const update = doc.replaceText(content, actor);
+    this.publish(TOPICS.COLLAB_UPDATE, update);
+    return update;
+  }
+
+  /**
+   * Apply an agent's new version of a file as a live edit: the replaced range is removed,
+   * then the new text is typed in chunks behind the agent's cursor. Insertions are anchored
+   * to the agent's last character, so concurrent user edits elsewhere are kept.
+   * options: { actor, chunkSize, delayMs, signal }
+   */
+  async streamAgentEdit(shellId, path, content, options = {}) {
+    const doc = this.requireDocument(shellId, path);
+    const actor = options.actor || this.shells.get(shellId)?.agentId || 'agent';
+    const chunkSize = options.chunkSize || 24;
+    const delayMs = options.delayMs ?? 30;
+
+    const { index, deleteCount, text } = diffRange(doc.getText(), content);
+    if (deleteCount) this.publish(TOPICS.COLLAB_UPDATE, doc.delete(index, deleteCount, actor));
+
+    let anchor = doc.idBefore(index);
+    for (let offset = 0; offset < text.length; offset += chunkSize) {
+      if (options.signal?.aborted) break;
+      const update = doc.insert(doc.indexAfter(anchor), text.slice(offset, offset + chunkSize), actor);
+      anchor = update.ops[update.ops.length - 1].id;
+      this.publish(TOPICS.COLLAB_UPDATE, update);
+      this.publish(TOPICS.COLLAB_CURSOR, doc.setCursor(actor, doc.indexAfter(anchor)));
+      if (delayMs && offset + chunkSize < text.length) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+    return doc.getText();
+  }
+
+  setDocumentCursor(shellId, path, actor, index, selectionEnd = null, info = {}) {
+    const presence = this.requireDocument(shellId, path).setCursor(actor, index, selectionEnd, info);
+    this.publish(TOPICS.COLLAB_CURSOR, presence);
+    return presence;
+  }
+
+  getDocumentCursors(shellId, path) {
+    return this.getDocument(shellId, path)?.getCursors() || [];
+  }
+
+  closeDocument(shellId, path) {
+    const docId = this.documentId(shellId, path);
+    const entry = this.documents.get(docId);
+    if (!entry) return false;
+
+    entry.doc.cursors.forEach(presence => {
+      if (presence.site === this.site) {
+        this.publish(TOPICS.COLLAB_CURSOR, { ...presence, removed: true, at: Date.now() });
+      }
+    });
+    this.documents.delete(docId);
+    const file = this.shells.get(shellId)?.context.files.find(f => f.path === path);
+    if (file) {
+      file.crdt = entry.doc.toJSON();
+      delete file.collab;
+    }
+    this.emit('collab:close', { shellId, path, docId });
+    return true;
+  }
+
+  /**
+   * Store each open document's CRDT state with its context file
+   */
+  snapshotDocuments() {
+    this.documents.forEach(({ doc, shellId, path }) => {
+      const file = this.shells.get(shellId)?.context.files.find(f => f.path === path);
+      if (file) file.crdt = doc.toJSON();
+    });
+  }
+
+  closeShellDocuments(shellId) {
+    Array.from(this.documents.values())
+      .filter(entry => entry.shellId === shellId)
+      .forEach(entry => this.closeDocument(shellId, entry.path));
+  }
+
+  scheduleSave(delayMs = 500) {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveState();
+    }, delayMs);
+  }
+
   async terminateShell(shellId) {
     const shell = this.shells.get(shellId);
     if (!shell) return;
 
     shell.status = 'terminated';
+    this.closeShellDocuments(shellId);
     this.emit('shell:terminated', shell);
     this.shells.delete(shellId);
+    this.contexts.delete(shellId);
     await this.saveState();
   }
 
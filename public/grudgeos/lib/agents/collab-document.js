@@ -0,0 +1,408 @@
+/**
+ * Collaborative Document
+ * Replicated text (RGA sequence CRDT) that several actors - the user and agents, in this tab
+ * or on other replicas - can edit at once. Every character has a stable id `counter@site`;
+ * inserts name the character they follow, deletes leave tombstones, so updates merge in any
+ * order. Cursors are anchored to character ids and survive concurrent edits.
+ */
+
+const HEAD = null;
+
+export function compareIds(a, b) {
+  const [ca, sa] = parseId(a);
+  const [cb, sb] = parseId(b);
+  if (ca !== cb) return ca - cb;
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+}
+
+function parseId(id) {
+  const at = id.indexOf('@');
+  return [Number(id.slice(0, at)), id.slice(at + 1)];
+}
+
+/**
+ * Common prefix/suffix diff: the single replaced range turning `before` into `after`
+ */
+export function diffRange(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+  return { index: start, deleteCount: endBefore - start, text: after.slice(start, endAfter) };
+}
+
+export class CollabDocument {
+  /**
+   * options: { site (replica id), state (from toJSON), content (initial text) }.
+   * A saved state keeps the character ids of an earlier session, so a reloaded replica merges
+   * with the others. Initial content gets ids derived from the content (`n@seed_<hash>`), so
+   * replicas opened with the same content converge instead of duplicating it; a replica still
+   * holding only its seed adopts the first full state it receives from another replica.
+   */
+  constructor(docId, options = {}) {
+    this.docId = docId;
+    this.site = options.site || `site_${Math.random().toString(36).slice(2, 10)}`;
+    this.clock = 0;
+    this.elements = new Map();
+    this.sequence = [];
+    this.lastIndex = -1;
+    this.pending = [];
+    this.cursors = new Map();
+    this.listeners = new Map();
+    this.pristine = false;
+
+    if (options.state) {
+      this.load(options.state);
+    } else if (options.content) {
+      this.seed(options.content);
+      this.pristine = true;
+    }
+  }
+
+  seed(content) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < content.length; i++) {
+      hash = Math.imul(hash ^ content.charCodeAt(i), 0x01000193);
+    }
+    const seedSite = `seed_${(hash >>> 0).toString(36)}`;
+
+    let after = HEAD;
+    const ops = Array.from(content).map((char, i) => {
+      const op = { type: 'insert', id: `${i + 1}@${seedSite}`, after, char };
+      after = op.id;
+      return op;
+    });
+    this.applyOps(ops, { silent: true });
+  }
+
+  // ==================== Reading ====================
+
+  getText() {
+    let text = '';
+    for (const id of this.sequence) {
+      const el = this.elements.get(id);
+      if (!el.deleted) text += el.char;
+    }
+    return text;
+  }
+
+  get length() {
+    return this.visibleIds().length;
+  }
+
+  visibleIds() {
+    return this.sequence.filter(id => !this.elements.get(id).deleted);
+  }
+
+  /**
+   * Id of the visible character before `index` (HEAD for index 0)
+   */
+  idBefore(index) {
+    if (index <= 0) return HEAD;
+    const visible = this.visibleIds();
+    return visible[Math.min(index, visible.length) - 1] ?? HEAD;
+  }
+
+  /**
+   * Visible index just after an anchor id; tombstoned anchors fall back to the nearest
+   * visible character before them
+   */
+  indexAfter(anchor) {
+    if (anchor === HEAD || !this.elements.has(anchor)) return 0;
+    let index = 0;
+    for (const id of this.sequence) {
+      if (!this.elements.get(id).deleted) index++;
+      if (id === anchor) return index;
+    }
+    return index;
+  }
+
+  // ==================== Local edits ====================
+
+  nextId() {
+    this.clock++;
+    return `${this.clock}@${this.site}`;
+  }
+
+  /**
+   * Insert text at a visible index; returns the update to broadcast
+   */
+  insert(index, text, actor = null) {
+    let after = this.idBefore(index);
+    const ops = Array.from(String(text)).map(char => {
+      const op = { type: 'insert', id: this.nextId(), after, char };
+      after = op.id;
+      return op;
+    });
+    return this.commit(ops, actor);
+  }
+
+  delete(index, length = 1, actor = null) {
+    const ops = this.visibleIds()
+      .slice(Math.max(0, index), Math.max(0, index) + length)
+      .map(id => ({ type: 'delete', id }));
+    return this.commit(ops, actor);
+  }
+
+  /**
+   * Replace one range; inserts are anchored before the deletion so the result is stable
+   */
+  splice(index, deleteCount, text = '', actor = null) {
+    const deletes = deleteCount ? this.delete(index, deleteCount, actor).ops : [];
+    const inserts = text ? this.insert(index, text, actor).ops : [];
+    return { docId: this.docId, site: this.site, actor, ops: [...deletes, ...inserts] };
+  }
+
+  /**
+   * Turn the document into `text` by editing only the changed range
+   */
+  replaceText(text, actor = null) {
+    const { index, deleteCount, text: inserted } = diffRange(this.getText(), text);
+    return this.splice(index, deleteCount, inserted, actor);
+  }
+
+  commit(ops, actor) {
+    const update = { docId: this.docId, site: this.site, actor, ops };
+    if (ops.length) {
+      this.pristine = false;
+      this.applyOps(ops, { actor, local: true });
+    }
+    return update;
+  }
+
+  // ==================== Merging ====================
+
+  /**
+   * Apply an update from any replica. Duplicates are ignored; ops whose reference has not
+   * arrived yet wait in `pending` until it does.
+   */
+  applyUpdate(update) {
+    if (!update || update.docId !== this.docId) return false;
+    const remote = update.site !== this.site;
+    if (remote && update.full) {
+      if (this.shouldAdopt(update)) {
+        this.reset();
+        this.pristine = !!update.pristine;
+        return this.applyOps(update.ops || [], { actor: update.actor, remote });
+      }
+      // A seed-only replica adopts this document's state instead
+      if (update.pristine) return false;
+    }
+    if (remote && update.ops?.length) this.pristine = false;
+    return this.applyOps(update.ops || [], { actor: update.actor, remote });
+  }
+
+  /**
+   * An empty replica, or one holding only its own seed, joins an existing document instead of
+   * merging its seed into it. Between two seed-only replicas the lower site id wins, so both
+   * keep the same.
+   */
+  shouldAdopt(state) {
+    if (!state.ops?.length) return false;
+    if (!this.sequence.length) return true;
+    if (!this.pristine) return false;
+    return !state.pristine || state.site < this.site;
+  }
+
+  reset() {
+    this.elements = new Map();
+    this.sequence = [];
+    this.lastIndex = -1;
+    this.pending = [];
+  }
+
+  applyOps(ops, meta = {}) {
+    const queue = [...this.pending, ...ops];
+    this.pending = [];
+    let changed = false;
+    let progress = true;
+
+    while (progress) {
+      progress = false;
+      for (let i = 0; i < queue.length; i++) {
+        const op = queue[i];
+        if (!op || !this.isReady(op)) continue;
+        queue[i] = null;
+        progress = true;
+        changed = this.integrate(op) || changed;
+      }
+    }
+
+    this.pending = queue.filter(Boolean);
+    if (changed && !meta.silent) {
+      this.emit('change', { text: this.getText(), actor: meta.actor || null, local: !!meta.local, remote: !!meta.remote });
+    }
+    return changed;
+  }
+
+  isReady(op) {
+    if (op.type === 'insert') return op.after === HEAD || this.elements.has(op.after);
+    if (op.type === 'delete') return this.elements.has(op.id);
+    return true;
+  }
+
+  integrate(op) {
+    if (op.type === 'delete') {
+      const el = this.elements.get(op.id);
+      if (el.deleted) return false;
+      el.deleted = true;
+      return true;
+    }
+
+    if (this.elements.has(op.id)) return false;
+    const [counter] = parseId(op.id);
+    this.clock = Math.max(this.clock, counter);
+
+    // RGA: after the reference, skip newer siblings (and their subtrees, which are newer still)
+    let index = op.after === HEAD ? 0 : this.indexOfId(op.after) + 1;
+    while (index < this.sequence.length && compareIds(this.sequence[index], op.id) > 0) index++;
+
+    this.elements.set(op.id, { id: op.id, char: op.char, after: op.after, deleted: false });
+    if (index === this.sequence.length) {
+      this.sequence.push(op.id);
+    } else {
+      this.sequence.splice(index, 0, op.id);
+    }
+    this.lastIndex = index;
+    return true;
+  }
+
+  /**
+   * Position of an id in the sequence. Runs of typed or seeded text reference the character
+   * integrated just before, which is checked first to keep them linear.
+   */
+  indexOfId(id) {
+    if (this.sequence[this.lastIndex] === id) return this.lastIndex;
+    return this.sequence.indexOf(id);
+  }
+
+  /**
+   * Full state as one update, for replicas joining late
+   */
+  getState() {
+    const ops = [];
+    this.sequence.forEach(id => {
+      const el = this.elements.get(id);
+      ops.push({ type: 'insert', id, after: el.after, char: el.char });
+    });
+    this.sequence.forEach(id => {
+      if (this.elements.get(id).deleted) ops.push({ type: 'delete', id });
+    });
+    return { docId: this.docId, site: this.site, actor: null, ops, full: true, pristine: this.pristine };
+  }
+
+  /**
+   * Compact state for storage: runs of consecutive ids from one site, each following the
+   * previous character, are stored as { id, after, text }; tombstones as a list of ids.
+   */
+  toJSON() {
+    const runs = [];
+    let run = null;
+    this.sequence.forEach(id => {
+      const el = this.elements.get(id);
+      const [counter, site] = parseId(id);
+      if (run && el.after === run.lastId && site === run.site && counter === run.counter + run.length) {
+        run.text += el.char;
+        run.length++;
+      } else {
+        run = { id, after: el.after, text: el.char, site, counter, length: 1 };
+        runs.push(run);
+      }
+      run.lastId = id;
+    });
+    return {
+      runs: runs.map(({ id, after, text }) => ({ id, after, text })),
+      deleted: this.sequence.filter(id => this.elements.get(id).deleted)
+    };
+  }
+
+  load(state) {
+    const ops = [];
+    (state.runs || []).forEach(run => {
+      const [counter, site] = parseId(run.id);
+      let after = run.after;
+      Array.from(run.text).forEach((char, i) => {
+        const id = `${counter + i}@${site}`;
+        ops.push({ type: 'insert', id, after, char });
+        after = id;
+      });
+    });
+    (state.deleted || []).forEach(id => ops.push({ type: 'delete', id }));
+    this.applyOps(ops, { silent: true });
+  }
+
+  // ==================== Cursor presence ====================
+
+  /**
+   * Record an actor's cursor (and optional selection end) at visible indices; returns the
+   * presence message to broadcast
+   */
+  setCursor(actor, index, selectionEnd = null, info = {}) {
+    const presence = {
+      docId: this.docId,
+      site: this.site,
+      actor,
+      anchor: this.idBefore(index),
+      head: selectionEnd === null ? null : this.idBefore(selectionEnd),
+      name: info.name || actor,
+      color: info.color || null,
+      at: Date.now()
+    };
+    this.applyPresence(presence);
+    return presence;
+  }
+
+  applyPresence(presence) {
+    if (!presence || presence.docId !== this.docId) return;
+    if (presence.removed) {
+      this.cursors.delete(presence.actor);
+    } else {
+      this.cursors.set(presence.actor, presence);
+    }
+    this.emit('cursor', presence);
+  }
+
+  /**
+   * Cursors resolved to current indices; entries older than maxAgeMs are dropped
+   */
+  getCursors(maxAgeMs = 60000) {
+    const now = Date.now();
+    return Array.from(this.cursors.values())
+      .filter(c => now - c.at <= maxAgeMs)
+      .map(c => ({
+        actor: c.actor,
+        name: c.name,
+        color: c.color,
+        site: c.site,
+        index: this.indexAfter(c.anchor),
+        selectionEnd: c.head === null ? null : this.indexAfter(c.head)
+      }));
+  }
+
+  // ==================== Events ====================
+
+  on(event, callback) {
+    if (!this.listeners.has(event)) this.listeners.set(event, []);
+    this.listeners.get(event).push(callback);
+    return () => this.off(event, callback);
+  }
+
+  off(event, callback) {
+    const callbacks = this.listeners.get(event) || [];
+    this.listeners.set(event, callbacks.filter(cb => cb !== callback));
+  }
+
+  emit(event, data) {
+    (this.listeners.get(event) || []).forEach(cb => {
+      try {
+        cb(data);
+      } catch (e) {
+        console.error(`[CollabDocument] Listener error for ${event}:`, e);
+      }
+    });
+  }
+}
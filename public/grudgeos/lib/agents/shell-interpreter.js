@@ -0,0 +1,624 @@
+/**
+ * Shell Interpreter
+ * Tokenizes, parses and executes shell command lines (quotes, pipes, redirection, &&/||, $VAR).
+ * Commands are dispatched through the shared CommandRegistry against a pluggable virtual filesystem.
+ */
+
+import '../core/command-registry.js';
+import { resolvePath, basename } from './virtual-fs.js';
+
+const OPERATORS = ['&&', '||', '>>', '|', '>', ';'];
+
+export function tokenize(input) {
+  const tokens = [];
+  let word = null;
+  let i = 0;
+
+  const startWord = () => {
+    word = word || { type: 'word', parts: [] };
+  };
+  const pushText = (text, expand) => {
+    startWord();
+    const last = word.parts[word.parts.length - 1];
+    if (last && last.expand === expand) {
+      last.text += text;
+    } else {
+      word.parts.push({ text, expand });
+    }
+  };
+  const endWord = () => {
+    if (word) tokens.push(word);
+    word = null;
+  };
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (/\s/.test(ch)) {
+      endWord();
+      i++;
+    } else if (ch === "'") {
+      const end = input.indexOf("'", i + 1);
+      if (end === -1) throw new SyntaxError('Unterminated single quote');
+      startWord();
+      pushText(input.slice(i + 1, end), false);
+      i = end + 1;
+    } else if (ch === '"') {
+      startWord();
+      i++;
+      let closed = false;
+      while (i < input.length) {
+        const c = input[i];
+        if (c === '"') {
+          closed = true;
+          i++;
+          break;
+        }
+        if (c === '\\' && '"\\$`'.includes(input[i + 1])) {
+          pushText(input[i + 1], false);
+          i += 2;
+        } else {
+          pushText(c, true);
+          i++;
+        }
+      }
+      if (!closed) throw new SyntaxError('Unterminated double quote');
+    } else if (ch === '\\') {
+      if (i + 1 < input.length) pushText(input[i + 1], false);
+      i += 2;
+    } else {
+      const op = OPERATORS.find(o => input.startsWith(o, i));
+      if (op) {
+        endWord();
+        tokens.push({ type: 'op', value: op });
+        i += op.length;
+      } else {
+        pushText(ch, true);
+        i++;
+      }
+    }
+  }
+
+  endWord();
+  return tokens;
+}
+
+export function parse(tokens) {
+  const list = [];
+  let pipeline = [];
+  let command = { argv: [], redirects: [] };
+
+  const isEmpty = cmd => cmd.argv.length === 0 && cmd.redirects.length === 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.type === 'word') {
+      command.argv.push(token);
+    } else if (token.value === '>' || token.value === '>>') {
+      const target = tokens[i + 1];
+      if (target?.type !== 'word') {
+        throw new SyntaxError(`syntax error near unexpected token '${target?.value || 'newline'}'`);
+      }
+      command.redirects.push({ op: token.value, target });
+      i++;
+    } else if (token.value === '|') {
+      if (isEmpty(command)) throw new SyntaxError("syntax error near unexpected token '|'");
+      pipeline.push(command);
+      command = { argv: [], redirects: [] };
+    } else {
+      if (isEmpty(command)) {
+        if (token.value === ';' && pipeline.length === 0) continue;
+        throw new SyntaxError(`syntax error near unexpected token '${token.value}'`);
+      }
+      pipeline.push(command);
+      list.push({ pipeline, connector: token.value });
+      pipeline = [];
+      command = { argv: [], redirects: [] };
+    }
+  }
+
+  if (!isEmpty(command)) {
+    pipeline.push(command);
+  } else if (pipeline.length > 0) {
+    throw new SyntaxError("syntax error near unexpected token '|'");
+  }
+
+  if (pipeline.length > 0) {
+    list.push({ pipeline, connector: null });
+  } else if (list.length > 0 && list[list.length - 1].connector !== ';') {
+    throw new SyntaxError('syntax error: unexpected end of input');
+  }
+
+  return list;
+}
+
+export function expandWord(word, session) {
+  return word.parts.map(part => {
+    if (!part.expand) return part.text;
+    return part.text.replace(/\$(\?|\{[A-Za-z_][A-Za-z0-9_]*\}|[A-Za-z_][A-Za-z0-9_]*)/g, (_, name) => {
+      if (name === '?') return String(session.lastExitCode ?? 0);
+      const key = name.startsWith('{') ? name.slice(1, -1) : name;
+      return session.env?.[key] ?? '';
+    });
+  }).join('');
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+async function readInputs(operands, ctx) {
+  if (operands.length === 0) {
+    return [{ name: null, content: ctx.stdin }];
+  }
+
+  const inputs = [];
+  for (const operand of operands) {
+    try {
+      inputs.push({ name: operand, content: await ctx.fs.readFile(ctx.resolve(operand)) });
+    } catch (e) {
+      ctx.error(`${ctx.command.name}: ${e.message.replace(ctx.resolve(operand), operand)}`);
+      ctx.failed = true;
+    }
+  }
+  return inputs;
+}
+
+async function destinationFor(ctx, source, dest) {
+  const target = ctx.resolve(dest);
+  const stat = await ctx.fs.stat(target);
+  return stat?.type === 'dir' ? resolvePath(target, basename(source)) : target;
+}
+
+/**
+ * Filesystem and session commands for the terminal shell, registered into the shared CommandRegistry
+ */
+export function registerShellCommands(registry) {
+  const shells = [registry.SHELLS.TERMINAL];
+  const { FS_READ, FS_WRITE } = registry.PERMISSIONS;
+
+  const commands = [
+    {
+      name: 'pwd',
+      description: 'Print working directory',
+      category: 'filesystem',
+      handler: async (ctx) => ctx.session.cwd
+    },
+    {
+      name: 'cd',
+      description: 'Change working directory',
+      usage: 'cd [dir]',
+      category: 'filesystem',
+      permissions: [FS_READ],
+      args: [{ name: 'dir', type: 'string', default: '/' }],
+      handler: async (ctx) => {
+        const target = ctx.resolve(ctx.params.dir);
+        const stat = await ctx.fs.stat(target);
+        if (!stat) throw new Error(`${ctx.params.dir}: No such file or directory`);
+        if (stat.type !== 'dir') throw new Error(`${ctx.params.dir}: Not a directory`);
+        ctx.session.cwd = target;
+      }
+    },
+    {
+      name: 'ls',
+      description: 'List directory contents',
+      usage: 'ls [-al] [path...]',
+      category: 'filesystem',
+      permissions: [FS_READ],
+      flags: ['a', 'l'],
+      args: [{ name: 'paths', type: 'string', variadic: true }],
+      handler: async (ctx) => {
+        const paths = ctx.params.paths.length ? ctx.params.paths : ['.'];
+
+        for (const [i, path] of paths.entries()) {
+          const target = ctx.resolve(path);
+          const stat = await ctx.fs.stat(target);
+          if (!stat) {
+            ctx.error(`ls: cannot access '${path}': No such file or directory`);
+            ctx.failed = true;
+            continue;
+          }
+
+          let entries = stat.type === 'dir'
+            ? await ctx.fs.readdir(target)
+            : [{ name: path, ...stat }];
+          if (!ctx.flags.has('a')) entries = entries.filter(e => !e.name.startsWith('.'));
+
+          if (paths.length > 1 && stat.type === 'dir') {
+            if (i > 0) ctx.print('');
+            ctx.print(`${path}:`);
+          }
+
+          if (ctx.flags.has('l')) {
+            entries.forEach(e => {
+              const date = e.modified ? new Date(e.modified).toISOString().slice(0, 16).replace('T', ' ') : '';
+              ctx.print(`${e.type === 'dir' ? 'd' : '-'} ${String(e.size).padStart(8)} ${date} ${e.name}`);
+            });
+          } else {
+            const names = entries.map(e => e.type === 'dir' ? `${e.name}/` : e.name);
+            if (ctx.piped) {
+              names.forEach(name => ctx.print(name));
+            } else if (names.length) {
+              ctx.print(names.join('  '));
+            }
+          }
+        }
+      }
+    },
+    {
+      name: 'cat',
+      description: 'Concatenate files to stdout',
+      usage: 'cat [file...]',
+      category: 'filesystem',
+      permissions: [FS_READ],
+      args: [{ name: 'files', type: 'string', variadic: true }],
+      handler: async (ctx) => {
+        const inputs = await readInputs(ctx.params.files, ctx);
+        inputs.forEach(input => ctx.write(input.content));
+      }
+    },
+    {
+      name: 'mkdir',
+      description: 'Create directories',
+      usage: 'mkdir [-p] dir...',
+      category: 'filesystem',
+      permissions: [FS_WRITE],
+      flags: ['p'],
+      args: [{ name: 'dirs', type: 'string', variadic: true, required: true }],
+      handler: async (ctx) => {
+        for (const path of ctx.params.dirs) {
+          try {
+            await ctx.fs.mkdir(ctx.resolve(path), { recursive: ctx.flags.has('p') });
+          } catch (e) {
+            ctx.error(`mkdir: cannot create directory '${path}': ${e.message.split(': ').pop()}`);
+            ctx.failed = true;
+          }
+        }
+      }
+    },
+    {
+      name: 'rm',
+      description: 'Remove files or directories',
+      usage: 'rm [-rf] path...',
+      category: 'filesystem',
+      permissions: [FS_WRITE],
+      flags: ['r', 'R', 'f'],
+      args: [{ name: 'paths', type: 'string', variadic: true }],
+      handler: async (ctx) => {
+        const force = ctx.flags.has('f');
+        const recursive = ctx.flags.has('r') || ctx.flags.has('R');
+        if (!ctx.params.paths.length && !force) throw new Error('missing operand');
+
+        for (const path of ctx.params.paths) {
+          const target = ctx.resolve(path);
+          const stat = await ctx.fs.stat(target);
+          if (!stat) {
+            if (!force) {
+              ctx.error(`rm: cannot remove '${path}': No such file or directory`);
+              ctx.failed = true;
+            }
+            continue;
+          }
+          if (stat.type === 'dir' && !recursive) {
+            ctx.error(`rm: cannot remove '${path}': Is a directory`);
+            ctx.failed = true;
+            continue;
+          }
+          await ctx.fs.remove(target, { recursive });
+        }
+      }
+    },
+    {
+      name: 'mv',
+      description: 'Move or rename files',
+      usage: 'mv source... dest',
+      category: 'filesystem',
+      permissions: [FS_WRITE],
+      args: [{ name: 'paths', type: 'string', variadic: true, required: true }],
+      handler: async (ctx) => {
+        const sources = [...ctx.params.paths];
+        if (sources.length < 2) throw new Error('missing destination file operand');
+        const dest = sources.pop();
+
+        if (sources.length > 1 && (await ctx.fs.stat(ctx.resolve(dest)))?.type !== 'dir') {
+          throw new Error(`target '${dest}' is not a directory`);
+        }
+
+        for (const source of sources) {
+          if (!await ctx.fs.stat(ctx.resolve(source))) {
+            ctx.error(`mv: cannot stat '${source}': No such file or directory`);
+            ctx.failed = true;
+            continue;
+          }
+          await ctx.fs.rename(ctx.resolve(source), await destinationFor(ctx, source, dest));
+        }
+      }
+    },
+    {
+      name: 'cp',
+      description: 'Copy files (-r for directories)',
+      usage: 'cp [-r] source... dest',
+      category: 'filesystem',
+      permissions: [FS_READ, FS_WRITE],
+      flags: ['r', 'R'],
+      args: [{ name: 'paths', type: 'string', variadic: true, required: true }],
+      handler: async (ctx) => {
+        const sources = [...ctx.params.paths];
+        if (sources.length < 2) throw new Error('missing destination file operand');
+        const dest = sources.pop();
+
+        if (sources.length > 1 && (await ctx.fs.stat(ctx.resolve(dest)))?.type !== 'dir') {
+          throw new Error(`target '${dest}' is not a directory`);
+        }
+
+        for (const source of sources) {
+          const stat = await ctx.fs.stat(ctx.resolve(source));
+          if (!stat) {
+            ctx.error(`cp: cannot stat '${source}': No such file or directory`);
+            ctx.failed = true;
+            continue;
+          }
+          if (stat.type === 'dir' && !ctx.flags.has('r') && !ctx.flags.has('R')) {
+            ctx.error(`cp: -r not specified; omitting directory '${source}'`);
+            ctx.failed = true;
+            continue;
+          }
+          await ctx.fs.copy(ctx.resolve(source), await destinationFor(ctx, source, dest));
+        }
+      }
+    },
+    {
+      name: 'grep',
+      description: 'Search for a pattern',
+      usage: 'grep [-ivnc] pattern [file...]',
+      category: 'text',
+      permissions: [FS_READ],
+      flags: ['i', 'v', 'n', 'c'],
+      args: [
+        { name: 'pattern', type: 'string', required: true, description: 'Regular expression' },
+        { name: 'files', type: 'string', variadic: true }
+      ],
+      handler: async (ctx) => {
+        const { pattern, files } = ctx.params;
+        const regexFlags = ctx.flags.has('i') ? 'i' : '';
+
+        let regex;
+        try {
+          regex = new RegExp(pattern, regexFlags);
+        } catch {
+          regex = new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), regexFlags);
+        }
+
+        const inputs = await readInputs(files, ctx);
+        let matched = false;
+
+        inputs.forEach(input => {
+          const prefix = inputs.length > 1 ? `${input.name}:` : '';
+          const hits = splitLines(input.content)
+            .map((line, idx) => ({ line, number: idx + 1 }))
+            .filter(({ line }) => regex.test(line) !== ctx.flags.has('v'));
+
+          if (hits.length) matched = true;
+
+          if (ctx.flags.has('c')) {
+            ctx.print(`${prefix}${hits.length}`);
+          } else {
+            hits.forEach(({ line, number }) => {
+              ctx.print(`${prefix}${ctx.flags.has('n') ? `${number}:` : ''}${line}`);
+            });
+          }
+        });
+
+        return ctx.failed ? 2 : (matched ? 0 : 1);
+      }
+    },
+    {
+      name: 'head',
+      description: 'Print the first lines of input',
+      usage: 'head [-n N] [file...]',
+      category: 'text',
+      permissions: [FS_READ],
+      args: [{ name: 'args', type: 'string', variadic: true }],
+      handler: async (ctx) => {
+        let count = 10;
+        const files = [];
+        const args = ctx.params.args;
+
+        for (let i = 0; i < args.length; i++) {
+          if (args[i] === '-n') {
+            count = parseInt(args[++i], 10);
+          } else if (/^-n?\d+$/.test(args[i])) {
+            count = parseInt(args[i].replace(/^-n?/, ''), 10);
+          } else {
+            files.push(args[i]);
+          }
+        }
+        if (!Number.isFinite(count) || count < 0) throw new Error('invalid number of lines');
+
+        const inputs = await readInputs(files, ctx);
+        inputs.forEach((input, i) => {
+          if (inputs.length > 1) {
+            if (i > 0) ctx.print('');
+            ctx.print(`==> ${input.name} <==`);
+          }
+          splitLines(input.content).slice(0, count).forEach(line => ctx.print(line));
+        });
+      }
+    },
+    {
+      name: 'wc',
+      description: 'Count lines, words and characters',
+      usage: 'wc [-lwc] [file...]',
+      category: 'text',
+      permissions: [FS_READ],
+      flags: ['l', 'w', 'c'],
+      args: [{ name: 'files', type: 'string', variadic: true }],
+      handler: async (ctx) => {
+        const show = ctx.flags.size ? ['l', 'w', 'c'].filter(f => ctx.flags.has(f)) : ['l', 'w', 'c'];
+        const inputs = await readInputs(ctx.params.files, ctx);
+        const totals = { l: 0, w: 0, c: 0 };
+
+        const format = (counts, name) => {
+          const cols = show.map(f => String(counts[f]).padStart(7));
+          ctx.print(cols.join(' ') + (name ? ` ${name}` : ''));
+        };
+
+        inputs.forEach(input => {
+          const counts = {
+            l: (input.content.match(/\n/g) || []).length,
+            w: input.content.split(/\s+/).filter(Boolean).length,
+            c: input.content.length
+          };
+          Object.keys(totals).forEach(k => { totals[k] += counts[k]; });
+          format(counts, input.name);
+        });
+
+        if (inputs.length > 1) format(totals, 'total');
+      }
+    },
+    {
+      name: 'uptime',
+      description: 'Print terminal uptime',
+      category: 'general',
+      handler: async (ctx) => {
+        const uptime = Math.floor((Date.now() - (ctx.terminal?.createdAt || Date.now())) / 1000);
+        return `Terminal uptime: ${uptime}s`;
+      }
+    },
+    {
+      name: 'history',
+      description: 'Show recent commands',
+      category: 'general',
+      handler: async (ctx) => {
+        (ctx.terminal?.history || []).slice(-20).forEach((h, i) => ctx.print(`${i + 1}  ${h.command}`));
+      }
+    }
+  ];
+
+  commands.forEach(command => registry.register({ ...command, shells, source: 'shell-interpreter' }));
+}
+
+export class ShellInterpreter {
+  constructor(options = {}) {
+    this.registry = options.registry || (typeof window !== 'undefined' ? window.CommandRegistry : null);
+    if (!this.registry) {
+      throw new Error('CommandRegistry is not loaded');
+    }
+    this.shell = options.shell || this.registry.SHELLS.TERMINAL;
+    registerShellCommands(this.registry);
+  }
+
+  listCommands(permissions = null) {
+    return this.registry.list(this.shell, permissions);
+  }
+
+  /**
+   * Execute a command line.
+   * session: { cwd, env, fs, terminal? } - cwd and env are updated in place by cd/export
+   */
+  async execute(input, session) {
+    session.env = session.env || {};
+    session.cwd = session.cwd || '/';
+
+    let list;
+    try {
+      list = parse(tokenize(input));
+    } catch (e) {
+      return { output: `sh: ${e.message}`, exitCode: 2 };
+    }
+
+    const output = [];
+    let exitCode = session.lastExitCode ?? 0;
+    let previous = null;
+
+    for (const { pipeline, connector } of list) {
+      const skip = (previous === '&&' && exitCode !== 0) || (previous === '||' && exitCode === 0);
+      previous = connector;
+      if (skip) continue;
+
+      const result = await this.runPipeline(pipeline, session);
+      output.push(...result.stderr, result.stdout);
+      exitCode = result.exitCode;
+      session.lastExitCode = exitCode;
+    }
+
+    return {
+      output: output.join('').replace(/\n$/, ''),
+      exitCode
+    };
+  }
+
+  async runPipeline(pipeline, session) {
+    let stdin = '';
+    let exitCode = 0;
+    const stderr = [];
+
+    for (let i = 0; i < pipeline.length; i++) {
+      const command = pipeline[i];
+      const io = this.createIO(session, stdin, i < pipeline.length - 1 || command.redirects.length > 0);
+      const argv = command.argv.map(word => expandWord(word, session));
+
+      exitCode = argv.length ? await this.runCommand(argv, io, session) : 0;
+      let stdout = io.stdout.join('');
+
+      for (const [idx, redirect] of command.redirects.entries()) {
+        const target = expandWord(redirect.target, session);
+        const isLast = idx === command.redirects.length - 1;
+        try {
+          await session.fs.writeFile(io.resolve(target), isLast ? stdout : '', {
+            append: redirect.op === '>>'
+          });
+        } catch (e) {
+          io.error(`sh: ${target}: ${e.message.split(': ').pop()}`);
+          exitCode = 1;
+        }
+      }
+      if (command.redirects.length) stdout = '';
+
+      stderr.push(...io.stderr);
+      stdin = stdout;
+    }
+
+    return { stdout: stdin, stderr, exitCode };
+  }
+
+  async runCommand(argv, io, session) {
+    const [name, ...args] = argv;
+    const result = await this.registry.execute(name, args, {
+      shell: this.shell,
+      permissions: session.permissions || null,
+      agentId: session.terminal?.agentId || null,
+      terminal: session.terminal || null,
+      session,
+      env: session.env,
+      fs: session.fs,
+      stdin: io.stdin,
+      piped: io.piped,
+      resolve: io.resolve,
+      clear: () => {
+        if (session.terminal) session.terminal.output = [];
+      }
+    });
+
+    if (result.stdout) io.write(result.stdout);
+    if (result.stderr) io.stderr.push(result.stderr);
+    return result.exitCode;
+  }
+
+  createIO(session, stdin, piped) {
+    const io = {
+      stdin,
+      piped,
+      stdout: [],
+      stderr: [],
+      resolve: path => resolvePath(session.cwd, path),
+      write: text => io.stdout.push(text),
+      error: line => io.stderr.push(`${line}\n`)
+    };
+    return io;
+  }
+}
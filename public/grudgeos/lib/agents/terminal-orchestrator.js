@@ -1,15 +1,23 @@
 /**
  * Terminal Orchestrator
- * Manages per-agent micro terminal instances with command streaming and isolation
+ * Manages per-agent micro terminal instances with command streaming and isolation.
+ * Commands run through ShellInterpreter against Puter FS when online, an in-memory tree otherwise.
  */
 
+import { ShellInterpreter } from './shell-interpreter.js';
+import { MemoryFilesystem, PuterFilesystem } from './virtual-fs.js';
+
 export class TerminalOrchestrator {
-  constructor() {
+  constructor(options = {}) {
     this.terminals = new Map();
     this.commandHistory = new Map();
     this.kvNamespace = 'terminal_orchestrator';
     this.maxHistoryPerTerminal = 1000;
     this.listeners = new Map();
+    this.interpreter = new ShellInterpreter();
+    this.filesystem = options.filesystem || null;
+    this.memoryFs = new MemoryFilesystem();
+    this.puterFs = new PuterFilesystem({ root: options.puterRoot });
   }
 
   async initialize() {
@@ -25,6 +33,9 @@ export class TerminalOrchestrator {
         if (state) {
           const data = JSON.parse(state);
           data.terminals?.forEach(t => this.terminals.set(t.id, t));
+          if (data.filesystem) {
+            this.memoryFs = MemoryFilesystem.fromJSON(data.filesystem);
+          }
         }
       } catch (e) {
         console.warn('[TerminalOrchestrator] Failed to load state:', e);
@@ -37,6 +48,7 @@ export class TerminalOrchestrator {
       try {
         const state = {
           terminals: Array.from(this.terminals.values()),
+          filesystem: this.memoryFs.toJSON(),
           timestamp: Date.now()
         };
         await puter.kv.set(`${this.kvNamespace}:state`, JSON.stringify(state));
@@ -55,6 +67,7 @@ export class TerminalOrchestrator {
       status: 'ready',
       cwd: config.cwd || '/',
       env: { ...config.env },
+      permissions: config.permissions || null,
       createdAt: Date.now(),
       lastActive: Date.now(),
       history: [],
@@ -168,60 +181,39 @@ export class TerminalOrchestrator {
 
   async runCommand(terminal, command) {
     const sanitized = this.sanitizeCommand(command);
-    
-    return new Promise((resolve) => {
-      const lines = [];
-      const startTime = Date.now();
-      
-      const mockExecution = () => {
-        if (sanitized.startsWith('echo ')) {
-          lines.push(sanitized.slice(5));
-        } else if (sanitized === 'pwd') {
-          lines.push(terminal.cwd);
-        } else if (sanitized === 'whoami') {
-          lines.push(`agent:${terminal.agentId || 'system'}`);
-        } else if (sanitized.startsWith('cd ')) {
-          const newDir = sanitized.slice(3).trim();
-          terminal.cwd = newDir.startsWith('/') ? newDir : `${terminal.cwd}/${newDir}`;
-          lines.push(`Changed directory to ${terminal.cwd}`);
-        } else if (sanitized === 'ls') {
-          lines.push('src/  package.json  README.md  node_modules/');
-        } else if (sanitized === 'date') {
-          lines.push(new Date().toISOString());
-        } else if (sanitized === 'uptime') {
-          const uptime = Math.floor((Date.now() - terminal.createdAt) / 1000);
-          lines.push(`Terminal uptime: ${uptime}s`);
-        } else if (sanitized.startsWith('export ')) {
-          const [key, value] = sanitized.slice(7).split('=');
-          terminal.env[key] = value?.replace(/['"]/g, '') || '';
-          lines.push(`Set ${key}=${terminal.env[key]}`);
-        } else if (sanitized === 'env') {
-          Object.entries(terminal.env).forEach(([k, v]) => lines.push(`${k}=${v}`));
-        } else if (sanitized === 'history') {
-          terminal.history.slice(-20).forEach((h, i) => lines.push(`${i + 1}  ${h.command}`));
-        } else if (sanitized === 'clear') {
-          terminal.output = [];
-          lines.push('');
-        } else if (sanitized === 'help') {
-          lines.push('Available commands: echo, pwd, cd, ls, date, uptime, export, env, history, clear, help');
-          lines.push('AI-assisted commands: @analyze, @generate, @debug, @explain');
-        } else if (sanitized.startsWith('@')) {
-          lines.push(`[AI] Processing: ${sanitized.slice(1)}`);
-          lines.push('[AI] Response will be streamed...');
-        } else {
-          lines.push(`$ ${sanitized}`);
-          lines.push(`Simulated output for: ${sanitized}`);
-        }
+    const startTime = Date.now();
 
-        resolve({
-          output: lines.join('\n'),
-          exitCode: 0,
-          duration: Date.now() - startTime
-        });
+    if (sanitized.startsWith('@')) {
+      return {
+        output: [`[AI] Processing: ${sanitized.slice(1)}`, '[AI] Response will be streamed...'].join('\n'),
+        exitCode: 0,
+        duration: Date.now() - startTime
       };
+    }
 
-      setTimeout(mockExecution, 50);
-    });
+    const session = {
+      cwd: terminal.cwd,
+      env: terminal.env,
+      fs: this.getFilesystem(),
+      terminal,
+      permissions: terminal.permissions || null,
+      lastExitCode: terminal.lastExitCode
+    };
+
+    const result = await this.interpreter.execute(sanitized, session);
+    terminal.cwd = session.cwd;
+    terminal.lastExitCode = result.exitCode;
+
+    return {
+      output: result.output,
+      exitCode: result.exitCode,
+      duration: Date.now() - startTime
+    };
+  }
+
+  getFilesystem() {
+    if (this.filesystem) return this.filesystem;
+    return this.puterFs.isAvailable() ? this.puterFs : this.memoryFs;
   }
 
   sanitizeCommand(command) {
@@ -0,0 +1,272 @@
+/**
+ * Virtual Filesystem
+ * Pluggable filesystem backends for agent terminals: Puter cloud FS when online, in-memory tree otherwise
+ */
+
+export function resolvePath(cwd, path = '') {
+  let target = String(path);
+  if (target === '~' || target.startsWith('~/')) {
+    target = '/' + target.slice(1);
+  }
+  const base = target.startsWith('/') ? [] : String(cwd || '/').split('/');
+  const parts = [];
+
+  [...base, ...target.split('/')].forEach(segment => {
+    if (!segment || segment === '.') return;
+    if (segment === '..') {
+      parts.pop();
+    } else {
+      parts.push(segment);
+    }
+  });
+
+  return '/' + parts.join('/');
+}
+
+export function dirname(path) {
+  const normalized = resolvePath('/', path);
+  const idx = normalized.lastIndexOf('/');
+  return idx <= 0 ? '/' : normalized.slice(0, idx);
+}
+
+export function basename(path) {
+  const normalized = resolvePath('/', path);
+  return normalized.slice(normalized.lastIndexOf('/') + 1);
+}
+
+export class MemoryFilesystem {
+  constructor(options = {}) {
+    this.type = 'memory';
+    this.root = this.createNode('dir');
+
+    Object.entries(options.files || {}).forEach(([path, content]) => {
+      this.writeSync(path, content, { createParents: true });
+    });
+  }
+
+  createNode(type, content = '') {
+    return type === 'dir'
+      ? { type, children: {}, modified: Date.now() }
+      : { type, content: String(content), modified: Date.now() };
+  }
+
+  lookup(path) {
+    const parts = resolvePath('/', path).split('/').filter(Boolean);
+    let node = this.root;
+    for (const part of parts) {
+      if (node.type !== 'dir' || !node.children[part]) return null;
+      node = node.children[part];
+    }
+    return node;
+  }
+
+  parentOf(path) {
+    const parent = this.lookup(dirname(path));
+    if (!parent) {
+      throw new Error(`${dirname(path)}: No such file or directory`);
+    }
+    if (parent.type !== 'dir') {
+      throw new Error(`${dirname(path)}: Not a directory`);
+    }
+    return parent;
+  }
+
+  writeSync(path, content, options = {}) {
+    const name = basename(path);
+    if (options.createParents) {
+      this.mkdirSync(dirname(path), true);
+    }
+    const parent = this.parentOf(path);
+    const existing = parent.children[name];
+
+    if (existing?.type === 'dir') {
+      throw new Error(`${path}: Is a directory`);
+    }
+
+    const node = this.createNode('file', options.append && existing ? existing.content + content : content);
+    parent.children[name] = node;
+    parent.modified = node.modified;
+  }
+
+  mkdirSync(path, recursive = false) {
+    const parts = resolvePath('/', path).split('/').filter(Boolean);
+    let node = this.root;
+
+    parts.forEach((part, i) => {
+      const child = node.children[part];
+      if (!child) {
+        if (!recursive && i < parts.length - 1) {
+          throw new Error(`${path}: No such file or directory`);
+        }
+        node.children[part] = this.createNode('dir');
+      } else if (child.type !== 'dir') {
+        throw new Error(`${path}: Not a directory`);
+      } else if (!recursive && i === parts.length - 1) {
+        throw new Error(`${path}: File exists`);
+      }
+      node = node.children[part];
+    });
+  }
+
+  async stat(path) {
+    const node = this.lookup(path);
+    if (!node) return null;
+    return {
+      type: node.type,
+      size: node.type === 'file' ? node.content.length : 0,
+      modified: node.modified
+    };
+  }
+
+  async readdir(path) {
+    const node = this.lookup(path);
+    if (!node) throw new Error(`${path}: No such file or directory`);
+    if (node.type !== 'dir') throw new Error(`${path}: Not a directory`);
+
+    return Object.entries(node.children)
+      .map(([name, child]) => ({
+        name,
+        type: child.type,
+        size: child.type === 'file' ? child.content.length : 0,
+        modified: child.modified
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async readFile(path) {
+    const node = this.lookup(path);
+    if (!node) throw new Error(`${path}: No such file or directory`);
+    if (node.type !== 'file') throw new Error(`${path}: Is a directory`);
+    return node.content;
+  }
+
+  async writeFile(path, content, options = {}) {
+    this.writeSync(path, content, { append: options.append });
+  }
+
+  async mkdir(path, options = {}) {
+    this.mkdirSync(path, options.recursive);
+  }
+
+  async remove(path, options = {}) {
+    const node = this.lookup(path);
+    if (!node) throw new Error(`${path}: No such file or directory`);
+    if (resolvePath('/', path) === '/') throw new Error('Refusing to remove /');
+    if (node.type === 'dir' && !options.recursive) throw new Error(`${path}: Is a directory`);
+
+    delete this.parentOf(path).children[basename(path)];
+  }
+
+  async rename(from, to) {
+    const node = this.lookup(from);
+    if (!node) throw new Error(`${from}: No such file or directory`);
+
+    const target = resolvePath('/', to);
+    if (target === resolvePath('/', from) || target.startsWith(resolvePath('/', from) + '/')) {
+      throw new Error(`Cannot move ${from} into itself`);
+    }
+
+    const parent = this.parentOf(to);
+    delete this.parentOf(from).children[basename(from)];
+    parent.children[basename(to)] = node;
+  }
+
+  async copy(from, to) {
+    const node = this.lookup(from);
+    if (!node) throw new Error(`${from}: No such file or directory`);
+
+    this.parentOf(to).children[basename(to)] = JSON.parse(JSON.stringify(node));
+  }
+
+  toJSON() {
+    return this.root;
+  }
+
+  static fromJSON(data) {
+    const fs = new MemoryFilesystem();
+    if (data?.type === 'dir') fs.root = data;
+    return fs;
+  }
+}
+
+export class PuterFilesystem {
+  constructor(options = {}) {
+    this.type = 'puter';
+    this.service = options.service || null;
+    this.root = options.root || '~/GrudgeOS';
+  }
+
+  getService() {
+    return this.service || (typeof window !== 'undefined' ? window.PuterService : null);
+  }
+
+  isAvailable() {
+    return !!this.getService()?.isOnline();
+  }
+
+  toRemote(path) {
+    const normalized = resolvePath('/', path);
+    return normalized === '/' ? this.root : `${this.root}${normalized}`;
+  }
+
+  async stat(path) {
+    const info = await this.getService().fsStat(this.toRemote(path));
+    if (!info) return null;
+    return {
+      type: info.is_dir ? 'dir' : 'file',
+      size: info.size || 0,
+      modified: info.modified ? info.modified * 1000 : null
+    };
+  }
+
+  async readdir(path) {
+    const items = await this.getService().fsList(this.toRemote(path));
+    return items
+      .map(item => ({
+        name: item.name,
+        type: item.is_dir ? 'dir' : 'file',
+        size: item.size || 0,
+        modified: item.modified ? item.modified * 1000 : null
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async readFile(path) {
+    const data = await this.getService().fsRead(this.toRemote(path));
+    if (typeof data === 'string') return data;
+    if (data && typeof data.text === 'function') return data.text();
+    return String(data ?? '');
+  }
+
+  async writeFile(path, content, options = {}) {
+    let data = content;
+    if (options.append && await this.stat(path)) {
+      data = (await this.readFile(path)) + content;
+    }
+    await this.getService().fsWrite(this.toRemote(path), data, {
+      overwrite: true,
+      dedupeName: false
+    });
+  }
+
+  async mkdir(path, options = {}) {
+    await this.getService().fsMkdir(this.toRemote(path), { recursive: !!options.recursive });
+  }
+
+  async remove(path, options = {}) {
+    if (resolvePath('/', path) === '/') throw new Error('Refusing to remove /');
+    // Same rule as MemoryFilesystem: directories need options.recursive
+    const info = await this.stat(path);
+    if (!info) throw new Error(`${path}: No such file or directory`);
+    if (info.type === 'dir' && !options.recursive) throw new Error(`${path}: Is a directory`);
+    await this.getService().fsDelete(this.toRemote(path), { recursive: !!options.recursive });
+  }
+
+  async rename(from, to) {
+    await this.getService().fsMove(this.toRemote(from), this.toRemote(to));
+  }
+
+  async copy(from, to) {
+    await this.getService().fsCopy(this.toRemote(from), this.toRemote(to));
+  }
+}
@@ -310,7 +310,11 @@ class ChannelUI {
     this.handleAction(action === 'disconnect' ? 'leave' : action, channel);
   }
 
-  async startStreaming(channel) {
+  async startStreaming(channel, options = {}) {
+    if (options.tokens) {
+      return this.streamMessage(channel.id, options.author || { name: 'AI' }, options.tokens);
+    }
+
     if (typeof grudgeChannels !== 'undefined') {
       try {
         const stream = await grudgeChannels.startStream(channel.id, {
@@ -350,6 +354,34 @@ class ChannelUI {
     messagesList.scrollTop = messagesList.scrollHeight;
   }
 
+  /**
+   * Append a message and fill it in from an async iterable of text deltas
+   * (e.g. the handle returned by puterAI.chat(prompt, { stream: true })).
+   */
+  async streamMessage(channelId, author, tokens) {
+    this.appendMessage(channelId, { author, content: '', timestamp: Date.now() });
+
+    const panel = this.channelPanels.get(channelId);
+    const contentEl = panel?.querySelector('.messages-list .message-item:last-child .message-content');
+    const messagesList = panel?.querySelector('.messages-list');
+    contentEl?.classList.add('streaming');
+
+    let content = '';
+    try {
+      for await (const delta of tokens) {
+        content += delta;
+        if (contentEl) {
+          contentEl.innerHTML = this.formatMessageContent(content);
+          messagesList.scrollTop = messagesList.scrollHeight;
+        }
+      }
+    } finally {
+      contentEl?.classList.remove('streaming');
+    }
+
+    return content;
+  }
+
   formatTime(timestamp) {
     const date = new Date(timestamp);
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -0,0 +1,212 @@
+/**
+ * Approval Gate
+ * Policy layer that holds destructive or costly agent actions (deploys, file deletes,
+ * requests to production URLs, expensive models, marked tools) until a user approves
+ * or denies them. Decisions are recorded in AIJournal.
+ */
+
+class ApprovalGate {
+  static DEFAULT_POLICY = {
+    stepTypes: ['deploy'],
+    fileOps: ['delete'],
+    tools: ['puter_deploy'],
+    models: [],
+    maxModelInputCost: 10,
+    productionUrls: [/\bprod(uction)?\b/i],
+    timeoutMs: null
+  };
+
+  constructor(policy = {}) {
+    this.policy = { ...ApprovalGate.DEFAULT_POLICY };
+    this.pending = new Map();
+    this.history = [];
+    this.listeners = new Map();
+    this.journal = null;
+    this.configure(policy);
+  }
+
+  on(event, callback) {
+    if (!this.listeners.has(event)) this.listeners.set(event, []);
+    this.listeners.get(event).push(callback);
+    return () => this.off(event, callback);
+  }
+
+  off(event, callback) {
+    const callbacks = this.listeners.get(event) || [];
+    this.listeners.set(event, callbacks.filter(cb => cb !== callback));
+  }
+
+  emit(event, data) {
+    (this.listeners.get(event) || []).forEach(cb => {
+      try {
+        cb(data);
+      } catch (e) {
+        console.error(`[ApprovalGate] Listener error for ${event}:`, e);
+      }
+    });
+  }
+
+  /**
+   * Merge policy fields: { stepTypes, fileOps, tools, models, maxModelInputCost, productionUrls, timeoutMs }.
+   * productionUrls accepts RegExps or substrings.
+   */
+  configure(policy = {}) {
+    Object.assign(this.policy, policy);
+    this.policy.productionUrls = (this.policy.productionUrls || [])
+      .map(p => p instanceof RegExp ? p : new RegExp(String(p).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i'));
+    return this.policy;
+  }
+
+  /**
+   * Mark a step type, file operation, tool name or model as requiring approval
+   */
+  requireApproval(kind, name) {
+    const field = { step: 'stepTypes', file: 'fileOps', tool: 'tools', model: 'models' }[kind];
+    if (!field) throw new Error(`Unknown approval kind: ${kind}`);
+    if (!this.policy[field].includes(name)) this.policy[field] = [...this.policy[field], name];
+  }
+
+  isHighCostModel(model) {
+    if (!model) return false;
+    if (this.policy.models.includes(model)) return true;
+    const pricing = typeof window !== 'undefined' ? window.PuterAIService?.MODEL_PRICING : null;
+    const price = pricing?.[model];
+    return !!(price && this.policy.maxModelInputCost != null && price.input >= this.policy.maxModelInputCost);
+  }
+
+  isProductionUrl(url) {
+    return !!url && this.policy.productionUrls.some(pattern => pattern.test(url));
+  }
+
+  /**
+   * Why an action needs approval, or null.
+   * action: { kind: 'step' | 'tool' | 'model' | 'task', type, op, tool, url, model, requiresApproval }
+   */
+  check(action) {
+    if (action.requiresApproval) return action.reason || 'Marked as requiring approval';
+    if (action.type && this.policy.stepTypes.includes(action.type)) return `${action.type} steps require approval`;
+    if (action.op && this.policy.fileOps.includes(action.op)) return `file ${action.op} requires approval`;
+    if (action.tool && this.policy.tools.includes(action.tool)) return `tool ${action.tool} requires approval`;
+    if (this.isProductionUrl(action.url)) return `request to production URL ${action.url}`;
+    if (this.isHighCostModel(action.model)) return `high-cost model ${action.model}`;
+    return null;
+  }
+
+  /**
+   * Resolves to { approved, automatic, approval } once the action is allowed by policy
+   * or decided by the user. Pending approvals are announced with 'requested'.
+   */
+  async request(action, options = {}) {
+    const reason = this.check(action);
+    if (!reason) return { approved: true, automatic: true, approval: null };
+
+    const approval = {
+      id: `approval_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      action,
+      reason,
+      source: action.source || 'agent',
+      agentId: action.agentId || null,
+      description: action.description || reason,
+      status: 'pending',
+      requestedAt: Date.now()
+    };
+
+    const decision = new Promise(resolve => {
+      approval.resolve = resolve;
+    });
+    this.pending.set(approval.id, approval);
+    this.emit('requested', this.toPublic(approval));
+
+    const timeoutMs = options.timeoutMs ?? this.policy.timeoutMs;
+    if (timeoutMs) {
+      setTimeout(() => {
+        if (this.pending.has(approval.id)) this.decide(approval.id, false, `No decision within ${timeoutMs}ms`);
+      }, timeoutMs);
+    }
+
+    return decision;
+  }
+
+  approve(id, note = '') {
+    return this.decide(id, true, note);
+  }
+
+  deny(id, note = '') {
+    return this.decide(id, false, note);
+  }
+
+  async decide(id, approved, note = '') {
+    const approval = this.pending.get(id);
+    if (!approval) throw new Error(`No pending approval ${id}`);
+
+    this.pending.delete(id);
+    approval.status = approved ? 'approved' : 'denied';
+    approval.note = note;
+    approval.decidedAt = Date.now();
+
+    const record = this.toPublic(approval);
+    this.history.unshift(record);
+    if (this.history.length > 100) this.history.pop();
+
+    approval.resolve({ approved, automatic: false, approval: record });
+    this.emit('decided', record);
+    await this.recordDecision(record);
+    return record;
+  }
+
+  getPending() {
+    return Array.from(this.pending.values()).map(a => this.toPublic(a));
+  }
+
+  toPublic(approval) {
+    const { resolve, ...rest } = approval;
+    return rest;
+  }
+
+  async getJournal() {
+    if (this.journal) return this.journal;
+    if (typeof window !== 'undefined' && window.aiJournal) {
+      this.journal = window.aiJournal;
+    } else {
+      try {
+        const { aiJournal } = await import('../studio/ai-journal.js');
+        this.journal = aiJournal;
+      } catch (e) {
+        return null;
+      }
+    }
+    return this.journal;
+  }
+
+  async recordDecision(record) {
+    const journal = await this.getJournal();
+    if (!journal) return;
+    try {
+      await journal.recordAIChange({
+        type: record.status === 'approved' ? 'approval_granted' : 'approval_denied',
+        description: `${record.status === 'approved' ? 'Approved' : 'Denied'}: ${record.description}`,
+        agent: record.agentId || record.source,
+        model: record.action.model || 'auto',
+        metadata: {
+          approvalId: record.id,
+          reason: record.reason,
+          note: record.note,
+          action: record.action,
+          waitedMs: record.decidedAt - record.requestedAt
+        }
+      });
+    } catch (e) {
+      console.warn('[ApprovalGate] Failed to journal decision:', e.message);
+    }
+  }
+}
+
+const approvalGate = new ApprovalGate();
+
+if (typeof window !== 'undefined' && !window.ApprovalGate) {
+  window.ApprovalGate = approvalGate;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { ApprovalGate, approvalGate };
+}
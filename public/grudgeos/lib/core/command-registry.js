@@ -0,0 +1,428 @@
+const CommandRegistry = {
+  SHELLS: {
+    TERMINAL: 'terminal',
+    EXECUTOR: 'command-executor',
+    SQUAD: 'squad-terminal'
+  },
+
+  PERMISSIONS: {
+    FS_READ: 'fs:read',
+    FS_WRITE: 'fs:write',
+    NETWORK: 'network',
+    AI: 'ai',
+    AGENT: 'agent',
+    DEPLOY: 'deploy',
+    SYSTEM: 'system'
+  },
+
+  EXIT_CODES: {
+    SUCCESS: 0,
+    ERROR: 1,
+    USAGE: 2,
+    PERMISSION_DENIED: 126,
+    NOT_FOUND: 127
+  },
+
+  commands: new Map(),
+  listeners: new Set(),
+
+  /**
+   * Register a command.
+   * definition: { name, description, usage, category, aliases, shells, permissions,
+   *               flags: ['a', 'l'], args: [{ name, type, required, variadic, enum, description }],
+   *               subcommands: { name: description }, handler: async (ctx) => output | exitCode | { output, exitCode } }
+   * Omitting `shells` makes the command available in every shell; a registration scoped to
+   * a shell overrides the global one there. Returns an unregister function.
+   */
+  register(definition) {
+    if (!definition?.name || typeof definition.handler !== 'function') {
+      throw new Error('Command definition requires a name and a handler');
+    }
+
+    const command = {
+      name: definition.name,
+      description: definition.description || '',
+      usage: definition.usage || definition.name,
+      category: definition.category || 'general',
+      aliases: definition.aliases || [],
+      shells: definition.shells || null,
+      permissions: definition.permissions || [],
+      flags: definition.flags || null,
+      args: definition.args || [],
+      subcommands: definition.subcommands || null,
+      source: definition.source || 'core',
+      handler: definition.handler
+    };
+
+    [command.name, ...command.aliases].forEach(key => {
+      const entries = (this.commands.get(key) || []).filter(existing => {
+        if (!this.sameScope(existing.shells, command.shells)) {
+          if (this.scopesOverlap(existing.shells, command.shells)) {
+            throw new Error(`Command '${key}' is already registered for an overlapping shell`);
+          }
+          return true;
+        }
+        return false;
+      });
+      entries.push(command);
+      this.commands.set(key, entries);
+    });
+
+    this.notify('register', command);
+    return () => this.unregister(command.name, command.shells);
+  },
+
+  unregister(name, shells = null) {
+    const command = (this.commands.get(name) || []).find(c => this.sameScope(c.shells, shells));
+    if (!command) return false;
+
+    [command.name, ...command.aliases].forEach(key => {
+      const remaining = (this.commands.get(key) || []).filter(c => c !== command);
+      if (remaining.length) {
+        this.commands.set(key, remaining);
+      } else {
+        this.commands.delete(key);
+      }
+    });
+
+    this.notify('unregister', command);
+    return true;
+  },
+
+  sameScope(a, b) {
+    if (!a || !b) return a === b;
+    return a.length === b.length && a.every(s => b.includes(s));
+  },
+
+  /**
+   * Two shell-scoped registrations of one name may not share a shell. Global ones never
+   * clash with scoped ones, which take precedence in their shells.
+   */
+  scopesOverlap(a, b) {
+    if (!a || !b) return false;
+    return a.some(s => b.includes(s));
+  },
+
+  get(name, shell = null) {
+    const entries = this.commands.get(name) || [];
+    return entries.find(c => shell && c.shells?.includes(shell))
+      || entries.find(c => !c.shells)
+      || (!shell && entries[0])
+      || null;
+  },
+
+  has(name, shell = null) {
+    return !!this.get(name, shell);
+  },
+
+  /**
+   * List unique commands available in a shell, optionally filtered by granted permissions
+   */
+  list(shell = null, permissions = null) {
+    const seen = new Set();
+    const result = [];
+
+    this.commands.forEach((entries, key) => {
+      const command = this.get(key, shell);
+      if (!command || seen.has(command) || command.name !== key) return;
+      if (shell && command.shells && !command.shells.includes(shell)) return;
+      if (permissions && this.missingPermissions(command, permissions).length) return;
+      seen.add(command);
+      result.push(command);
+    });
+
+    return result.sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+  },
+
+  missingPermissions(command, granted) {
+    if (!granted) return [];
+    return command.permissions.filter(p => !granted.includes(p));
+  },
+
+  parseArgs(command, args) {
+    const errors = [];
+    const flags = new Set();
+    let operands = [];
+
+    if (command.flags) {
+      let endOfFlags = false;
+      args.forEach(arg => {
+        if (!endOfFlags && arg === '--') {
+          endOfFlags = true;
+        } else if (!endOfFlags && arg.length > 1 && arg.startsWith('-') && !/^-\d/.test(arg)) {
+          for (const flag of arg.slice(1)) {
+            if (command.flags.includes(flag)) {
+              flags.add(flag);
+            } else {
+              errors.push(`invalid option -- '${flag}'`);
+            }
+          }
+        } else {
+          operands.push(arg);
+        }
+      });
+    } else {
+      operands = [...args];
+    }
+
+    const params = {};
+    let index = 0;
+
+    command.args.forEach(spec => {
+      const values = spec.variadic ? operands.slice(index) : operands.slice(index, index + 1);
+      index += values.length;
+
+      if (values.length === 0) {
+        if (spec.required) errors.push(`missing required argument '${spec.name}'`);
+        params[spec.name] = spec.variadic ? [] : spec.default;
+        return;
+      }
+
+      const converted = values.map(value => {
+        if (spec.type === 'number') {
+          const num = Number(value);
+          if (!Number.isFinite(num)) errors.push(`'${spec.name}' must be a number, got '${value}'`);
+          return num;
+        }
+        if (spec.type === 'boolean') {
+          return value === 'true' || value === '1' || value === 'yes';
+        }
+        if (spec.enum && !spec.enum.includes(value)) {
+          errors.push(`'${spec.name}' must be one of: ${spec.enum.join(', ')}`);
+        }
+        return value;
+      });
+
+      params[spec.name] = spec.variadic ? converted : converted[0];
+    });
+
+    if (index < operands.length && command.args.length && !command.args.some(s => s.variadic)) {
+      errors.push(`unexpected argument '${operands[index]}'`);
+    }
+
+    return { flags, operands, params, errors };
+  },
+
+  /**
+   * Execute a command by name.
+   * context: { shell, permissions, env, agentId, stdin, ... } - passed through to the handler
+   * Returns { stdout, stderr, output, exitCode }
+   */
+  async execute(name, args = [], context = {}) {
+    const stdout = [];
+    const stderr = [];
+    const finish = (exitCode) => {
+      const out = stdout.join('');
+      const err = stderr.join('');
+      return {
+        stdout: out,
+        stderr: err,
+        output: (err + out).replace(/\n$/, ''),
+        exitCode
+      };
+    };
+
+    const command = this.get(name, context.shell);
+    if (!command || (context.shell && command.shells && !command.shells.includes(context.shell))) {
+      stderr.push(`${name}: command not found\n`);
+      return finish(this.EXIT_CODES.NOT_FOUND);
+    }
+
+    const missing = this.missingPermissions(command, context.permissions);
+    if (missing.length) {
+      stderr.push(`${name}: permission denied (requires ${missing.join(', ')})\n`);
+      return finish(this.EXIT_CODES.PERMISSION_DENIED);
+    }
+
+    const parsed = this.parseArgs(command, args);
+    if (parsed.errors.length) {
+      parsed.errors.forEach(e => stderr.push(`${name}: ${e}\n`));
+      stderr.push(`usage: ${command.usage}\n`);
+      return finish(this.EXIT_CODES.USAGE);
+    }
+
+    const ctx = {
+      ...context,
+      stdin: context.stdin || '',
+      command,
+      registry: this,
+      args,
+      ...parsed,
+      failed: false,
+      write: text => stdout.push(String(text)),
+      print: line => stdout.push(`${line}\n`),
+      error: line => stderr.push(`${line}\n`)
+    };
+
+    try {
+      const result = await command.handler(ctx);
+      let exitCode = ctx.failed ? this.EXIT_CODES.ERROR : this.EXIT_CODES.SUCCESS;
+
+      if (typeof result === 'number') {
+        exitCode = result;
+      } else if (typeof result === 'string') {
+        if (result) stdout.push(result.endsWith('\n') ? result : `${result}\n`);
+      } else if (result && typeof result === 'object') {
+        const text = result.output == null ? '' : String(result.output);
+        if (text) (result.exitCode ? stderr : stdout).push(text.endsWith('\n') ? text : `${text}\n`);
+        if (typeof result.exitCode === 'number') exitCode = result.exitCode;
+      }
+
+      return finish(exitCode);
+    } catch (e) {
+      stderr.push(`${name}: ${e.message}\n`);
+      return finish(this.EXIT_CODES.ERROR);
+    }
+  },
+
+  formatHelp(shell = null, permissions = null) {
+    const lines = ['Available commands:'];
+    let category = null;
+
+    this.list(shell, permissions).forEach(command => {
+      if (command.category !== category) {
+        category = command.category;
+        lines.push(`[${category}]`);
+      }
+      lines.push(`  ${command.usage.padEnd(30)} ${command.description}`);
+    });
+
+    lines.push("Type 'help <command>' for details.");
+    return lines.join('\n');
+  },
+
+  formatCommandHelp(name, shell = null) {
+    const command = this.get(name, shell);
+    if (!command) return null;
+
+    const lines = [`${command.name} - ${command.description}`, `usage: ${command.usage}`];
+
+    if (command.aliases.length) {
+      lines.push(`aliases: ${command.aliases.join(', ')}`);
+    }
+    command.args.filter(a => a.description).forEach(arg => {
+      lines.push(`  ${arg.name.padEnd(12)} ${arg.description}${arg.required ? ' (required)' : ''}`);
+    });
+    if (command.subcommands) {
+      Object.entries(command.subcommands).forEach(([sub, description]) => {
+        lines.push(`  ${`${command.name} ${sub}`.padEnd(30)} ${description}`);
+      });
+    }
+    if (command.permissions.length) {
+      lines.push(`permissions: ${command.permissions.join(', ')}`);
+    }
+
+    return lines.join('\n');
+  },
+
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  },
+
+  notify(event, data) {
+    this.listeners.forEach(cb => {
+      try {
+        cb(event, data);
+      } catch (e) {
+        console.error('[CommandRegistry] Listener error:', e);
+      }
+    });
+  },
+
+  registerCoreCommands() {
+    this.register({
+      name: 'help',
+      description: 'Show available commands',
+      usage: 'help [command]',
+      category: 'general',
+      args: [{ name: 'command', type: 'string', description: 'Command to describe' }],
+      handler: async (ctx) => {
+        if (ctx.params.command) {
+          const text = ctx.registry.formatCommandHelp(ctx.params.command, ctx.shell);
+          if (!text) {
+            ctx.error(`help: no help topics match '${ctx.params.command}'`);
+            return 1;
+          }
+          return text;
+        }
+        return ctx.registry.formatHelp(ctx.shell, ctx.permissions);
+      }
+    });
+
+    this.register({
+      name: 'echo',
+      description: 'Print arguments',
+      usage: 'echo [-n] [text...]',
+      category: 'general',
+      handler: async (ctx) => {
+        const noNewline = ctx.args[0] === '-n';
+        const text = (noNewline ? ctx.args.slice(1) : ctx.args).join(' ');
+        ctx.write(noNewline ? text : `${text}\n`);
+      }
+    });
+
+    this.register({
+      name: 'date',
+      description: 'Print the current date',
+      category: 'general',
+      handler: async () => new Date().toISOString()
+    });
+
+    this.register({
+      name: 'whoami',
+      description: 'Print the current agent',
+      category: 'general',
+      handler: async (ctx) => `agent:${ctx.agentId || 'system'}`
+    });
+
+    this.register({
+      name: 'env',
+      description: 'Print environment variables',
+      category: 'environment',
+      handler: async (ctx) => {
+        Object.entries(ctx.env || {}).forEach(([k, v]) => ctx.print(`${k}=${v}`));
+      }
+    });
+
+    this.register({
+      name: 'export',
+      description: 'Set environment variables',
+      usage: 'export KEY=VALUE...',
+      category: 'environment',
+      args: [{ name: 'assignments', type: 'string', variadic: true, required: true }],
+      handler: async (ctx) => {
+        if (!ctx.env) throw new Error('environment not available in this shell');
+        ctx.params.assignments.forEach(arg => {
+          const idx = arg.indexOf('=');
+          const key = idx === -1 ? arg : arg.slice(0, idx);
+          if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+            ctx.error(`export: '${arg}': not a valid identifier`);
+            ctx.failed = true;
+            return;
+          }
+          ctx.env[key] = idx === -1 ? (ctx.env[key] ?? '') : arg.slice(idx + 1);
+        });
+      }
+    });
+
+    this.register({
+      name: 'clear',
+      description: 'Clear terminal output',
+      category: 'general',
+      handler: async (ctx) => {
+        if (typeof ctx.clear === 'function') ctx.clear();
+      }
+    });
+  }
+};
+
+CommandRegistry.registerCoreCommands();
+
+if (typeof window !== 'undefined' && !window.CommandRegistry?.register) {
+  window.CommandRegistry = CommandRegistry;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { CommandRegistry };
+}
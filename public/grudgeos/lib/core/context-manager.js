@@ -0,0 +1,217 @@
+/**
+ * Context Manager
+ * Keeps a conversation inside a model's token window: pinned instructions always stay,
+ * recent turns are kept verbatim, older turns are folded into a rolling summary and
+ * archived so they can be retrieved again by relevance.
+ */
+
+class ContextManager {
+  static estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(String(typeof text === 'string' ? text : JSON.stringify(text)).length / 4);
+  }
+
+  static tokenize(text) {
+    return String(text || '').toLowerCase().match(/[a-z0-9_]{3,}/g) || [];
+  }
+
+  /**
+   * options: { maxTokens, reserveTokens, keepRecent, maxArchive, summarize }
+   * `summarize(turns, previousSummary)` may be async and should return the new summary text;
+   * without it a short extractive summary is used.
+   */
+  constructor(options = {}) {
+    this.maxTokens = options.maxTokens || 8192;
+    this.reserveTokens = options.reserveTokens ?? 1024;
+    this.keepRecent = options.keepRecent ?? 6;
+    this.maxArchive = options.maxArchive ?? 200;
+    this.summarize = options.summarize || null;
+    this.pinned = [];
+    this.turns = [];
+    this.summary = '';
+    this.archive = [];
+  }
+
+  get budget() {
+    return this.budgetFor(this.maxTokens);
+  }
+
+  budgetFor(maxTokens) {
+    return Math.max(256, maxTokens - this.reserveTokens);
+  }
+
+  pin(content, role = 'system') {
+    const entry = { id: `pin_${Date.now()}_${this.pinned.length}`, role, content };
+    this.pinned.push(entry);
+    return entry.id;
+  }
+
+  unpin(id) {
+    this.pinned = this.pinned.filter(p => p.id !== id);
+  }
+
+  add(role, content) {
+    this.turns.push({ role, content: String(content ?? ''), timestamp: Date.now() });
+  }
+
+  countTokens(messages) {
+    return messages.reduce((sum, m) => sum + 4 + ContextManager.estimateTokens(m.content), 0);
+  }
+
+  summaryMessage() {
+    return this.summary
+      ? { role: 'system', content: `Summary of earlier conversation:\n${this.summary}` }
+      : null;
+  }
+
+  extractiveSummary(turns, previous) {
+    const lines = turns.map(t => `${t.role}: ${t.content.replace(/\s+/g, ' ').slice(0, 160)}`);
+    const combined = [previous, ...lines].filter(Boolean).join('\n');
+    const limit = Math.floor(this.budget / 4) * 4;
+    return combined.length > limit ? combined.slice(combined.length - limit) : combined;
+  }
+
+  /**
+   * Fold the oldest turns (beyond keepRecent) into the summary until pinned messages,
+   * summary and turns fit the budget. Folded turns move to the archive.
+   */
+  async compact(extra = [], budget = this.budget) {
+    const fits = () => this.countTokens([
+      ...extra,
+      ...this.pinned,
+      ...[this.summaryMessage()].filter(Boolean),
+      ...this.turns
+    ]) <= budget;
+
+    if (fits() || this.turns.length <= this.keepRecent) return false;
+
+    const folded = [];
+    while (this.turns.length > this.keepRecent && !fits()) {
+      folded.push(this.turns.shift());
+    }
+    if (folded.length === 0) return false;
+
+    try {
+      this.summary = this.summarize
+        ? await this.summarize(folded, this.summary)
+        : this.extractiveSummary(folded, this.summary);
+    } catch (e) {
+      console.warn('[ContextManager] Summarization failed, using extractive summary:', e.message);
+      this.summary = this.extractiveSummary(folded, this.summary);
+    }
+
+    this.archive.push(...folded);
+    if (this.archive.length > this.maxArchive) {
+      this.archive.splice(0, this.archive.length - this.maxArchive);
+    }
+    return true;
+  }
+
+  /**
+   * Archived turns ranked by term overlap with the query.
+   */
+  retrieve(query, limit = 3) {
+    const terms = new Set(ContextManager.tokenize(query));
+    if (terms.size === 0) return [];
+
+    return this.archive
+      .map(turn => {
+        const words = ContextManager.tokenize(turn.content);
+        const hits = words.filter(w => terms.has(w)).length;
+        return { turn, score: words.length ? hits / Math.sqrt(words.length) : 0 };
+      })
+      .filter(r => r.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(r => r.turn);
+  }
+
+  /**
+   * Messages to send: system prompt and pinned messages first, then the rolling summary,
+   * relevant archived turns for `query`, recent turns and finally `pending` (the new
+   * user message, not yet added). Retrieved context is dropped first if space runs out.
+   * options.maxTokens is the window of the model this request goes to (default maxTokens).
+   */
+  async build(options = {}) {
+    const budget = this.budgetFor(options.maxTokens || this.maxTokens);
+    const head = [
+      ...(options.system ? [{ role: 'system', content: options.system }] : []),
+      ...this.pinned.map(({ role, content }) => ({ role, content }))
+    ];
+    const pending = options.pending ? [{ role: 'user', content: options.pending }] : [];
+
+    await this.compact([...head, ...pending], budget);
+
+    const summary = this.summaryMessage();
+    const recent = this.turns.map(({ role, content }) => ({ role, content }));
+    let retrieved = options.query ? this.retrieve(options.query, options.retrieve ?? 3) : [];
+
+    const assemble = () => [
+      ...head,
+      ...(summary ? [summary] : []),
+      ...(retrieved.length ? [{
+        role: 'system',
+        content: `Relevant earlier context:\n${retrieved.map(t => `${t.role}: ${t.content}`).join('\n')}`
+      }] : []),
+      ...recent,
+      ...pending
+    ];
+
+    let messages = assemble();
+    while (retrieved.length && this.countTokens(messages) > budget) {
+      retrieved = retrieved.slice(0, -1);
+      messages = assemble();
+    }
+    while (recent.length > 1 && this.countTokens(messages) > budget) {
+      recent.shift();
+      messages = assemble();
+    }
+    return messages;
+  }
+
+  getStats() {
+    const messages = [...this.pinned, ...[this.summaryMessage()].filter(Boolean), ...this.turns];
+    return {
+      tokens: this.countTokens(messages),
+      budget: this.budget,
+      pinned: this.pinned.length,
+      turns: this.turns.length,
+      archived: this.archive.length,
+      hasSummary: !!this.summary
+    };
+  }
+
+  clear() {
+    this.turns = [];
+    this.summary = '';
+    this.archive = [];
+  }
+
+  toJSON() {
+    return {
+      pinned: this.pinned,
+      turns: this.turns,
+      summary: this.summary,
+      archive: this.archive
+    };
+  }
+
+  static fromJSON(data, options = {}) {
+    const context = new ContextManager(options);
+    if (data) {
+      context.pinned = data.pinned || [];
+      context.turns = data.turns || [];
+      context.summary = data.summary || '';
+      context.archive = data.archive || [];
+    }
+    return context;
+  }
+}
+
+if (typeof window !== 'undefined' && !window.ContextManager) {
+  window.ContextManager = ContextManager;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { ContextManager };
+}
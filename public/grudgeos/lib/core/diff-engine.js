@@ -0,0 +1,605 @@
+/**
+ * Diff Engine
+ * Line-level Myers diff, unified-diff output, a patch applier and a three-way merge for AI
+ * code edits. The parser tolerates model-produced diffs (code fences, missing or wrong hunk ranges,
+ * context lines without their leading space) and hunks are matched fuzzily, so an edit
+ * to a large file can be reviewed and applied hunk by hunk instead of as a full rewrite.
+ */
+
+class DiffEngine {
+  static NO_NEWLINE = '\\ No newline at end of file';
+
+  static splitLines(text) {
+    const value = String(text ?? '');
+    if (value === '') return [];
+    const lines = value.split(/\r?\n/);
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  }
+
+  /**
+   * splitLines, with a final line that has no newline marked as in a unified diff
+   * ("line\n\\ No newline at end of file") so adding or dropping the newline is a change
+   */
+  static toLines(text) {
+    const lines = DiffEngine.splitLines(text);
+    if (lines.length && !/\n$/.test(String(text))) {
+      lines[lines.length - 1] += `\n${DiffEngine.NO_NEWLINE}`;
+    }
+    return lines;
+  }
+
+  /**
+   * Inverse of toLines, joining with `eol`
+   */
+  static joinLines(lines, eol = '\n') {
+    if (!lines.length) return '';
+    const text = lines.map(DiffEngine.lineText).join(eol);
+    return lines[lines.length - 1].endsWith(DiffEngine.NO_NEWLINE) ? text : text + eol;
+  }
+
+  static lineText(line) {
+    return line.endsWith(DiffEngine.NO_NEWLINE) ? line.slice(0, -DiffEngine.NO_NEWLINE.length - 1) : line;
+  }
+
+  /**
+   * Line ending a text uses: CRLF when its first line ends with one, else LF
+   */
+  static lineEnding(text) {
+    return /^[^\n]*\r\n/.test(String(text ?? '')) ? '\r\n' : '\n';
+  }
+
+  /**
+   * Myers O(ND) time, O(N + M) space line diff: [{ type: 'equal' | 'delete' | 'insert', line }]
+   */
+  static diffLines(oldText, newText) {
+    const a = Array.isArray(oldText) ? oldText : DiffEngine.toLines(oldText);
+    const b = Array.isArray(newText) ? newText : DiffEngine.toLines(newText);
+    return DiffEngine.myers(a, b);
+  }
+
+  /**
+   * Linear-space Myers: find where the forward and reverse searches meet (the middle snake),
+   * split there and diff both halves. Memory stays O(N + M) however far apart the texts are.
+   */
+  static myers(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const prefix = a.slice(0, start).map(line => ({ type: 'equal', line }));
+    const suffix = a.slice(endA).map(line => ({ type: 'equal', line }));
+    const oldMid = a.slice(start, endA);
+    const newMid = b.slice(start, endB);
+
+    let middle;
+    if (oldMid.length === 0) {
+      middle = newMid.map(line => ({ type: 'insert', line }));
+    } else if (newMid.length === 0) {
+      middle = oldMid.map(line => ({ type: 'delete', line }));
+    } else {
+      const split = DiffEngine.middleSnake(oldMid, newMid);
+      middle = split
+        ? [
+          ...DiffEngine.myers(oldMid.slice(0, split.x), newMid.slice(0, split.y)),
+          ...DiffEngine.myers(oldMid.slice(split.x), newMid.slice(split.y))
+        ]
+        : [
+          ...oldMid.map(line => ({ type: 'delete', line })),
+          ...newMid.map(line => ({ type: 'insert', line }))
+        ];
+    }
+    return [...prefix, ...middle, ...suffix];
+  }
+
+  /**
+   * Point { x, y } on a shortest edit path of two non-empty sequences that differ at both
+   * ends, or null when they share nothing
+   */
+  static middleSnake(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const maxD = Math.ceil((n + m) / 2);
+    const offset = maxD;
+    const size = 2 * maxD + 2;
+    const forward = new Int32Array(size).fill(-1);
+    const reverse = new Int32Array(size).fill(-1);
+    forward[offset + 1] = 0;
+    reverse[offset + 1] = 0;
+
+    const delta = n - m;
+    const odd = delta % 2 !== 0;
+    // Diagonals that ran off the edges are skipped
+    let fStart = 0;
+    let fEnd = 0;
+    let rStart = 0;
+    let rEnd = 0;
+
+    for (let d = 0; d < maxD; d++) {
+      for (let k = -d + fStart; k <= d - fEnd; k += 2) {
+        const i = offset + k;
+        let x = (k === -d || (k !== d && forward[i - 1] < forward[i + 1])) ? forward[i + 1] : forward[i - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        forward[i] = x;
+        if (x > n) {
+          fEnd += 2;
+        } else if (y > m) {
+          fStart += 2;
+        } else if (odd) {
+          const j = offset + delta - k;
+          if (j >= 0 && j < size && reverse[j] !== -1 && x >= n - reverse[j]) return { x, y };
+        }
+      }
+
+      for (let k = -d + rStart; k <= d - rEnd; k += 2) {
+        const i = offset + k;
+        let x = (k === -d || (k !== d && reverse[i - 1] < reverse[i + 1])) ? reverse[i + 1] : reverse[i - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[n - x - 1] === b[m - y - 1]) {
+          x++;
+          y++;
+        }
+        reverse[i] = x;
+        if (x > n) {
+          rEnd += 2;
+        } else if (y > m) {
+          rStart += 2;
+        } else if (!odd) {
+          const j = offset + delta - k;
+          if (j >= 0 && j < size && forward[j] !== -1) {
+            const fx = forward[j];
+            if (fx >= n - x) return { x: fx, y: fx - (j - offset) };
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Group an edit script into hunks with `context` unchanged lines around each change
+   */
+  static buildHunks(ops, context = 3) {
+    const hunks = [];
+    let oldLine = 1;
+    let newLine = 1;
+    let hunk = null;
+    let trailing = 0;
+
+    const nextChange = new Array(ops.length);
+    for (let i = ops.length - 1, next = Infinity; i >= 0; i--) {
+      nextChange[i] = next;
+      if (ops[i].type !== 'equal') next = i;
+    }
+
+    ops.forEach((op, i) => {
+      if (op.type === 'equal') {
+        if (hunk) {
+          const gap = nextChange[i] - i;
+          if (trailing < context || gap <= context) {
+            hunk.lines.push(` ${op.line}`);
+            trailing++;
+          } else {
+            hunks.push(hunk);
+            hunk = null;
+          }
+        }
+        oldLine++;
+        newLine++;
+        return;
+      }
+
+      if (!hunk) {
+        const lead = [];
+        for (let j = i - 1; j >= 0 && lead.length < context && ops[j].type === 'equal'; j--) {
+          lead.unshift(` ${ops[j].line}`);
+        }
+        hunk = { oldStart: oldLine - lead.length, newStart: newLine - lead.length, lines: lead };
+      }
+      trailing = 0;
+      hunk.lines.push(`${op.type === 'delete' ? '-' : '+'}${op.line}`);
+      if (op.type === 'delete') oldLine++;
+      else newLine++;
+    });
+
+    if (hunk) hunks.push(hunk);
+    return hunks.map(h => DiffEngine.countHunk(h));
+  }
+
+  static countHunk(hunk) {
+    const oldLines = hunk.lines.filter(l => l[0] !== '+').length;
+    const newLines = hunk.lines.filter(l => l[0] !== '-').length;
+    return {
+      ...hunk,
+      oldStart: hunk.oldStart ?? null,
+      newStart: hunk.newStart ?? null,
+      oldLines,
+      newLines
+    };
+  }
+
+  /**
+   * { oldPath, newPath, hunks } for two versions of a file
+   */
+  static structuredPatch(oldText, newText, options = {}) {
+    return {
+      oldPath: options.oldPath || options.path || 'file',
+      newPath: options.newPath || options.path || 'file',
+      hunks: DiffEngine.buildHunks(DiffEngine.diffLines(oldText, newText), options.context ?? 3)
+    };
+  }
+
+  static formatPatch(patch) {
+    if (!patch.hunks.length) return '';
+    const range = (start, count) => `${count === 0 ? Math.max(0, start - 1) : start}${count === 1 ? '' : `,${count}`}`;
+    return [
+      `--- a/${patch.oldPath.replace(/^\//, '')}`,
+      `+++ b/${patch.newPath.replace(/^\//, '')}`,
+      ...patch.hunks.flatMap(h => [
+        `@@ -${range(h.oldStart, h.oldLines)} +${range(h.newStart, h.newLines)} @@`,
+        ...h.lines
+      ])
+    ].join('\n') + '\n';
+  }
+
+  /**
+   * Unified diff text, '' when the versions are equal
+   */
+  static createPatch(oldText, newText, options = {}) {
+    return DiffEngine.formatPatch(DiffEngine.structuredPatch(oldText, newText, options));
+  }
+
+  /**
+   * Parse unified diff text into [{ oldPath, newPath, hunks }]. Hunk ranges that are
+   * missing or malformed become null and are located by content when applying.
+   */
+  static parsePatch(text) {
+    const lines = String(text || '').replace(/```[\w-]*\n?/g, '').split(/\r?\n/);
+    const files = [];
+    let file = null;
+    let hunk = null;
+
+    const closeHunk = () => {
+      if (hunk) {
+        while (hunk.lines.length && hunk.lines[hunk.lines.length - 1] === ' ') hunk.lines.pop();
+        if (hunk.lines.some(l => l[0] === '+' || l[0] === '-')) file.hunks.push(DiffEngine.countHunk(hunk));
+      }
+      hunk = null;
+    };
+    const cleanPath = p => p.trim().split('\t')[0].replace(/^[ab]\//, '');
+
+    lines.forEach((line, i) => {
+      // A file header is a '--- ' line directly followed by '+++ '
+      if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+        closeHunk();
+        file = { oldPath: cleanPath(line.slice(4)), newPath: cleanPath(lines[i + 1].slice(4)), hunks: [] };
+        files.push(file);
+        return;
+      }
+      if (line.startsWith('+++ ') && lines[i - 1]?.startsWith('--- ')) return;
+
+      if (line.startsWith('@@')) {
+        closeHunk();
+        if (!file) {
+          file = { oldPath: null, newPath: null, hunks: [] };
+          files.push(file);
+        }
+        // Ranges with a zero count name the line before the change
+        const match = line.match(/^@@\s*-(\d+)(?:,(\d+))?\s+\+(\d+)(?:,(\d+))?\s*@@/);
+        hunk = {
+          oldStart: match ? Number(match[1]) + (match[2] === '0' ? 1 : 0) : null,
+          newStart: match ? Number(match[3]) + (match[4] === '0' ? 1 : 0) : null,
+          lines: []
+        };
+        return;
+      }
+      if (!hunk) return;
+
+      if (line[0] === ' ' || line[0] === '-' || line[0] === '+') {
+        hunk.lines.push(line);
+      } else if (line === '') {
+        hunk.lines.push(' ');
+      } else if (line.startsWith('\\')) {
+        // "\ No newline at end of file" belongs to the line before it
+        const last = hunk.lines.length - 1;
+        if (last >= 0 && !hunk.lines[last].endsWith(DiffEngine.NO_NEWLINE)) {
+          hunk.lines[last] += `\n${DiffEngine.NO_NEWLINE}`;
+        }
+      } else {
+        closeHunk();
+      }
+    });
+    closeHunk();
+
+    return files
+      .filter(f => f.hunks.length)
+      .map(f => ({ ...f, oldPath: f.oldPath || f.newPath, newPath: f.newPath || f.oldPath }));
+  }
+
+  static normalizeLine(line) {
+    return DiffEngine.lineText(line).trim().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Where a hunk's old lines occur, searching outwards from the expected line. With fuzz,
+   * up to `fuzz` leading/trailing context lines may be ignored; loose matches ignore
+   * whitespace differences.
+   */
+  static locateHunk(lines, hunk, expected, options = {}) {
+    const fuzz = options.fuzz ?? 2;
+    const minPos = options.minPos ?? 0;
+    const body = hunk.lines;
+    const leadingContext = Math.max(0, body.findIndex(l => l[0] !== ' '));
+    let trailingContext = 0;
+    for (let i = body.length - 1; i >= 0 && body[i][0] === ' '; i--) trailingContext++;
+
+    for (let f = 0; f <= fuzz; f++) {
+      const trimStart = Math.min(f, leadingContext);
+      const trimEnd = Math.min(f, trailingContext);
+      const slice = body.slice(trimStart, body.length - trimEnd);
+      const pattern = slice.filter(l => l[0] !== '+').map(l => l.slice(1));
+      const last = lines.length - pattern.length;
+      const origin = Math.min(Math.max(expected + trimStart, minPos), Math.max(minPos, last));
+
+      for (const loose of [false, true]) {
+        const same = loose
+          ? (x, y) => DiffEngine.normalizeLine(x) === DiffEngine.normalizeLine(y)
+          : (x, y) => x === y;
+
+        for (let distance = 0; origin + distance <= last || origin - distance >= minPos; distance++) {
+          for (const pos of distance === 0 ? [origin] : [origin + distance, origin - distance]) {
+            if (pos < minPos || pos > last) continue;
+            if (pattern.every((p, i) => same(lines[pos + i], p))) {
+              return { pos, slice, fuzz: f, loose, offset: pos - (expected + trimStart) };
+            }
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Apply a patch (unified diff text or parsed file patch) to text.
+   * options: { fuzz (context lines that may be ignored, default 2),
+   *            hunks: indices to apply | accept(hunk, index) => boolean }
+   * Returns { text, results: [{ index, status: 'applied' | 'rejected' | 'failed', offset, fuzz }],
+   *           applied, rejected, failed }. Failed and rejected hunks leave the text untouched.
+   * The text keeps its line endings. A patch without "\ No newline at end of file" lines
+   * keeps the text's final newline as it is.
+   */
+  static applyPatch(text, patch, options = {}) {
+    const filePatch = typeof patch === 'string' ? DiffEngine.parsePatch(patch)[0] : patch;
+    if (!filePatch) throw new Error('No hunks found in patch');
+
+    const original = String(text ?? '');
+    const eol = DiffEngine.lineEnding(original);
+    const newlineAware = filePatch.hunks.some(h => h.lines.some(l => l.endsWith(DiffEngine.NO_NEWLINE)));
+    const lines = newlineAware ? DiffEngine.toLines(original) : DiffEngine.splitLines(original);
+    const endsWithNewline = original === '' || /\n$/.test(original);
+    const selected = (hunk, index) => options.accept
+      ? options.accept(hunk, index)
+      : !options.hunks || options.hunks.includes(index);
+
+    const results = [];
+    let delta = 0;
+    let minPos = 0;
+
+    filePatch.hunks.forEach((hunk, index) => {
+      if (!selected(hunk, index)) {
+        results.push({ index, status: 'rejected' });
+        return;
+      }
+
+      const expected = hunk.oldStart === null ? minPos : Math.max(0, hunk.oldStart - 1 + delta);
+      const match = DiffEngine.locateHunk(lines, hunk, expected, { fuzz: options.fuzz, minPos });
+      if (!match) {
+        results.push({ index, status: 'failed', error: 'Context not found' });
+        return;
+      }
+
+      // Context lines keep the file's own text; only '-' and '+' lines change it
+      const replacement = [];
+      let cursor = match.pos;
+      match.slice.forEach(line => {
+        if (line[0] === ' ') replacement.push(lines[cursor++]);
+        else if (line[0] === '-') cursor++;
+        else replacement.push(line.slice(1));
+      });
+
+      const removed = cursor - match.pos;
+      lines.splice(match.pos, removed, ...replacement);
+      delta += replacement.length - removed;
+      minPos = match.pos + replacement.length;
+      results.push({ index, status: 'applied', offset: match.offset, fuzz: match.fuzz, loose: match.loose });
+    });
+
+    const count = status => results.filter(r => r.status === status).length;
+    return {
+      text: newlineAware
+        ? DiffEngine.joinLines(lines, eol)
+        : lines.join(eol) + (lines.length && endsWithNewline ? eol : ''),
+      results,
+      applied: count('applied'),
+      rejected: count('rejected'),
+      failed: count('failed')
+    };
+  }
+
+  /**
+   * Patch that undoes `patch`
+   */
+  static reversePatch(patch) {
+    const filePatch = typeof patch === 'string' ? DiffEngine.parsePatch(patch)[0] : patch;
+    return {
+      oldPath: filePatch.newPath,
+      newPath: filePatch.oldPath,
+      hunks: filePatch.hunks.map(h => DiffEngine.countHunk({
+        oldStart: h.newStart,
+        newStart: h.oldStart,
+        lines: h.lines.map(l => l[0] === '+' ? `-${l.slice(1)}` : l[0] === '-' ? `+${l.slice(1)}` : l)
+      }))
+    };
+  }
+
+  /**
+   * Changed regions of `base` in an edit script: [{ start, end, lines }] where base lines
+   * [start, end) are replaced by `lines`
+   */
+  static changeRegions(ops) {
+    const regions = [];
+    let index = 0;
+    let region = null;
+    ops.forEach(op => {
+      if (op.type === 'equal') {
+        if (region) regions.push(region);
+        region = null;
+        index++;
+        return;
+      }
+      if (!region) region = { start: index, end: index, lines: [] };
+      if (op.type === 'delete') region.end = ++index;
+      else region.lines.push(op.line);
+    });
+    if (region) regions.push(region);
+    return regions;
+  }
+
+  /**
+   * Three-way line merge of two versions derived from `base`. Changes touching the same
+   * base lines conflict unless both sides made the same change; conflicting ranges are
+   * written with <<<<<<< / ======= / >>>>>>> markers.
+   * Returns { text, conflicts: [{ line, base, ours, theirs }], clean }. The text uses the
+   * line endings of `ours`.
+   */
+  static merge3(base, ours, theirs, options = {}) {
+    const baseLines = DiffEngine.toLines(base);
+    const sides = [ours, theirs].map(text => DiffEngine.changeRegions(DiffEngine.diffLines(baseLines, text)));
+    const labels = { ours: options.oursLabel || 'ours', theirs: options.theirsLabel || 'theirs' };
+
+    const regions = [
+      ...sides[0].map(r => ({ ...r, side: 0 })),
+      ...sides[1].map(r => ({ ...r, side: 1 }))
+    ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+    // Overlapping or touching regions form one cluster
+    const clusters = [];
+    regions.forEach(region => {
+      const last = clusters[clusters.length - 1];
+      if (last && region.start <= last.end) {
+        last.end = Math.max(last.end, region.end);
+        last.regions.push(region);
+      } else {
+        clusters.push({ start: region.start, end: region.end, regions: [region] });
+      }
+    });
+
+    const sideText = (cluster, side) => {
+      const lines = [];
+      let cursor = cluster.start;
+      cluster.regions.filter(r => r.side === side).forEach(r => {
+        lines.push(...baseLines.slice(cursor, r.start), ...r.lines);
+        cursor = r.end;
+      });
+      lines.push(...baseLines.slice(cursor, cluster.end));
+      return lines;
+    };
+
+    const output = [];
+    const conflicts = [];
+    let cursor = 0;
+    clusters.forEach(cluster => {
+      output.push(...baseLines.slice(cursor, cluster.start));
+      cursor = cluster.end;
+
+      const oursLines = sideText(cluster, 0);
+      const theirsLines = sideText(cluster, 1);
+      const bothSides = cluster.regions.some(r => r.side === 0) && cluster.regions.some(r => r.side === 1);
+      if (!bothSides || oursLines.join('\n') === theirsLines.join('\n')) {
+        output.push(...(cluster.regions.some(r => r.side === 0) ? oursLines : theirsLines));
+        return;
+      }
+
+      conflicts.push({
+        line: output.length + 1,
+        base: baseLines.slice(cluster.start, cluster.end).map(DiffEngine.lineText),
+        ours: oursLines.map(DiffEngine.lineText),
+        theirs: theirsLines.map(DiffEngine.lineText)
+      });
+      // Marker lines always end in a newline
+      output.push(`<<<<<<< ${labels.ours}`, ...oursLines.map(DiffEngine.lineText), '=======',
+        ...theirsLines.map(DiffEngine.lineText), `>>>>>>> ${labels.theirs}`);
+    });
+    output.push(...baseLines.slice(cursor));
+
+    return {
+      text: DiffEngine.joinLines(output, DiffEngine.lineEnding(ours || base)),
+      conflicts,
+      clean: conflicts.length === 0
+    };
+  }
+
+  /**
+   * Prompt asking a model for a unified diff against `content`
+   */
+  static editPrompt(path, content, instruction) {
+    return `${instruction}
+
+Reply with only a unified diff against ${path}: "--- a/${path}" and "+++ b/${path}" headers, then @@ hunks with 3 lines of unchanged context. Do not repeat unchanged parts of the file.
+Only if a diff is impractical, reply with the line "FULL FILE: ${path}" followed by the complete new file in one code block.
+
+${path}:
+\`\`\`
+${content}
+\`\`\``;
+  }
+
+  /**
+   * Patch for `path` from a model reply: the unified diff it contains, or - when the model
+   * marked a code block as the whole file ("FULL FILE:", see editPrompt) - the diff from
+   * `original` to that file. Other code blocks are not taken as the file. Returns
+   * { patch, diff, stats, fromFullText }; patch is null when the reply has neither.
+   */
+  static patchFromResponse(original, response, path = 'file') {
+    const text = String(response || '');
+    const parsed = DiffEngine.parsePatch(text);
+    const bare = p => String(p || '').replace(/^\//, '');
+    const filePatch = parsed.find(p => bare(p.newPath) === bare(path) || bare(p.oldPath) === bare(path)) || parsed[0];
+    if (filePatch) {
+      const patch = { ...filePatch, oldPath: path, newPath: path };
+      return { patch, diff: DiffEngine.formatPatch(patch), stats: DiffEngine.stats(patch), fromFullText: false };
+    }
+
+    const block = text.match(/^[ \t]*FULL FILE\b[^\n]*\n+\s*```[\w-]*\n([\s\S]*?)```/mi);
+    if (!block) return { patch: null, diff: '', stats: DiffEngine.stats(null), fromFullText: false };
+    const patch = DiffEngine.structuredPatch(original, block[1], { path });
+    return { patch, diff: DiffEngine.formatPatch(patch), stats: DiffEngine.stats(patch), fromFullText: true };
+  }
+
+  static stats(patch) {
+    const filePatch = typeof patch === 'string' ? DiffEngine.parsePatch(patch)[0] : patch;
+    const lines = filePatch?.hunks.flatMap(h => h.lines) || [];
+    return {
+      hunks: filePatch?.hunks.length || 0,
+      additions: lines.filter(l => l[0] === '+').length,
+      deletions: lines.filter(l => l[0] === '-').length
+    };
+  }
+}
+
+if (typeof window !== 'undefined' && !window.DiffEngine) {
+  window.DiffEngine = DiffEngine;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { DiffEngine };
+}
@@ -28,6 +28,10 @@ const CoreSystems = {
     return typeof window !== 'undefined' ? window.OperationsRegistry : null;
   },
 
+  getCommandRegistry() {
+    return typeof window !== 'undefined' ? window.CommandRegistry : null;
+  },
+
   createShellWithStreams(config) {
     const ShellRegistry = this.getShellRegistry();
     const ConsoleStream = this.getConsoleStream();
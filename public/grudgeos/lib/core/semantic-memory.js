@@ -0,0 +1,302 @@
+/**
+ * Semantic Memory
+ * Local long-term memory for agents: text is split into chunks, embedded and ranked by
+ * cosine similarity with time decay. The embedder is pluggable; without one a deterministic
+ * feature-hashing embedding is used so recall works offline.
+ */
+
+class SemanticMemory {
+  static HASH_EMBEDDER = 'hash';
+
+  static STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'was', 'were', 'with', 'this', 'that', 'from', 'have', 'has',
+    'you', 'your', 'our', 'its', 'but', 'not', 'all', 'any', 'can', 'will', 'what', 'which',
+    'who', 'how', 'does', 'did', 'into', 'then', 'than', 'there', 'their', 'them', 'also',
+    'is', 'it', 'of', 'to', 'in', 'on', 'at', 'as', 'be', 'by', 'or', 'an', 'we', 'do', 'so'
+  ]);
+
+  static tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[a-z0-9_]{2,}/g) || [])
+      .filter(token => !SemanticMemory.STOP_WORDS.has(token));
+  }
+
+  static hashToken(token, seed = 0x811c9dc5) {
+    let hash = seed;
+    for (let i = 0; i < token.length; i++) {
+      hash ^= token.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Feature-hashed bag of words and bigrams, L2-normalised. Same text, same vector.
+   */
+  static hashEmbed(text, dimensions = 256) {
+    const vector = new Array(dimensions).fill(0);
+    const tokens = SemanticMemory.tokenize(text);
+    const features = [...tokens, ...tokens.slice(1).map((t, i) => `${tokens[i]} ${t}`)];
+
+    features.forEach(feature => {
+      const hash = SemanticMemory.hashToken(feature);
+      const weight = feature.includes(' ') ? 0.5 : 1;
+      vector[hash % dimensions] += (hash & 0x80000000) ? -weight : weight;
+    });
+
+    return SemanticMemory.normalize(vector);
+  }
+
+  static normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm ? vector.map(v => v / norm) : vector;
+  }
+
+  static cosine(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0, na = 0, nb = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      na += a[i] * a[i];
+      nb += b[i] * b[i];
+    }
+    return na && nb ? dot / Math.sqrt(na * nb) : 0;
+  }
+
+  /**
+   * Embedder backed by the server's embedding endpoint ({ text } -> { embedding })
+   */
+  static createHttpEmbedder(url = '/api/ai/embeddings/generate', name = 'server') {
+    return {
+      name,
+      embed: async (text) => {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ text })
+        });
+        if (!response.ok) throw new Error(`Embedding request failed: ${response.status}`);
+        const data = await response.json();
+        return data.embedding;
+      }
+    };
+  }
+
+  /**
+   * Split text into chunks of at most `size` characters at paragraph or sentence breaks
+   */
+  static chunk(text, size = 800) {
+    const clean = String(text || '').trim();
+    if (clean.length <= size) return clean ? [clean] : [];
+
+    const pieces = clean.split(/\n\s*\n|(?<=[.!?])\s+/);
+    const chunks = [];
+    let current = '';
+    pieces.forEach(piece => {
+      while (piece.length > size) {
+        if (current) chunks.push(current);
+        current = '';
+        chunks.push(piece.slice(0, size));
+        piece = piece.slice(size);
+      }
+      if (current && current.length + piece.length + 1 > size) {
+        chunks.push(current);
+        current = piece;
+      } else {
+        current = current ? `${current} ${piece}` : piece;
+      }
+    });
+    if (current) chunks.push(current);
+    return chunks;
+  }
+
+  /**
+   * options: { embedder: fn(text) | { name, embed(text) }, dimensions, chunkSize, maxChunks,
+   *            halfLifeMs, decayFloor, dedupeThreshold }
+   * Scores decay towards decayFloor * similarity with a half-life of halfLifeMs.
+   */
+  constructor(options = {}) {
+    const embedder = typeof options.embedder === 'function'
+      ? { name: 'custom', embed: options.embedder }
+      : options.embedder || null;
+    this.embedder = embedder;
+    this.dimensions = options.dimensions || 256;
+    this.chunkSize = options.chunkSize || 800;
+    this.maxChunks = options.maxChunks || 1000;
+    this.halfLifeMs = options.halfLifeMs ?? 14 * 24 * 60 * 60 * 1000;
+    this.decayFloor = options.decayFloor ?? 0.5;
+    this.dedupeThreshold = options.dedupeThreshold ?? 0.95;
+    this.chunks = [];
+  }
+
+  /**
+   * Embed with the configured embedder, falling back to the hashing embedder when it fails
+   */
+  async embed(text, embedderName = null) {
+    if (this.embedder && embedderName !== SemanticMemory.HASH_EMBEDDER) {
+      try {
+        const vector = await this.embedder.embed(text);
+        if (Array.isArray(vector) && vector.length) return { embedder: this.embedder.name, vector };
+      } catch (e) {
+        console.warn('[SemanticMemory] Embedder failed, using hashing fallback:', e.message);
+      }
+    }
+    return { embedder: SemanticMemory.HASH_EMBEDDER, vector: SemanticMemory.hashEmbed(text, this.dimensions) };
+  }
+
+  /**
+   * Store text (chunked) with metadata. Near-duplicates of an existing chunk refresh that
+   * chunk instead of adding a new one. Returns the stored or refreshed chunks.
+   */
+  async add(text, metadata = {}) {
+    const stored = [];
+    for (const piece of SemanticMemory.chunk(text, this.chunkSize)) {
+      const { embedder, vector } = await this.embed(piece);
+      const duplicate = this.chunks.find(c =>
+        c.embedder === embedder && SemanticMemory.cosine(c.vector, vector) >= this.dedupeThreshold);
+
+      if (duplicate) {
+        duplicate.updatedAt = Date.now();
+        duplicate.hits++;
+        duplicate.metadata = { ...duplicate.metadata, ...metadata };
+        stored.push(this.describe(duplicate));
+        continue;
+      }
+
+      const chunk = {
+        id: `smem_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        text: piece,
+        metadata,
+        embedder,
+        vector,
+        hits: 0,
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+      };
+      this.chunks.push(chunk);
+      stored.push(this.describe(chunk));
+    }
+    this.prune();
+    return stored;
+  }
+
+  decay(chunk, now = Date.now()) {
+    if (!this.halfLifeMs) return 1;
+    const age = Math.max(0, now - chunk.updatedAt);
+    return this.decayFloor + (1 - this.decayFloor) * Math.pow(0.5, age / this.halfLifeMs);
+  }
+
+  matchesFilter(chunk, filter) {
+    if (!filter) return true;
+    if (typeof filter === 'function') return filter(chunk.metadata, chunk);
+    return Object.entries(filter).every(([key, value]) => chunk.metadata[key] === value);
+  }
+
+  /**
+   * Top-k chunks for a query: [{ id, text, metadata, similarity, score }].
+   * options: { k, minScore, filter: object of metadata values or fn(metadata), now }
+   */
+  async search(query, options = {}) {
+    const k = options.k ?? 5;
+    const minScore = options.minScore ?? 0.15;
+    const now = options.now || Date.now();
+    const candidates = this.chunks.filter(c => this.matchesFilter(c, options.filter));
+    if (!candidates.length || !String(query || '').trim()) return [];
+
+    // Compare against chunks in the vector space they were embedded in
+    const queryVectors = {};
+    for (const name of new Set(candidates.map(c => c.embedder))) {
+      const { embedder, vector } = await this.embed(query, name);
+      if (embedder === name) queryVectors[name] = vector;
+    }
+
+    const results = candidates
+      .filter(c => queryVectors[c.embedder])
+      .map(c => {
+        const similarity = SemanticMemory.cosine(queryVectors[c.embedder], c.vector);
+        return { ...this.describe(c), similarity, score: similarity * this.decay(c, now) };
+      })
+      .filter(r => r.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+
+    results.forEach(r => {
+      const chunk = this.chunks.find(c => c.id === r.id);
+      if (chunk) chunk.hits++;
+    });
+    return results;
+  }
+
+  /**
+   * Relevant memories formatted for a system prompt, or '' when nothing matches
+   */
+  async recall(query, options = {}) {
+    const results = await this.search(query, options);
+    if (!results.length) return '';
+    return `Relevant memories:\n${results.map(r => `- ${r.text.replace(/\s+/g, ' ')}`).join('\n')}`;
+  }
+
+  remove(id) {
+    const before = this.chunks.length;
+    this.chunks = this.chunks.filter(c => c.id !== id);
+    return this.chunks.length < before;
+  }
+
+  /**
+   * Drop the least valuable chunks (decayed, rarely recalled) beyond maxChunks
+   */
+  prune() {
+    if (this.chunks.length <= this.maxChunks) return 0;
+    const now = Date.now();
+    const value = c => this.decay(c, now) * (1 + Math.log1p(c.hits));
+    const keep = [...this.chunks].sort((a, b) => value(b) - value(a)).slice(0, this.maxChunks);
+    const removed = this.chunks.length - keep.length;
+    this.chunks = this.chunks.filter(c => keep.includes(c));
+    return removed;
+  }
+
+  describe(chunk) {
+    const { vector, ...rest } = chunk;
+    return rest;
+  }
+
+  clear() {
+    this.chunks = [];
+  }
+
+  getStats() {
+    return {
+      chunks: this.chunks.length,
+      embedders: [...new Set(this.chunks.map(c => c.embedder))],
+      oldest: this.chunks.reduce((min, c) => Math.min(min, c.createdAt), Infinity)
+    };
+  }
+
+  /**
+   * Hash-embedded chunks are stored without vectors and re-embedded on load
+   */
+  toJSON() {
+    return {
+      dimensions: this.dimensions,
+      chunks: this.chunks.map(c => c.embedder === SemanticMemory.HASH_EMBEDDER
+        ? this.describe(c)
+        : { ...c, vector: c.vector.map(v => Math.round(v * 1e4) / 1e4) })
+    };
+  }
+
+  static fromJSON(data, options = {}) {
+    const memory = new SemanticMemory({ dimensions: data?.dimensions, ...options });
+    memory.chunks = (data?.chunks || []).map(c => c.vector ? c : {
+      ...c,
+      vector: SemanticMemory.hashEmbed(c.text, memory.dimensions)
+    });
+    return memory;
+  }
+}
+
+if (typeof window !== 'undefined' && !window.SemanticMemory) {
+  window.SemanticMemory = SemanticMemory;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { SemanticMemory };
+}
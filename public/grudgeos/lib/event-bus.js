@@ -218,6 +218,10 @@ const TOPICS = {
   AGENT_TASK: 'agent:task',
   AGENT_COMPLETE: 'agent:complete',
   
+  COLLAB_UPDATE: 'collab:update',
+  COLLAB_CURSOR: 'collab:cursor',
+  COLLAB_SYNC: 'collab:sync',
+  
   WINDOW_OPEN: 'window:open',
   WINDOW_CLOSE: 'window:close',
   WINDOW_FOCUS: 'window:focus',
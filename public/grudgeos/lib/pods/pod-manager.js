@@ -1,3 +1,242 @@
+function podWorkerMain(post) {
+  const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+  const serialize = (value) => {
+    if (typeof value === 'string') return value;
+    try {
+      return JSON.stringify(value);
+    } catch {
+      return String(value);
+    }
+  };
+
+  // Only cross-origin isolated windows expose measureUserAgentSpecificMemory; Workers and the
+  // sandboxed iframe fallback normally report null
+  const measureMemory = async () => {
+    try {
+      if (self.crossOriginIsolated && performance.measureUserAgentSpecificMemory) {
+        return (await performance.measureUserAgentSpecificMemory()).bytes;
+      }
+    } catch { }
+    return null;
+  };
+
+  const blocked = [
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'WebTransport', 'importScripts',
+    'indexedDB', 'caches', 'Worker', 'SharedWorker', 'RTCPeerConnection', 'postMessage'
+  ];
+  // Same as VMSandbox: remove them along the prototype chain (WorkerGlobalScope and friends)
+  // so they cannot be recovered from a prototype, then pin them to undefined on the global
+  for (let scope = self; scope && scope !== Object.prototype; scope = Object.getPrototypeOf(scope)) {
+    blocked.forEach(name => {
+      if (!Object.prototype.hasOwnProperty.call(scope, name)) return;
+      try {
+        delete scope[name];
+      } catch {}
+      if (Object.prototype.hasOwnProperty.call(scope, name)) {
+        try {
+          Object.defineProperty(scope, name, { value: undefined, configurable: false, writable: false });
+        } catch {
+          try { scope[name] = undefined; } catch {}
+        }
+      }
+    });
+  }
+  blocked.forEach(name => {
+    try {
+      Object.defineProperty(self, name, { value: undefined, configurable: false, writable: false });
+    } catch {
+      try { self[name] = undefined; } catch {}
+    }
+  });
+
+  self.addEventListener('message', async (event) => {
+    const msg = event.data;
+    if (msg?.type !== 'run') return;
+    if (typeof parent !== 'undefined' && parent !== self && event.source !== parent) return;
+
+    const jobConsole = {};
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+      jobConsole[level] = (...args) => post({ type: 'log', jobId: msg.jobId, level, message: args.map(serialize).join(' ') });
+    });
+
+    const start = performance.now();
+    try {
+      let value;
+      if (msg.kind === 'transform') {
+        const fn = new Function('data', 'console', `"use strict";\nreturn (${msg.code})(data);`);
+        value = await fn(msg.data, jobConsole);
+      } else {
+        const fn = new AsyncFunction('env', 'data', 'console', `"use strict";\n${msg.code}`);
+        value = await fn(msg.env, msg.data, jobConsole);
+      }
+      const cpuMs = performance.now() - start;
+      const memoryBytes = await measureMemory();
+      try {
+        post({ type: 'result', jobId: msg.jobId, value, cpuMs, memoryBytes });
+      } catch {
+        post({ type: 'result', jobId: msg.jobId, value: serialize(value), cpuMs, memoryBytes });
+      }
+    } catch (e) {
+      const cpuMs = performance.now() - start;
+      post({ type: 'error', jobId: msg.jobId, error: e?.message || String(e), cpuMs, memoryBytes: await measureMemory() });
+    }
+  });
+}
+
+/**
+ * Isolated execution context for a single pod: a dedicated Worker, or a sandboxed
+ * iframe where Workers are unavailable. Runs one job at a time and is terminated
+ * (then lazily restarted) when a job exceeds its duration limit.
+ */
+class PodRuntime {
+  static workerUrl = null;
+
+  static getKind() {
+    if (typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && typeof URL !== 'undefined') return 'worker';
+    if (typeof document !== 'undefined' && typeof window !== 'undefined') return 'iframe';
+    return null;
+  }
+
+  constructor(podId) {
+    this.podId = podId;
+    this.kind = PodRuntime.getKind();
+    this.worker = null;
+    this.iframe = null;
+    this.ready = null;
+    this.current = null;
+    this.startedAt = null;
+    this.jobsRun = 0;
+    this.onWindowMessage = null;
+  }
+
+  get alive() {
+    return !!(this.worker || this.iframe);
+  }
+
+  start() {
+    if (this.ready) return this.ready;
+    if (!this.kind) {
+      return Promise.reject(new Error('No isolated runtime (Worker or iframe) available'));
+    }
+
+    const source = `(${podWorkerMain.toString()})`;
+    this.startedAt = Date.now();
+
+    if (this.kind === 'worker') {
+      if (!PodRuntime.workerUrl) {
+        const blob = new Blob([`${source}(self.postMessage.bind(self));`], { type: 'application/javascript' });
+        PodRuntime.workerUrl = URL.createObjectURL(blob);
+      }
+      const url = PodRuntime.workerUrl;
+      this.worker = new Worker(url);
+      this.worker.onmessage = (event) => this.handleMessage(event.data);
+      this.worker.onerror = (event) => {
+        event.preventDefault?.();
+        this.settle('error', { error: event.message || 'Pod worker error' });
+      };
+      this.ready = Promise.resolve();
+      return this.ready;
+    }
+
+    this.ready = new Promise((resolve) => {
+      this.iframe = document.createElement('iframe');
+      this.iframe.setAttribute('sandbox', 'allow-scripts');
+      this.iframe.style.display = 'none';
+      this.iframe.srcdoc = `<script>${source}((msg) => parent.postMessage(msg, '*'));<\/script>`;
+      this.onWindowMessage = (event) => {
+        if (this.iframe && event.source === this.iframe.contentWindow) {
+          this.handleMessage(event.data);
+        }
+      };
+      window.addEventListener('message', this.onWindowMessage);
+      this.iframe.onload = () => resolve();
+      document.body.appendChild(this.iframe);
+    });
+    return this.ready;
+  }
+
+  /**
+   * Run a job. Resolves with { value, cpuMs, memoryBytes } measured inside the runtime;
+   * memoryBytes is null where the runtime cannot measure its own heap (see podWorkerMain).
+   */
+  async run(job, options = {}) {
+    if (this.current) throw new Error('Pod runtime is busy');
+    await this.start();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.terminate(new Error(`Execution timeout after ${options.timeoutMs}ms (pod runtime terminated)`));
+      }, options.timeoutMs || 60000);
+
+      this.current = { jobId: job.id, resolve, reject, timer, onLog: options.onLog };
+      this.jobsRun++;
+
+      const message = {
+        type: 'run',
+        jobId: job.id,
+        kind: options.kind || 'code',
+        code: job.code,
+        data: job.data,
+        env: job.env || {}
+      };
+
+      if (this.worker) {
+        this.worker.postMessage(message);
+      } else {
+        this.iframe.contentWindow.postMessage(message, '*');
+      }
+    });
+  }
+
+  handleMessage(msg) {
+    if (!this.current || msg?.jobId !== this.current.jobId) return;
+
+    if (msg.type === 'log') {
+      this.current.onLog?.(msg.level, msg.message);
+    } else if (msg.type === 'result') {
+      this.settle('result', msg);
+    } else if (msg.type === 'error') {
+      this.settle('error', msg);
+    }
+  }
+
+  settle(kind, msg) {
+    const current = this.current;
+    if (!current) return;
+    clearTimeout(current.timer);
+    this.current = null;
+
+    if (kind === 'result') {
+      current.resolve({ value: msg.value, cpuMs: msg.cpuMs, memoryBytes: msg.memoryBytes });
+    } else {
+      const error = new Error(msg.error);
+      error.usage = { cpuMs: msg.cpuMs, memoryBytes: msg.memoryBytes };
+      current.reject(error);
+    }
+  }
+
+  terminate(reason = null) {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.iframe) {
+      window.removeEventListener('message', this.onWindowMessage);
+      this.iframe.remove();
+      this.iframe = null;
+    }
+    this.ready = null;
+
+    if (this.current) {
+      const current = this.current;
+      clearTimeout(current.timer);
+      this.current = null;
+      current.reject(reason || new Error('Pod runtime terminated'));
+    }
+  }
+}
+
 class PodManager {
   static POD_STATUS = {
     IDLE: 'idle',
@@ -13,7 +252,37 @@ class PodManager {
     RUNNING: 'running',
     COMPLETED: 'completed',
     FAILED: 'failed',
-    CANCELLED: 'cancelled'
+    CANCELLED: 'cancelled',
+    DEAD_LETTER: 'dead-letter'
+  };
+
+  static PRIORITY = {
+    critical: 0,
+    high: 1,
+    normal: 2,
+    low: 3
+  };
+
+  static DEFAULT_QUOTA = {
+    maxConcurrentPods: null,
+    cpuMsPerHour: null,
+    jobsPerMinute: null,
+    aiCallsPerDay: null,
+    onExceed: 'queue',
+    warnAt: 0.8
+  };
+
+  // Failed jobs are retried with backoff; a job that fails its last attempt is dead-lettered
+  static DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    backoffMs: 1000,
+    factor: 2,
+    maxBackoffMs: 60000
+  };
+
+  static DEPENDENCY_POLICY = {
+    CANCEL: 'cancel',
+    CONTINUE: 'continue'
   };
 
   constructor() {
@@ -30,6 +299,11 @@ class PodManager {
     this.warmPool = [];
     this.warmPoolSize = 2;
     this.resourceAccounting = new Map();
+    this.runtimes = new Map();
+    this.dependencyPolicy = PodManager.DEPENDENCY_POLICY.CANCEL;
+    this.retryPolicy = { ...PodManager.DEFAULT_RETRY_POLICY };
+    this.priorityAgingMs = 30000;
+    this.fairShare = new Map();
     this.listeners = new Map();
   }
 
@@ -60,6 +334,11 @@ class PodManager {
       if (completedData) {
         this.completedJobs = JSON.parse(completedData);
       }
+
+      const namespacesData = await puter.kv.get(`${this.namespace}:namespaces`);
+      if (namespacesData) {
+        JSON.parse(namespacesData).forEach(ns => this.agentNamespaces.set(ns.agentId, ns));
+      }
     } catch (e) {
       console.log('[PodManager] No saved state');
     }
@@ -70,7 +349,8 @@ class PodManager {
     try {
       await puter.kv.set(`${this.namespace}:pods`, JSON.stringify(Array.from(this.pods.values())));
       await puter.kv.set(`${this.namespace}:queue`, JSON.stringify(this.jobQueue));
-      await puter.kv.set(`${this.namespace}:completed`, JSON.stringify(this.completedJobs.slice(-100)));
+      await puter.kv.set(`${this.namespace}:completed`, JSON.stringify(this.completedJobs));
+      await puter.kv.set(`${this.namespace}:namespaces`, JSON.stringify(Array.from(this.agentNamespaces.values())));
     } catch (e) {
       console.warn('[PodManager] Failed to save state:', e.message);
     }
@@ -103,7 +383,8 @@ class PodManager {
       lastActiveAt: null,
       environment: config.environment || {},
       capabilities: config.capabilities || ['code', 'ai', 'transform'],
-      affinity: config.affinity || null
+      affinity: config.affinity || null,
+      keepWarm: !!config.keepWarm
     };
 
     this.pods.set(pod.id, pod);
@@ -124,16 +405,7 @@ class PodManager {
     pod.agentId = agentId;
     pod.namespace = `agent_${agentId}`;
 
-    if (!this.agentNamespaces.has(agentId)) {
-      this.agentNamespaces.set(agentId, {
-        agentId,
-        pods: [],
-        totalJobs: 0,
-        resourceUsage: { cpu: 0, memory: 0 }
-      });
-    }
-
-    const ns = this.agentNamespaces.get(agentId);
+    const ns = this.ensureNamespace(agentId);
     if (!ns.pods.includes(podId)) {
       ns.pods.push(podId);
     }
@@ -165,14 +437,128 @@ class PodManager {
     return this.agentNamespaces.get(agentId) || null;
   }
 
+  ensureNamespace(agentId) {
+    if (!this.agentNamespaces.has(agentId)) {
+      this.agentNamespaces.set(agentId, {
+        agentId,
+        pods: [],
+        totalJobs: 0,
+        resourceUsage: { cpu: 0, memory: 0 },
+        quota: { ...PodManager.DEFAULT_QUOTA },
+        usage: { jobStarts: [], cpu: [], aiCalls: [] },
+        quotaWarnings: {}
+      });
+    }
+    return this.agentNamespaces.get(agentId);
+  }
+
+  setNamespaceQuota(agentId, quota = {}) {
+    const ns = this.ensureNamespace(agentId);
+    ns.quota = { ...ns.quota, ...quota };
+    this.saveState();
+    return ns.quota;
+  }
+
+  pruneUsage(ns, now = Date.now()) {
+    ns.usage.jobStarts = ns.usage.jobStarts.filter(t => now - t < 60 * 1000);
+    ns.usage.cpu = ns.usage.cpu.filter(entry => now - entry.at < 60 * 60 * 1000);
+    ns.usage.aiCalls = ns.usage.aiCalls.filter(t => now - t < 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Current usage against each quota limit for an agent namespace. Limits set to
+   * null are unlimited.
+   */
+  getQuotaStatus(agentId) {
+    const ns = this.agentNamespaces.get(agentId);
+    if (!ns) return null;
+    this.pruneUsage(ns);
+
+    const used = {
+      concurrentPods: new Set(Array.from(this.runningJobs.values())
+        .filter(j => j.metadata?.agentId === agentId)
+        .map(j => j.podId)).size,
+      cpuMsPerHour: ns.usage.cpu.reduce((sum, entry) => sum + entry.ms, 0),
+      jobsPerMinute: ns.usage.jobStarts.length,
+      aiCallsPerDay: ns.usage.aiCalls.length
+    };
+    const limits = {
+      concurrentPods: ns.quota.maxConcurrentPods,
+      cpuMsPerHour: ns.quota.cpuMsPerHour,
+      jobsPerMinute: ns.quota.jobsPerMinute,
+      aiCallsPerDay: ns.quota.aiCallsPerDay
+    };
+
+    return { agentId, used, limits, onExceed: ns.quota.onExceed };
+  }
+
+  /**
+   * Check whether starting a job now would exceed its namespace's quotas.
+   * Returns null when allowed, otherwise a human-readable reason.
+   */
+  checkQuota(job) {
+    const agentId = job.metadata?.agentId;
+    if (!agentId || !this.agentNamespaces.has(agentId)) return null;
+
+    const { used, limits } = this.getQuotaStatus(agentId);
+    const checks = [
+      ['concurrentPods', 1, `${used.concurrentPods}/${limits.concurrentPods} concurrent pods in use`],
+      ['jobsPerMinute', 1, `${used.jobsPerMinute}/${limits.jobsPerMinute} jobs started in the last minute`],
+      ['cpuMsPerHour', 0, `${used.cpuMsPerHour}/${limits.cpuMsPerHour} CPU ms used in the last hour`],
+      ['aiCallsPerDay', job.type === 'ai' ? 1 : 0, `${used.aiCallsPerDay}/${limits.aiCallsPerDay} AI calls made today`]
+    ];
+
+    for (const [metric, cost, detail] of checks) {
+      const limit = limits[metric];
+      if (limit == null) continue;
+      if ((cost > 0 && used[metric] + cost > limit) || (cost === 0 && used[metric] >= limit)) {
+        return `Quota exceeded for agent ${agentId}: ${detail}`;
+      }
+    }
+    return null;
+  }
+
+  checkQuotaWarnings(agentId) {
+    const ns = this.agentNamespaces.get(agentId);
+    if (!ns) return;
+
+    const { used, limits } = this.getQuotaStatus(agentId);
+    Object.keys(limits).forEach(metric => {
+      const limit = limits[metric];
+      if (!limit) return;
+      const ratio = used[metric] / limit;
+      const near = ratio >= (ns.quota.warnAt ?? 0.8);
+
+      if (near && !ns.quotaWarnings[metric]) {
+        this.emit('quota:warning', { agentId, metric, used: used[metric], limit, ratio });
+      }
+      ns.quotaWarnings[metric] = near;
+    });
+  }
+
+  recordQuotaUsage(job) {
+    const agentId = job.metadata?.agentId;
+    if (!agentId) return;
+
+    const ns = this.ensureNamespace(agentId);
+    ns.totalJobs++;
+    ns.usage.jobStarts.push(Date.now());
+    if (job.type === 'ai') ns.usage.aiCalls.push(Date.now());
+    this.checkQuotaWarnings(agentId);
+  }
+
   async warmUpPool() {
     while (this.warmPool.length < this.warmPoolSize) {
       const pod = this.createPod({
         name: `Warm-${this.warmPool.length + 1}`,
-        runtime: 'browser'
+        runtime: 'browser',
+        keepWarm: true
       });
       pod.status = PodManager.POD_STATUS.WARMING;
       this.warmPool.push(pod.id);
+      this.getRuntime(pod.id).start().catch(e => {
+        console.warn('[PodManager] Warm runtime unavailable:', e.message);
+      });
     }
     this.emit('pool:warmed', { count: this.warmPool.length });
   }
@@ -194,19 +580,32 @@ class PodManager {
     return this.createPod(config);
   }
 
-  updateResourceAccounting(podId, usage) {
+  /**
+   * Record runtime usage for a pod. CPU is charged to the job's agent when given, else to
+   * the agent the pod is bound to.
+   */
+  updateResourceAccounting(podId, usage, agentId = null) {
     const pod = this.pods.get(podId);
     if (!pod) return;
 
     pod.resources.cpuUsed += usage.cpu || 0;
-    pod.resources.memoryUsedMb = Math.max(pod.resources.memoryUsedMb, usage.memory || 0);
-    pod.stats.memoryPeakMb = Math.max(pod.stats.memoryPeakMb, usage.memory || 0);
+    if (usage.memory != null) {
+      pod.resources.memoryUsedMb = usage.memory;
+      pod.stats.memoryPeakMb = Math.max(pod.stats.memoryPeakMb, usage.memory);
+    }
 
-    if (pod.agentId) {
-      const ns = this.agentNamespaces.get(pod.agentId);
+    const owner = agentId || pod.agentId;
+    if (owner) {
+      const ns = this.agentNamespaces.get(owner);
       if (ns) {
         ns.resourceUsage.cpu += usage.cpu || 0;
-        ns.resourceUsage.memory = Math.max(ns.resourceUsage.memory, usage.memory || 0);
+        if (usage.cpu && ns.usage) {
+          ns.usage.cpu.push({ at: Date.now(), ms: usage.cpu });
+          this.checkQuotaWarnings(owner);
+        }
+        if (usage.memory != null) {
+          ns.resourceUsage.memory = Math.max(ns.resourceUsage.memory, usage.memory);
+        }
       }
     }
 
@@ -217,6 +616,56 @@ class PodManager {
     });
   }
 
+  getRuntime(podId) {
+    if (!this.runtimes.has(podId)) {
+      this.runtimes.set(podId, new PodRuntime(podId));
+    }
+    return this.runtimes.get(podId);
+  }
+
+  releaseRuntime(pod) {
+    const runtime = this.runtimes.get(pod.id);
+    if (!runtime || pod.keepWarm) return;
+    runtime.terminate();
+    this.runtimes.delete(pod.id);
+  }
+
+  /**
+   * Run job code in the pod's isolated runtime. The runtime is terminated when the
+   * job exceeds maxDurationMs; usage is measured inside the runtime, never taken from the job.
+   */
+  async runIsolated(job, pod, kind) {
+    const runtime = this.getRuntime(pod.id);
+    const recordUsage = (usage) => {
+      if (!usage) return;
+      this.updateResourceAccounting(pod.id, {
+        cpu: Math.round(usage.cpuMs || 0),
+        memory: usage.memoryBytes != null ? Math.round(usage.memoryBytes / (1024 * 1024)) : null
+      }, job.metadata?.agentId);
+    };
+
+    try {
+      const result = await runtime.run({
+        id: job.id,
+        code: job.input.code,
+        data: job.input.data,
+        env: job.input.env
+      }, {
+        kind,
+        timeoutMs: job.resources.maxDurationMs,
+        onLog: (level, message) => job.logs.push(`[${level}] ${message}`)
+      });
+      recordUsage(result);
+      return result.value;
+    } catch (error) {
+      recordUsage(error.usage);
+      if (!runtime.alive) this.runtimes.delete(pod.id);
+      throw error;
+    } finally {
+      this.releaseRuntime(pod);
+    }
+  }
+
   getResourceUsage(podId) {
     return this.resourceAccounting.get(podId) || { cpu: 0, memory: 0 };
   }
@@ -256,6 +705,10 @@ class PodManager {
       }
     }
     
+    this.runtimes.get(podId)?.terminate(new Error('Pod terminated'));
+    this.runtimes.delete(podId);
+    this.warmPool = this.warmPool.filter(id => id !== podId);
+
     pod.status = PodManager.POD_STATUS.TERMINATED;
     this.pods.delete(podId);
     this.saveState();
@@ -263,6 +716,13 @@ class PodManager {
   }
 
   submitJob(jobSpec) {
+    const dependsOn = [...new Set(jobSpec.dependsOn || [])];
+    const upstreamJobs = dependsOn.map(id => {
+      const upstream = this.getJob(id);
+      if (!upstream) throw new Error(`Unknown dependency: ${id}`);
+      return upstream;
+    });
+
     const job = {
       id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
       type: jobSpec.type || 'code',
@@ -280,11 +740,17 @@ class PodManager {
         maxDurationMs: jobSpec.maxDurationMs || jobSpec.resources?.maxDurationMs || 60000,
         priority: jobSpec.priority || jobSpec.resources?.priority || 'normal'
       },
+      retry: { ...this.retryPolicy, ...jobSpec.retry },
+      attempts: 0,
+      nextAttemptAt: null,
       metadata: {
         createdBy: jobSpec.createdBy || 'user',
         agentId: jobSpec.agentId || null,
         tags: jobSpec.tags || []
       },
+      dependsOn,
+      dependencyPolicy: jobSpec.dependencyPolicy || this.dependencyPolicy,
+      graphId: jobSpec.graphId || upstreamJobs.find(j => j.graphId)?.graphId || null,
       result: null,
       logs: [],
       createdAt: new Date().toISOString(),
@@ -292,16 +758,286 @@ class PodManager {
       completedAt: null
     };
 
+    if (!(job.resources.priority in PodManager.PRIORITY)) {
+      throw new Error(`Unknown priority: ${job.resources.priority}`);
+    }
+
+    const quotaReason = this.checkQuota(job);
+    if (quotaReason) {
+      const onExceed = this.agentNamespaces.get(job.metadata.agentId).quota.onExceed;
+      this.emit('quota:exceeded', { agentId: job.metadata.agentId, jobId: job.id, reason: quotaReason, action: onExceed });
+      if (onExceed === 'reject') {
+        const error = new Error(quotaReason);
+        error.code = 'QUOTA_EXCEEDED';
+        throw error;
+      }
+      job.quotaBlocked = quotaReason;
+      job.logs.push(`Queued: ${quotaReason}`);
+    }
+
     this.jobQueue.push(job);
-    this.jobQueue.sort((a, b) => {
-      const priorityOrder = { high: 0, normal: 1, low: 2 };
-      return priorityOrder[a.resources.priority] - priorityOrder[b.resources.priority];
-    });
+
+    const failed = upstreamJobs.find(j => this.isFailedJob(j));
+    if (failed) {
+      this.handleUpstreamFailure(failed);
+    }
     
     this.saveState();
     return job;
   }
 
+  /**
+   * Submit a set of jobs as one graph. Each spec may carry a local `key`; `dependsOn`
+   * entries can reference those keys or existing job IDs. Returns { graphId, jobs }.
+   */
+  submitGraph(specs, options = {}) {
+    const graphId = options.graphId || `graph_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    const byKey = new Map(specs.map((spec, i) => [spec.key || String(i), spec]));
+    const order = [];
+    const visiting = new Set();
+    const visited = new Set();
+
+    const visit = (key, path) => {
+      if (visited.has(key)) return;
+      if (visiting.has(key)) throw new Error(`Dependency cycle: ${[...path, key].join(' -> ')}`);
+      visiting.add(key);
+      (byKey.get(key).dependsOn || []).forEach(dep => {
+        if (byKey.has(dep)) visit(dep, [...path, key]);
+      });
+      visiting.delete(key);
+      visited.add(key);
+      order.push(key);
+    };
+    byKey.forEach((spec, key) => visit(key, []));
+
+    const ids = new Map();
+    const jobs = order.map(key => {
+      const spec = byKey.get(key);
+      const job = this.submitJob({
+        ...spec,
+        graphId,
+        dependencyPolicy: spec.dependencyPolicy || options.dependencyPolicy,
+        dependsOn: (spec.dependsOn || []).map(dep => ids.get(dep) || dep)
+      });
+      ids.set(key, job.id);
+      return job;
+    });
+
+    this.emit('graph:submitted', { graphId, jobIds: jobs.map(j => j.id) });
+    return { graphId, jobs };
+  }
+
+  isFailedJob(job) {
+    return job.status === PodManager.JOB_STATUS.FAILED ||
+      job.status === PodManager.JOB_STATUS.CANCELLED ||
+      job.status === PodManager.JOB_STATUS.DEAD_LETTER;
+  }
+
+  isSettledJob(job) {
+    return job.status === PodManager.JOB_STATUS.COMPLETED || this.isFailedJob(job);
+  }
+
+  getDependents(jobId) {
+    return this.jobQueue.filter(j => j.dependsOn?.includes(jobId));
+  }
+
+  /**
+   * A pending job is ready once every upstream job has settled. Under the 'continue'
+   * policy failed upstreams count as settled; under 'cancel' the job is cancelled instead.
+   */
+  isJobReady(job) {
+    return (job.dependsOn || []).every(id => {
+      const upstream = this.getJob(id);
+      if (!upstream) return false;
+      if (upstream.status === PodManager.JOB_STATUS.COMPLETED) return true;
+      return job.dependencyPolicy === PodManager.DEPENDENCY_POLICY.CONTINUE && this.isFailedJob(upstream);
+    });
+  }
+
+  /**
+   * Feed upstream outputs into a job. Jobs without their own data receive the single
+   * upstream output, or an array of outputs in dependsOn order.
+   */
+  resolveJobInputs(job) {
+    if (!job.dependsOn?.length) return;
+
+    const upstream = {};
+    job.dependsOn.forEach(id => {
+      const result = this.getJob(id)?.result;
+      upstream[id] = result?.success ? result.output : null;
+    });
+    job.input.upstream = upstream;
+
+    if (job.input.data === undefined) {
+      const outputs = job.dependsOn.map(id => upstream[id]);
+      job.input.data = outputs.length === 1 ? outputs[0] : outputs;
+    }
+  }
+
+  handleUpstreamFailure(upstream) {
+    this.getDependents(upstream.id).forEach(job => {
+      if (job.status !== PodManager.JOB_STATUS.PENDING) return;
+      if (job.dependencyPolicy === PodManager.DEPENDENCY_POLICY.CONTINUE) return;
+
+      job.status = PodManager.JOB_STATUS.CANCELLED;
+      job.result = { error: `Upstream job ${upstream.id} ${upstream.status}` };
+      job.completedAt = new Date().toISOString();
+      job.logs.push(`Cancelled: upstream job ${upstream.id} ${upstream.status}`);
+      this.jobQueue = this.jobQueue.filter(j => j.id !== job.id);
+      this.completedJobs.unshift(job);
+      this.emit('job:cancelled', { jobId: job.id, upstream: upstream.id });
+
+      this.handleUpstreamFailure(job);
+    });
+  }
+
+  getGraphStatus(graphId) {
+    const jobs = [
+      ...this.jobQueue,
+      ...this.runningJobs.values(),
+      ...this.completedJobs
+    ].filter((j, i, all) => j.graphId === graphId && all.findIndex(o => o.id === j.id) === i);
+    if (jobs.length === 0) return null;
+
+    const counts = {};
+    jobs.forEach(j => {
+      const state = j.status === PodManager.JOB_STATUS.PENDING && !this.isJobReady(j) ? 'waiting' : j.status;
+      counts[state] = (counts[state] || 0) + 1;
+    });
+
+    let status = 'running';
+    if (jobs.every(j => this.isSettledJob(j))) {
+      status = jobs.every(j => j.status === PodManager.JOB_STATUS.COMPLETED) ? 'completed' : 'failed';
+    } else if (jobs.every(j => j.status === PodManager.JOB_STATUS.PENDING)) {
+      status = 'pending';
+    }
+
+    return {
+      graphId,
+      status,
+      counts,
+      nodes: jobs.map(j => ({
+        id: j.id,
+        type: j.type,
+        status: j.status,
+        dependsOn: j.dependsOn || [],
+        dependents: jobs.filter(o => o.dependsOn?.includes(j.id)).map(o => o.id),
+        startedAt: j.startedAt,
+        completedAt: j.completedAt,
+        error: j.result?.error || null
+      }))
+    };
+  }
+
+  getFairShareKey(job) {
+    return job.metadata?.agentId || 'default';
+  }
+
+  setNamespaceWeight(agentId, weight) {
+    this.ensureNamespace(agentId).weight = Math.max(0.01, Number(weight) || 1);
+  }
+
+  /**
+   * Effective priority level of a job; waiting jobs are promoted one level
+   * per priorityAgingMs so low-priority work is never starved outright.
+   */
+  getEffectivePriority(job, now = Date.now()) {
+    const base = PodManager.PRIORITY[job.resources.priority] ?? PodManager.PRIORITY.normal;
+    const waited = now - new Date(job.createdAt).getTime();
+    return Math.max(0, base - Math.floor(waited / this.priorityAgingMs));
+  }
+
+  /**
+   * Order ready jobs by weighted fair queuing across agent namespaces: the namespace
+   * with the lowest virtual time (jobs dispatched / weight) goes first, and within a
+   * namespace jobs run by effective priority, then submission order.
+   */
+  orderByFairShare(jobs) {
+    const now = Date.now();
+    const byKey = new Map();
+    jobs.forEach(job => {
+      const key = this.getFairShareKey(job);
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(job);
+    });
+
+    const active = [...byKey.keys()].filter(key => this.fairShare.has(key));
+    const floor = active.length ? Math.min(...active.map(key => this.fairShare.get(key))) : 0;
+    const virtual = new Map();
+    byKey.forEach((queue, key) => {
+      this.fairShare.set(key, Math.max(this.fairShare.get(key) ?? floor, floor));
+      virtual.set(key, this.fairShare.get(key));
+      queue.sort((a, b) =>
+        this.getEffectivePriority(a, now) - this.getEffectivePriority(b, now) ||
+        new Date(a.createdAt) - new Date(b.createdAt)
+      );
+    });
+
+    const ordered = [];
+    while (byKey.size > 0) {
+      let nextKey = null;
+      byKey.forEach((queue, key) => {
+        if (nextKey === null || virtual.get(key) < virtual.get(nextKey)) nextKey = key;
+      });
+      const queue = byKey.get(nextKey);
+      ordered.push(queue.shift());
+      virtual.set(nextKey, virtual.get(nextKey) + 1 / this.getNamespaceWeight(nextKey));
+      if (queue.length === 0) byKey.delete(nextKey);
+    }
+    return ordered;
+  }
+
+  getNamespaceWeight(key) {
+    return this.agentNamespaces.get(key)?.weight || 1;
+  }
+
+  chargeFairShare(job) {
+    const key = this.getFairShareKey(job);
+    this.fairShare.set(key, (this.fairShare.get(key) || 0) + 1 / this.getNamespaceWeight(key));
+  }
+
+  getRetryDelay(job) {
+    const { backoffMs, factor, maxBackoffMs } = job.retry;
+    const delay = Math.min(backoffMs * Math.pow(factor, job.attempts - 1), maxBackoffMs);
+    return Math.round(delay * (0.5 + Math.random() * 0.5));
+  }
+
+  getDeadLetterJobs() {
+    return this.completedJobs.filter(j => j.status === PodManager.JOB_STATUS.DEAD_LETTER);
+  }
+
+  requeueDeadLetter(jobId) {
+    const job = this.completedJobs.find(j => j.id === jobId && j.status === PodManager.JOB_STATUS.DEAD_LETTER);
+    if (!job) return null;
+
+    this.completedJobs = this.completedJobs.filter(j => j.id !== jobId);
+    job.status = PodManager.JOB_STATUS.PENDING;
+    job.attempts = 0;
+    job.nextAttemptAt = null;
+    job.completedAt = null;
+    job.logs.push(`[${new Date().toISOString()}] Requeued from dead-letter`);
+    this.jobQueue.push(job);
+    this.saveState();
+    return job;
+  }
+
+  /**
+   * Keep the newest 100 settled jobs and 100 dead letters, plus any job a queued job still
+   * depends on (its dependents need its status and output)
+   */
+  trimCompletedJobs() {
+    if (this.completedJobs.length <= 100) return;
+    const upstream = new Set(this.jobQueue.flatMap(j => j.dependsOn || []));
+    const deadLetters = this.getDeadLetterJobs().slice(0, 100);
+    const others = this.completedJobs.filter(j => j.status !== PodManager.JOB_STATUS.DEAD_LETTER).slice(0, 100);
+    const kept = new Set([...deadLetters, ...others]);
+    this.completedJobs
+      .filter(j => upstream.has(j.id))
+      .forEach(j => kept.add(j));
+    this.completedJobs = [...kept]
+      .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+  }
+
   getAvailablePod(runtime = 'browser') {
     for (const [id, pod] of this.pods) {
       if (pod.status === PodManager.POD_STATUS.IDLE && pod.runtime === runtime) {
@@ -332,14 +1068,35 @@ class PodManager {
   }
 
   async processJobQueue() {
-    const pendingJobs = this.jobQueue.filter(j => j.status === PodManager.JOB_STATUS.PENDING);
+    const now = Date.now();
+    const readyJobs = this.jobQueue.filter(j =>
+      j.status === PodManager.JOB_STATUS.PENDING &&
+      (!j.nextAttemptAt || j.nextAttemptAt <= now) &&
+      this.isJobReady(j)
+    );
+    const started = [];
     
-    for (const job of pendingJobs) {
+    for (const job of this.orderByFairShare(readyJobs)) {
+      const quotaReason = this.checkQuota(job);
+      if (quotaReason) {
+        if (job.quotaBlocked !== quotaReason) {
+          job.quotaBlocked = quotaReason;
+          this.emit('quota:exceeded', { agentId: job.metadata.agentId, jobId: job.id, reason: quotaReason, action: 'queue' });
+        }
+        continue;
+      }
+      job.quotaBlocked = null;
+
       const pod = this.getAvailablePod(job.runtime);
       if (pod) {
-        await this.assignJobToPod(job, pod);
+        this.resolveJobInputs(job);
+        this.chargeFairShare(job);
+        this.recordQuotaUsage(job);
+        started.push(this.assignJobToPod(job, pod));
       }
     }
+
+    return Promise.all(started);
   }
 
   async assignJobToPod(job, pod) {
@@ -348,8 +1105,10 @@ class PodManager {
     pod.status = PodManager.POD_STATUS.BUSY;
     pod.currentJob = job.id;
     pod.lastActiveAt = new Date().toISOString();
+    job.podId = pod.id;
     
     this.runningJobs.set(job.id, job);
+    job.attempts = (job.attempts || 0) + 1;
     
     try {
       const result = await this.executeJob(job, pod);
@@ -358,9 +1117,12 @@ class PodManager {
       pod.stats.jobsCompleted++;
     } catch (error) {
       job.result = { error: error.message };
-      job.status = PodManager.JOB_STATUS.FAILED;
-      job.logs.push(`Error: ${error.message}`);
-      pod.stats.jobsFailed++;
+      // terminatePod already cancelled the job; its runtime rejecting the run is not a failure
+      if (job.status !== PodManager.JOB_STATUS.CANCELLED) {
+        job.status = PodManager.JOB_STATUS.FAILED;
+        job.logs.push(`Error: ${error.message}`);
+        pod.stats.jobsFailed++;
+      }
     }
     
     job.completedAt = new Date().toISOString();
@@ -371,12 +1133,32 @@ class PodManager {
     pod.currentJob = null;
     
     this.runningJobs.delete(job.id);
+
+    const maxAttempts = job.retry?.maxAttempts || 1;
+    if (job.status === PodManager.JOB_STATUS.FAILED && job.attempts < maxAttempts) {
+      const delay = this.getRetryDelay(job);
+      job.status = PodManager.JOB_STATUS.PENDING;
+      job.nextAttemptAt = Date.now() + delay;
+      job.completedAt = null;
+      job.logs.push(`Retrying in ${delay}ms (attempt ${job.attempts + 1}/${maxAttempts})`);
+      this.emit('job:retry', { jobId: job.id, attempt: job.attempts + 1, delay });
+      await this.saveState();
+      return job;
+    }
+
+    if (job.status === PodManager.JOB_STATUS.FAILED) {
+      job.status = PodManager.JOB_STATUS.DEAD_LETTER;
+      job.logs.push(`Moved to dead-letter after ${job.attempts} attempts`);
+    }
+
     this.jobQueue = this.jobQueue.filter(j => j.id !== job.id);
     this.completedJobs.unshift(job);
-    
-    if (this.completedJobs.length > 100) {
-      this.completedJobs = this.completedJobs.slice(0, 100);
+    this.trimCompletedJobs();
+
+    if (this.isFailedJob(job)) {
+      this.handleUpstreamFailure(job);
     }
+    this.emit(`job:${job.status}`, { jobId: job.id, graphId: job.graphId });
     
     await this.saveState();
     return job;
@@ -406,22 +1188,8 @@ class PodManager {
     
     job.logs.push('Executing code...');
     
-    const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
-    const sandbox = this.createSandbox(job.input.env);
-    
     try {
-      const fn = new AsyncFunction('env', 'data', `
-        "use strict";
-        ${code}
-      `);
-      
-      const result = await Promise.race([
-        fn(sandbox, job.input.data),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Execution timeout')), job.resources.maxDurationMs)
-        )
-      ]);
-      
+      const result = await this.runIsolated(job, pod, 'code');
       job.logs.push('Execution completed successfully');
       return { output: result, success: true };
     } catch (error) {
@@ -458,12 +1226,7 @@ class PodManager {
     job.logs.push('Applying transformation...');
     
     try {
-      const fn = new Function('data', `
-        "use strict";
-        return (${transform})(data);
-      `);
-      
-      const result = fn(data);
+      const result = await this.runIsolated(job, pod, 'transform');
       job.logs.push('Transform completed');
       return { output: result, success: true };
     } catch (error) {
@@ -481,20 +1244,6 @@ class PodManager {
     return { output: job.input.data, success: true };
   }
 
-  createSandbox(env = {}) {
-    return {
-      ...env,
-      console: {
-        log: (...args) => { },
-        error: (...args) => { },
-        warn: (...args) => { }
-      },
-      setTimeout: undefined,
-      setInterval: undefined,
-      fetch: undefined
-    };
-  }
-
   getJob(jobId) {
     const running = this.runningJobs.get(jobId);
     if (running) return running;
@@ -511,6 +1260,7 @@ class PodManager {
       job.status = PodManager.JOB_STATUS.CANCELLED;
       this.jobQueue = this.jobQueue.filter(j => j.id !== jobId);
       this.completedJobs.unshift(job);
+      this.handleUpstreamFailure(job);
       this.saveState();
       return true;
     }
@@ -3,14 +3,220 @@
  * Provides unified access to all AI models available through Puter's free API
  */
 
+const SCHEMA_TYPES = {
+  string: v => typeof v === 'string',
+  number: v => typeof v === 'number' && Number.isFinite(v),
+  integer: v => Number.isInteger(v),
+  boolean: v => typeof v === 'boolean',
+  object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+  array: v => Array.isArray(v),
+  null: v => v === null
+};
+
+/**
+ * Validate a value against a JSON Schema subset: type, enum, const, required,
+ * properties, additionalProperties, items, min/maxItems, min/maxLength, minimum/maximum.
+ * Returns a list of { path, message } errors (empty when valid).
+ */
+function validateSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => SCHEMA_TYPES[type]?.(value))) {
+      errors.push({ path, message: `expected ${types.join(' | ')}, got ${value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(o => JSON.stringify(o)).join(', ')}` });
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum != null && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (SCHEMA_TYPES.object(value)) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (schema.properties?.[key]) {
+        errors.push(...validateSchema(child, schema.properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(child, schema.additionalProperties, `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+function isJsonSchema(schema) {
+  return !!schema && typeof schema === 'object' &&
+    ['type', 'properties', 'items', 'enum', 'required'].some(key => key in schema);
+}
+
+function extractJson(content) {
+  const text = String(content ?? '').replace(/```(?:json)?\n?/g, '').replace(/```\n?/g, '').trim();
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    const match = text.match(/[\[{][\s\S]*[\]}]/);
+    if (match) return JSON.parse(match[0]);
+    throw e;
+  }
+}
+
+/**
+ * Per-model circuit breaker, mirroring server/lib/circuit-breaker.ts:
+ * CLOSED until `failureThreshold` consecutive failures, then OPEN for `cooldownMs`,
+ * then HALF_OPEN where `successThreshold` successes close it and a failure reopens it.
+ */
+class ModelCircuitBreaker {
+  static STATES = { CLOSED: 'CLOSED', OPEN: 'OPEN', HALF_OPEN: 'HALF_OPEN' };
+
+  constructor(model, config = {}) {
+    this.model = model;
+    this.config = { failureThreshold: 3, successThreshold: 1, cooldownMs: 30000, ...config };
+    this.state = ModelCircuitBreaker.STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.consecutiveSuccesses = 0;
+    this.failures = 0;
+    this.successes = 0;
+    this.openedAt = null;
+  }
+
+  canRequest() {
+    if (this.state === ModelCircuitBreaker.STATES.OPEN && Date.now() - this.openedAt >= this.config.cooldownMs) {
+      this.transitionTo(ModelCircuitBreaker.STATES.HALF_OPEN);
+    }
+    return this.state !== ModelCircuitBreaker.STATES.OPEN;
+  }
+
+  onSuccess() {
+    this.successes++;
+    this.consecutiveSuccesses++;
+    this.consecutiveFailures = 0;
+    if (this.state === ModelCircuitBreaker.STATES.HALF_OPEN &&
+        this.consecutiveSuccesses >= this.config.successThreshold) {
+      this.transitionTo(ModelCircuitBreaker.STATES.CLOSED);
+    }
+  }
+
+  onFailure() {
+    this.failures++;
+    this.consecutiveFailures++;
+    this.consecutiveSuccesses = 0;
+    if (this.state === ModelCircuitBreaker.STATES.HALF_OPEN ||
+        this.consecutiveFailures >= this.config.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transitionTo(ModelCircuitBreaker.STATES.OPEN);
+    }
+  }
+
+  transitionTo(state) {
+    if (this.state !== state) {
+      console.log(`[PuterAIService] Circuit for ${this.model}: ${this.state} -> ${state}`);
+    }
+    this.state = state;
+  }
+
+  getStats() {
+    return {
+      model: this.model,
+      state: this.state,
+      failures: this.failures,
+      successes: this.successes,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt
+    };
+  }
+}
+
 class PuterAIService {
+  static OFFLINE_MODEL = 'offline';
+
+  static TASK_MODELS = {
+    'code': 'claude-sonnet-4',
+    'code_review': 'claude-sonnet-4',
+    'quick_chat': 'gpt-4o-mini',
+    'creative': 'claude-3-5-sonnet',
+    'analysis': 'gemini-1.5-pro',
+    'vision': 'gpt-4o',
+    'reasoning': 'o1',
+    'math': 'o1-mini',
+    'long_document': 'gemini-2.0-flash',
+    'multilingual': 'mistral-large',
+    'chinese': 'deepseek-chat',
+    'fast': 'claude-3-haiku'
+  };
+
+  // Approximate list prices in USD per 1M tokens, used only for budget estimates
+  static MODEL_PRICING = {
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'claude-3-opus': { input: 15, output: 75 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'o1': { input: 15, output: 60 },
+    'o1-mini': { input: 3, output: 12 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'offline': { input: 0, output: 0 }
+  };
+
+  static estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(String(typeof text === 'string' ? text : JSON.stringify(text)).length / 4);
+  }
+
+  static validateSchema(value, schema) {
+    return validateSchema(value, schema);
+  }
+
   constructor() {
     this.initialized = false;
     this.models = {};
     this.defaultModel = 'claude-sonnet-4';
     this.conversationHistory = new Map();
-    this.tokenUsage = { total: 0, byModel: {} };
-    this.callbacks = { onMessage: null, onError: null, onStream: null };
+    this.contexts = new Map();
+    this.tokenUsage = { total: 0, byModel: {}, fallbacks: 0 };
+    this.fallbackChains = {
+      default: ['claude-sonnet-4', 'gpt-4o', 'gemini-2.0-flash', PuterAIService.OFFLINE_MODEL]
+    };
+    this.circuitConfig = { failureThreshold: 3, successThreshold: 1, cooldownMs: 30000 };
+    this.circuits = new Map();
+    this.usageLog = [];
+    this.usageKey = 'puter_ai:usage';
+    this.usageSaveTimer = null;
+    this.budgets = { conversation: {}, agent: {}, daily: null };
+    this.downgradeModel = 'gpt-4o-mini';
+    this.callbacks = { onMessage: null, onError: null, onStream: null, onBudget: null };
   }
   
   // ============ INITIALIZATION ============
@@ -61,29 +267,146 @@ class PuterAIService {
       'yi-large': { provider: 'yi', capabilities: ['chat', 'analysis'], maxTokens: 4096 }
     };
     
+    await this.loadUsage();
+    
     this.initialized = true;
     console.log(`PuterAIService initialized with ${Object.keys(this.models).length} models`);
     return true;
   }
   
+  /**
+   * Usage survives reloads so daily and per-agent budgets keep counting
+   */
+  async loadUsage() {
+    try {
+      if (!puter.kv) return;
+      const stored = await puter.kv.get(this.usageKey);
+      const entries = stored ? (typeof stored === 'string' ? JSON.parse(stored) : stored) : [];
+      if (Array.isArray(entries)) {
+        this.usageLog = [...entries, ...this.usageLog].slice(-5000);
+      }
+    } catch (e) {
+      console.warn('PuterAIService: Failed to load usage', e);
+    }
+  }
+  
+  scheduleUsageSave() {
+    if (this.usageSaveTimer || typeof puter === 'undefined' || !puter.kv) return;
+    this.usageSaveTimer = setTimeout(async () => {
+      this.usageSaveTimer = null;
+      try {
+        await puter.kv.set(this.usageKey, JSON.stringify(this.usageLog));
+      } catch (e) {
+        console.warn('PuterAIService: Failed to save usage', e);
+      }
+    }, 1000);
+  }
+  
   // ============ MODEL SELECTION ============
   selectModel(task) {
-    const taskModels = {
-      'code': 'claude-sonnet-4',
-      'code_review': 'claude-sonnet-4',
-      'quick_chat': 'gpt-4o-mini',
-      'creative': 'claude-3-5-sonnet',
-      'analysis': 'gemini-1.5-pro',
-      'vision': 'gpt-4o',
-      'reasoning': 'o1',
-      'math': 'o1-mini',
-      'long_document': 'gemini-2.0-flash',
-      'multilingual': 'mistral-large',
-      'chinese': 'deepseek-chat',
-      'fast': 'claude-3-haiku'
-    };
+    return PuterAIService.TASK_MODELS[task] || this.defaultModel;
+  }
+  
+  /**
+   * Token window to fit a conversation into for `model` (the default model when omitted)
+   */
+  getContextWindow(model = null) {
+    return this.models[model || this.defaultModel]?.maxTokens || null;
+  }
+  
+  setFallbackChain(task, models) {
+    this.fallbackChains[task] = [...models];
+  }
+  
+  /**
+   * Models to try, in order, for a request: the task's chain (or the task model plus the
+   * default chain), led by `model` when one is given with fallback enabled.
+   */
+  getFallbackChain(task = null, model = null) {
+    const chain = this.fallbackChains[task] ||
+      [this.selectModel(task), ...this.fallbackChains.default];
+    return [...new Set([model, ...chain].filter(Boolean))];
+  }
+  
+  /**
+   * Models for a request. A model the caller names is used alone unless fallback is
+   * asked for explicitly.
+   */
+  resolveModels(options = {}) {
+    const fallback = options.fallback ?? !options.model;
+    return fallback
+      ? this.getFallbackChain(options.task, options.model)
+      : [options.model || this.selectModel(options.task)];
+  }
+  
+  // ============ CIRCUIT BREAKING ============
+  getCircuit(model) {
+    if (!this.circuits.has(model)) {
+      this.circuits.set(model, new ModelCircuitBreaker(model, this.circuitConfig));
+    }
+    return this.circuits.get(model);
+  }
+  
+  getCircuitStats() {
+    return Array.from(this.circuits.values()).map(circuit => circuit.getStats());
+  }
+  
+  resetCircuit(model) {
+    this.circuits.delete(model);
+  }
+  
+  /**
+   * Call puter.ai.chat down a chain of models, skipping open circuits.
+   * Resolves to { response, model, attempts }; `response` is null for the offline fallback.
+   * A missing SDK is not a model failure: circuits are left alone and the chain goes
+   * straight to the offline fallback (or fails when it has none).
+   */
+  async requestWithFallback(messages, models, options = {}) {
+    const attempts = [];
     
-    return taskModels[task] || this.defaultModel;
+    if (typeof puter === 'undefined' || !puter.ai) {
+      if (models.includes(PuterAIService.OFFLINE_MODEL)) {
+        return { response: null, model: PuterAIService.OFFLINE_MODEL, attempts };
+      }
+      const error = new Error('Puter AI unavailable');
+      error.attempts = attempts;
+      throw error;
+    }
+    
+    for (const model of models) {
+      if (model === PuterAIService.OFFLINE_MODEL) {
+        return { response: null, model, attempts };
+      }
+      
+      const circuit = this.getCircuit(model);
+      if (!circuit.canRequest()) {
+        attempts.push({ model, error: 'circuit open' });
+        continue;
+      }
+      
+      try {
+        const response = await puter.ai.chat(messages, {
+          model,
+          max_tokens: options.maxTokens || this.models[model]?.maxTokens || 4096,
+          temperature: options.temperature ?? 0.7,
+          stream: options.stream || false
+        });
+        circuit.onSuccess();
+        return { response, model, attempts };
+      } catch (error) {
+        circuit.onFailure();
+        attempts.push({ model, error: error.message || String(error) });
+        if (options.signal?.aborted) throw error;
+      }
+    }
+    
+    const error = new Error(`All models failed: ${attempts.map(a => `${a.model} (${a.error})`).join(', ')}`);
+    error.attempts = attempts;
+    throw error;
+  }
+  
+  offlineResponse(prompt) {
+    return `[Offline] AI providers are currently unavailable. Your request was not processed: "${String(prompt).slice(0, 80)}"`;
   }
   
   getModelInfo(modelId) {
@@ -100,71 +423,230 @@ class PuterAIService {
       .map(([id, model]) => ({ id, ...model }));
   }
   
+  // ============ BUDGETS ============
+  estimateMessageTokens(messages) {
+    return messages.reduce((sum, m) => sum + 4 + PuterAIService.estimateTokens(m.content), 0);
+  }
+  
+  estimateCost(model, promptTokens, completionTokens) {
+    const pricing = PuterAIService.MODEL_PRICING[model] || PuterAIService.MODEL_PRICING['gpt-4o'];
+    return (promptTokens * pricing.input + completionTokens * pricing.output) / 1e6;
+  }
+  
+  /**
+   * Set a budget. `scope` is 'conversation', 'agent' or 'daily' (id is ignored for daily).
+   * Limits: { maxTokens, maxCost, onExceed: 'refuse' | 'downgrade' }.
+   */
+  setBudget(scope, id, limits) {
+    const budget = { maxTokens: null, maxCost: null, onExceed: 'refuse', ...limits };
+    if (scope === 'daily') {
+      this.budgets.daily = budget;
+    } else if (this.budgets[scope]) {
+      this.budgets[scope][id] = budget;
+    } else {
+      throw new Error(`Unknown budget scope: ${scope}`);
+    }
+    return budget;
+  }
+  
+  clearBudget(scope, id) {
+    if (scope === 'daily') this.budgets.daily = null;
+    else delete this.budgets[scope]?.[id];
+  }
+  
+  sumUsage(filter) {
+    return this.usageLog.filter(filter).reduce((total, entry) => ({
+      tokens: total.tokens + entry.promptTokens + entry.completionTokens,
+      cost: total.cost + entry.cost
+    }), { tokens: 0, cost: 0 });
+  }
+  
+  /**
+   * Budgets that apply to a request, with current spend. Each entry is
+   * { scope, id, budget, used }.
+   */
+  getApplicableBudgets(conversationId, agentId) {
+    const today = new Date().toISOString().slice(0, 10);
+    const applicable = [];
+    
+    const conversationBudget = this.budgets.conversation[conversationId];
+    if (conversationBudget) {
+      applicable.push({ scope: 'conversation', id: conversationId, budget: conversationBudget,
+        used: this.sumUsage(e => e.conversationId === conversationId) });
+    }
+    const agentBudget = agentId && this.budgets.agent[agentId];
+    if (agentBudget) {
+      applicable.push({ scope: 'agent', id: agentId, budget: agentBudget,
+        used: this.sumUsage(e => e.agentId === agentId) });
+    }
+    if (this.budgets.daily) {
+      applicable.push({ scope: 'daily', id: today, budget: this.budgets.daily,
+        used: this.sumUsage(e => e.timestamp.startsWith(today)) });
+    }
+    return applicable;
+  }
+  
+  /**
+   * Check a request against its budgets. Returns { models } to proceed (possibly
+   * downgraded) or { refused } with a reason.
+   */
+  applyBudgets(messages, models, conversationId, options) {
+    const promptTokens = this.estimateMessageTokens(messages);
+    const expectedCompletion = options.maxTokens || this.models[models[0]]?.maxTokens || 1024;
+    
+    for (const { scope, id, budget, used } of this.getApplicableBudgets(conversationId, options.agentId)) {
+      const projectedCost = this.estimateCost(models[0], promptTokens, expectedCompletion);
+      const overTokens = budget.maxTokens != null && used.tokens + promptTokens > budget.maxTokens;
+      const overCost = budget.maxCost != null && used.cost + projectedCost > budget.maxCost;
+      if (!overTokens && !overCost) continue;
+      
+      const reason = overTokens
+        ? `${scope} budget for ${id} would be exceeded: ${used.tokens}/${budget.maxTokens} tokens used`
+        : `${scope} budget for ${id} would be exceeded: $${used.cost.toFixed(4)}/$${budget.maxCost} spent`;
+      
+      const cheaper = this.downgradeModel;
+      const canDowngrade = budget.onExceed === 'downgrade' && !overTokens && models[0] !== cheaper &&
+        used.cost + this.estimateCost(cheaper, promptTokens, expectedCompletion) <= budget.maxCost;
+      
+      this.callbacks.onBudget?.({ scope, id, reason, action: canDowngrade ? 'downgrade' : 'refuse' });
+      if (!canDowngrade) {
+        return { refused: reason };
+      }
+      models = [cheaper, ...models.filter(m => m === PuterAIService.OFFLINE_MODEL)];
+    }
+    
+    return { models };
+  }
+  
+  recordTokenUsage({ model, agentId, conversationId, messages, content }) {
+    if (model === PuterAIService.OFFLINE_MODEL) return;
+    
+    const promptTokens = this.estimateMessageTokens(messages);
+    const completionTokens = PuterAIService.estimateTokens(content);
+    this.usageLog.push({
+      timestamp: new Date().toISOString(),
+      model,
+      agentId: agentId || null,
+      conversationId,
+      promptTokens,
+      completionTokens,
+      cost: this.estimateCost(model, promptTokens, completionTokens)
+    });
+    
+    if (this.usageLog.length > 5000) {
+      this.usageLog.splice(0, this.usageLog.length - 5000);
+    }
+    this.scheduleUsageSave();
+  }
+  
   // ============ CHAT API ============
   async chat(prompt, options = {}) {
     await this.init();
     
-    const model = options.model || this.defaultModel;
+    let models = this.resolveModels(options);
     const conversationId = options.conversationId || 'default';
     
-    // Build messages array
-    let messages = [];
+    // Build messages array: the context manager keeps history inside the model's window
+    let messages;
+    const context = options.context || (options.useHistory !== false ? this.getContext(conversationId) : null);
+    
+    if (context) {
+      messages = await context.build({
+        system: options.system,
+        query: prompt,
+        pending: prompt,
+        maxTokens: this.getContextWindow(models[0])
+      });
+    } else {
+      messages = [];
+      if (options.system) {
+        messages.push({ role: 'system', content: options.system });
+      }
+      if (options.useHistory !== false) {
+        messages = messages.concat(this.conversationHistory.get(conversationId) || []);
+      }
+      messages.push({ role: 'user', content: prompt });
+    }
     
-    // Add system prompt if provided
-    if (options.system) {
-      messages.push({ role: 'system', content: options.system });
+    const budget = this.applyBudgets(messages, models, conversationId, options);
+    if (budget.refused) {
+      return {
+        success: false,
+        error: `Budget exceeded: ${budget.refused}`,
+        budgetExceeded: true,
+        model: models[0]
+      };
     }
+    models = budget.models;
     
-    // Add conversation history if maintaining context
-    if (options.useHistory !== false) {
-      const history = this.conversationHistory.get(conversationId) || [];
-      messages = messages.concat(history);
+    if (options.stream) {
+      return this.streamChat(prompt, messages, models, conversationId, options);
     }
     
-    // Add current user message
-    messages.push({ role: 'user', content: prompt });
+    return this.runRequest(messages, models, conversationId, options, prompt);
+  }
+  
+  /**
+   * Stateless completion of a ready-made message list (no history is read or written),
+   * with the same model fallback, budgets and usage accounting as chat().
+   * options: { model, task, fallback, agentId, conversationId, maxTokens, temperature, signal }
+   */
+  async complete(messages, options = {}) {
+    await this.init();
+    
+    const models = this.resolveModels(options);
+    const conversationId = options.conversationId || (options.agentId ? `agent_${options.agentId}` : 'default');
+    
+    const budget = this.applyBudgets(messages, models, conversationId, options);
+    if (budget.refused) {
+      return {
+        success: false,
+        error: `Budget exceeded: ${budget.refused}`,
+        budgetExceeded: true,
+        model: models[0]
+      };
+    }
     
+    return this.runRequest(messages, budget.models, conversationId, options);
+  }
+  
+  /**
+   * Send messages down the model chain and account for the result. The exchange is added
+   * to the conversation only when `prompt` is given (chat); complete() passes none.
+   */
+  async runRequest(messages, models, conversationId, options, prompt = null) {
     try {
       const startTime = Date.now();
       
-      const response = await puter.ai.chat(messages, {
-        model,
-        max_tokens: options.maxTokens || this.models[model]?.maxTokens || 4096,
-        temperature: options.temperature ?? 0.7,
-        stream: options.stream || false
-      });
+      const { response, model, attempts } = await this.requestWithFallback(messages, models, options);
+      const offline = model === PuterAIService.OFFLINE_MODEL;
       
       const duration = Date.now() - startTime;
       
       // Extract content
-      const content = response.message?.content || response.content || response;
+      const content = offline
+        ? this.offlineResponse(prompt ?? messages[messages.length - 1]?.content ?? '')
+        : response.message?.content || response.content || response;
       
-      // Update conversation history
-      if (options.useHistory !== false) {
-        const history = this.conversationHistory.get(conversationId) || [];
-        history.push({ role: 'user', content: prompt });
-        history.push({ role: 'assistant', content });
-        
-        // Keep last 20 messages
-        if (history.length > 40) {
-          history.splice(0, history.length - 40);
-        }
-        
-        this.conversationHistory.set(conversationId, history);
+      if (!offline && prompt !== null) {
+        this.recordExchange(conversationId, prompt, content, options);
       }
-      
-      // Track usage
-      this.tokenUsage.total += 1;
-      this.tokenUsage.byModel[model] = (this.tokenUsage.byModel[model] || 0) + 1;
+      this.trackUsage(model, models[0]);
+      this.recordTokenUsage({ model, agentId: options.agentId, conversationId, messages, content });
       
       if (this.callbacks.onMessage) {
         this.callbacks.onMessage({ model, content, duration });
       }
       
+      // Offline text is a placeholder, not an answer
       return {
-        success: true,
+        success: !offline,
         content,
+        ...(offline ? { error: 'AI providers unavailable' } : {}),
         model,
+        requestedModel: models[0],
+        attempts,
+        offline,
         duration,
         conversationId
       };
@@ -179,18 +661,223 @@ class PuterAIService {
       return {
         success: false,
         error: error.message || 'AI request failed',
-        model
+        model: models[0],
+        attempts: error.attempts || []
+      };
+    }
+  }
+  
+  // ============ STREAMING ============
+  /**
+   * Streaming variant of chat(). Resolves to a handle that is an async iterator of
+   * token deltas; `result` resolves to the same shape chat() returns once the stream
+   * ends. Tokens are pumped even if nobody iterates, so `onToken` alone is enough.
+   * A provider error mid-stream makes the iterator throw and `result` unsuccessful.
+   */
+  async streamChat(prompt, messages, models, conversationId, options) {
+    const startTime = Date.now();
+    const signal = options.signal;
+    const queue = [];
+    const waiters = [];
+    let finished = false;
+    let failure = null;
+    let content = '';
+    let source = null;
+    let model = models[0];
+    let served = null;
+    // Usage is recorded once, when the stream has ended (completed, failed or aborted)
+    const recordUsage = () => {
+      if (!served) return;
+      this.trackUsage(model, models[0]);
+      this.recordTokenUsage({ model, agentId: options.agentId, conversationId, messages, content });
+      served = null;
+    };
+
+    const push = (item) => {
+      const waiter = waiters.shift();
+      if (waiter) waiter.resolve(item);
+      else queue.push(item);
+    };
+
+    const finish = (error = null) => {
+      if (finished) return;
+      finished = true;
+      failure = error;
+      while (waiters.length) {
+        const waiter = waiters.shift();
+        if (failure) {
+          waiter.reject(failure);
+          failure = null;
+        } else {
+          waiter.resolve({ done: true, value: undefined });
+        }
+      }
+    };
+
+    const abortError = () => {
+      const error = new Error('AI request aborted');
+      error.name = 'AbortError';
+      return error;
+    };
+
+    const pump = async () => {
+      try {
+        if (signal?.aborted) throw abortError();
+
+        served = await this.requestWithFallback(messages, models, { ...options, stream: true });
+        const response = served.response;
+        model = served.model;
+        source = response;
+
+        const parts = model === PuterAIService.OFFLINE_MODEL
+          ? [this.offlineResponse(prompt)]
+          : response?.[Symbol.asyncIterator]
+            ? response
+            : [response?.message?.content || response?.content || response];
+
+        for await (const part of parts) {
+          if (signal?.aborted) throw abortError();
+          if (part?.error) throw new Error(part.error.message || String(part.error));
+
+          const delta = typeof part === 'string' ? part : (part?.text ?? part?.delta ?? '');
+          if (!delta) continue;
+
+          content += delta;
+          push({ done: false, value: delta });
+          options.onToken?.(delta, content);
+          this.callbacks.onStream?.({ model, delta, content, conversationId });
+        }
+        if (signal?.aborted) throw abortError();
+
+        const offline = model === PuterAIService.OFFLINE_MODEL;
+        if (!offline) {
+          this.recordExchange(conversationId, prompt, content, options);
+        }
+        recordUsage();
+        const duration = Date.now() - startTime;
+        this.callbacks.onMessage?.({ model, content, duration });
+        return {
+          success: !offline,
+          content,
+          ...(offline ? { error: 'AI providers unavailable' } : {}),
+          model,
+          requestedModel: models[0],
+          offline,
+          duration,
+          conversationId
+        };
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          finish();
+          return abortedResult();
+        }
+        if (source) this.getCircuit(model).onFailure();
+        recordUsage();
+        finish(error);
+        
+        console.error('PuterAI stream error:', error);
+        this.callbacks.onError?.(error);
+        return {
+          success: false,
+          error: error.message || 'AI request failed',
+          truncated: content.length > 0,
+          content,
+          model,
+          conversationId
+        };
+      } finally {
+        finish();
+      }
+    };
+
+    const abortedResult = () => {
+      recordUsage();
+      return {
+        success: false,
+        error: 'AI request aborted',
+        aborted: true,
+        content,
+        model,
+        conversationId
       };
+    };
+
+    // Abort ends iteration immediately, even if the provider never yields again
+    let onAbort = null;
+    const result = signal
+      ? new Promise(resolve => {
+        onAbort = () => {
+          source?.return?.();
+          finish();
+          resolve(abortedResult());
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        pump().then(resolve);
+      }).finally(() => signal.removeEventListener('abort', onAbort))
+      : pump();
+
+    return {
+      success: true,
+      stream: true,
+      model,
+      conversationId,
+      result,
+      [Symbol.asyncIterator]() {
+        return {
+          next: () => {
+            if (queue.length) return Promise.resolve(queue.shift());
+            if (failure) {
+              const error = failure;
+              failure = null;
+              return Promise.reject(error);
+            }
+            if (finished) return Promise.resolve({ done: true, value: undefined });
+            return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+          },
+          return: () => Promise.resolve({ done: true, value: undefined })
+        };
+      }
+    };
+  }
+  
+  recordExchange(conversationId, prompt, content, options = {}) {
+    const context = options.context || (options.useHistory !== false ? this.contexts.get(conversationId) : null);
+    if (context) {
+      context.add('user', prompt);
+      context.add('assistant', content);
+    }
+    
+    if (options.useHistory === false) return;
+    
+    const history = this.conversationHistory.get(conversationId) || [];
+    history.push({ role: 'user', content: prompt });
+    history.push({ role: 'assistant', content });
+    
+    // Keep last 20 messages
+    if (history.length > 40) {
+      history.splice(0, history.length - 40);
+    }
+    
+    this.conversationHistory.set(conversationId, history);
+  }
+  
+  trackUsage(model, requestedModel = model) {
+    this.tokenUsage.total += 1;
+    this.tokenUsage.byModel[model] = (this.tokenUsage.byModel[model] || 0) + 1;
+    if (model !== requestedModel) {
+      this.tokenUsage.fallbacks += 1;
     }
   }
   
   // ============ SPECIALIZED METHODS ============
+  // Each picks a task, so its model comes with that task's fallback chain; a model passed
+  // in options is used alone (see resolveModels)
   async generateCode(prompt, language = 'javascript', options = {}) {
     const systemPrompt = `You are an expert ${language} programmer. Generate clean, efficient, well-documented ${language} code. Follow best practices and modern patterns. Only output code, no explanations unless specifically asked.`;
     
     return this.chat(prompt, {
       ...options,
-      model: options.model || 'claude-sonnet-4',
+      task: options.task || 'code',
       system: systemPrompt,
       temperature: 0.3
     });
@@ -201,7 +888,7 @@ class PuterAIService {
     
     return this.chat(prompt, {
       ...options,
-      model: options.model || 'claude-sonnet-4',
+      task: options.task || 'code_review',
       temperature: 0.2
     });
   }
@@ -211,7 +898,7 @@ class PuterAIService {
     
     return this.chat(prompt, {
       ...options,
-      model: options.model || 'claude-sonnet-4',
+      task: options.task || 'code',
       system: 'You are a code debugging expert. Fix the provided code and return only the corrected code without explanations.',
       temperature: 0.1
     });
@@ -222,7 +909,7 @@ class PuterAIService {
     
     return this.chat(prompt, {
       ...options,
-      model: options.model || 'claude-3-haiku',
+      task: options.task || 'fast',
       temperature: 0.3
     });
   }
@@ -232,7 +919,7 @@ class PuterAIService {
     
     return this.chat(prompt, {
       ...options,
-      model: options.model || 'mistral-large',
+      task: options.task || 'multilingual',
       temperature: 0.3
     });
   }
@@ -242,7 +929,7 @@ class PuterAIService {
     
     return this.chat(prompt, {
       ...options,
-      model: options.model || 'claude-3-5-sonnet',
+      task: options.task || 'creative',
       temperature: 0.9
     });
   }
@@ -252,57 +939,229 @@ class PuterAIService {
     
     return this.chat(prompt, {
       ...options,
-      model: options.model || 'o1',
+      task: options.task || 'reasoning',
       temperature: 0.1
     });
   }
   
+  /**
+   * Ask for JSON and validate it. When `schema` is a JSON Schema the reply is checked
+   * against it and up to `options.maxRepairs` repair round-trips send the errors back
+   * to the model. Any other object is only used as an example structure in the prompt.
+   * The response gets { parsed, valid, errors, repairAttempts }; none of the round-trips are
+   * kept in conversation history.
+   */
   async json(prompt, schema = null, options = {}) {
+    const validate = isJsonSchema(schema);
+    const maxRepairs = validate ? (options.maxRepairs ?? 2) : 0;
+    
     let systemPrompt = 'Respond only with valid JSON. No markdown, no explanations, just the JSON object.';
     if (schema) {
-      systemPrompt += `\n\nThe JSON should follow this structure: ${JSON.stringify(schema)}`;
+      systemPrompt += validate
+        ? `\n\nThe JSON must validate against this JSON Schema: ${JSON.stringify(schema)}`
+        : `\n\nThe JSON should follow this structure: ${JSON.stringify(schema)}`;
     }
     
-    const response = await this.chat(prompt, {
+    let response = await this.chat(prompt, {
       ...options,
       system: systemPrompt,
+      useHistory: false,
       temperature: 0.1
     });
     
-    if (response.success) {
+    for (let attempt = 0; response.success; attempt++) {
+      let errors;
       try {
-        const jsonContent = response.content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        response.parsed = JSON.parse(jsonContent);
+        response.parsed = extractJson(response.content);
+        delete response.parseError;
+        errors = validate ? validateSchema(response.parsed, schema) : [];
       } catch (e) {
+        response.parsed = undefined;
         response.parseError = e.message;
+        errors = [{ path: '$', message: `invalid JSON: ${e.message}` }];
       }
+      
+      response.valid = errors.length === 0;
+      response.errors = errors;
+      response.repairAttempts = attempt;
+      if (response.valid || attempt >= maxRepairs) break;
+      
+      const repairPrompt = `Your previous reply to this request was not valid.\n\nRequest:\n${prompt}\n\nYour reply:\n${response.content}\n\nErrors:\n${errors.map(e => `- ${e.path}: ${e.message}`).join('\n')}\n\nReply with the corrected JSON only.`;
+      response = await this.chat(repairPrompt, {
+        ...options,
+        system: systemPrompt,
+        useHistory: false,
+        temperature: 0
+      });
+    }
+    
+    if (!response.success) {
+      response.valid = false;
+      response.errors = response.errors || [{ path: '$', message: response.error }];
     }
     
     return response;
   }
   
   // ============ MULTI-AGENT ORCHESTRATION ============
-  async orchestrate(task, agents = []) {
-    const results = [];
+  static ORCHESTRATION_MODES = ['sequential', 'parallel', 'debate', 'vote', 'consensus'];
+  
+  /**
+   * Run a task across several agents ({ id, name, model, systemPrompt, temperature }).
+   * options: { mode, concurrency, rounds, judge, ask }
+   * - sequential / parallel: independent answers (parallel honours `concurrency`)
+   * - debate: agents see each other's answers and revise for `rounds` rounds
+   * - vote: a judge picks the best answer, or agents vote by majority without a judge
+   * - consensus: a judge (default model when omitted) merges the answers into one
+   * `ask(agent, prompt)` can replace the default chat call and must resolve to { success, content }.
+   * Returns { mode, task, rounds, results, transcript, final }.
+   */
+  async orchestrate(task, agents = [], options = {}) {
+    const mode = options.mode || 'sequential';
+    if (!PuterAIService.ORCHESTRATION_MODES.includes(mode)) {
+      throw new Error(`Unknown orchestration mode: ${mode}`);
+    }
     
-    for (const agent of agents) {
-      const agentPrompt = `${agent.systemPrompt || ''}\n\nTask: ${task}`;
-      const result = await this.chat(agentPrompt, {
-        model: agent.model || this.defaultModel,
-        conversationId: `agent_${agent.id}`,
-        temperature: agent.temperature || 0.7
-      });
-      
-      results.push({
+    const transcript = [];
+    const ask = async (agent, prompt, round, role = 'agent') => {
+      const startTime = Date.now();
+      const result = options.ask
+        ? await options.ask(agent, prompt)
+        : await this.chat(mode === 'sequential' ? `${agent.systemPrompt || ''}\n\nTask: ${prompt}` : prompt, {
+          model: agent.model,
+          system: mode === 'sequential' ? undefined : agent.systemPrompt,
+          conversationId: `agent_${agent.id}`,
+          useHistory: mode === 'sequential',
+          temperature: agent.temperature || 0.7
+        });
+      const entry = {
+        round,
+        role,
         agentId: agent.id,
-        agentName: agent.name,
+        agentName: agent.name || agent.id,
+        success: !!result.success,
+        content: result.success ? result.content : null,
+        error: result.success ? null : result.error,
+        durationMs: Date.now() - startTime,
         result
-      });
+      };
+      transcript.push(entry);
+      return entry;
+    };
+    
+    const concurrency = mode === 'sequential' ? 1 : (options.concurrency || agents.length || 1);
+    const askAll = (round, promptFor) => this.mapWithConcurrency(agents, concurrency, agent => ask(agent, promptFor(agent), round));
+    
+    const rounds = [await askAll(1, () => task)];
+    
+    if (mode === 'debate') {
+      for (let round = 2; round <= (options.rounds || 2); round++) {
+        const previous = rounds[rounds.length - 1];
+        rounds.push(await askAll(round, agent => {
+          const others = previous
+            .filter(e => e.agentId !== agent.id && e.success)
+            .map(e => `${e.agentName}:\n${e.content}`)
+            .join('\n\n');
+          const own = previous.find(e => e.agentId === agent.id)?.content || '(no answer)';
+          return `Task: ${task}\n\nYour previous answer:\n${own}\n\nOther agents answered:\n${others || '(none)'}\n\nCritique the other answers and give your revised answer.`;
+        }));
+      }
+    }
+    
+    const answers = rounds[rounds.length - 1];
+    let final = null;
+    if (mode === 'vote' || mode === 'consensus' || (mode === 'debate' && options.judge)) {
+      final = await this.decide(task, answers, mode === 'vote' ? 'pick' : 'merge', agents, options, ask, rounds.length + 1);
+    } else if (mode === 'debate') {
+      final = await this.decide(task, answers, 'majority', agents, options, ask, rounds.length + 1);
     }
     
+    return {
+      mode,
+      task,
+      rounds: rounds.map(round => round.map(({ result, ...entry }) => entry)),
+      results: answers.map(e => ({ agentId: e.agentId, agentName: e.agentName, result: e.result })),
+      transcript: transcript.map(({ result, ...entry }) => entry),
+      final
+    };
+  }
+  
+  async mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
     return results;
   }
   
+  /**
+   * Choose or merge a final answer. 'pick' and 'merge' use a judge (options.judge is a
+   * model id or agent object); 'majority', or 'pick' without a judge, has every agent
+   * vote for the best answer other than its own.
+   */
+  async decide(task, answers, method, agents, options, ask, round) {
+    const candidates = answers.filter(e => e.success);
+    if (candidates.length === 0) return { method, content: null, error: 'No successful answers' };
+    if (candidates.length === 1) return { method: 'only', agentId: candidates[0].agentId, content: candidates[0].content };
+    
+    const listing = candidates.map((e, i) => `[${i}] ${e.agentName}:\n${e.content}`).join('\n\n');
+    const judge = typeof options.judge === 'object'
+      ? options.judge
+      : { id: 'judge', name: 'Judge', model: options.judge || this.defaultModel, temperature: 0.1 };
+    
+    if (method === 'merge') {
+      const entry = await ask(judge, `Task: ${task}\n\nCandidate answers:\n${listing}\n\nMerge these into a single best answer. Keep what they agree on, resolve conflicts, and output only the final answer.`, round, 'judge');
+      return { method: 'merge', judge: judge.id, content: entry.content, error: entry.error };
+    }
+    
+    const choiceSchema = {
+      type: 'object',
+      required: ['choice'],
+      properties: { choice: { type: 'integer', minimum: 0, maximum: candidates.length - 1 }, rationale: { type: 'string' } }
+    };
+    const ballot = `Task: ${task}\n\nCandidate answers:\n${listing}\n\nPick the best answer. Respond only with JSON: {"choice": <index>, "rationale": "<one sentence>"}`;
+    const readChoice = (entry) => {
+      try {
+        const parsed = extractJson(entry.content);
+        return validateSchema(parsed, choiceSchema).length === 0 ? parsed : null;
+      } catch (e) {
+        return null;
+      }
+    };
+    
+    if (method === 'pick' && options.judge) {
+      const entry = await ask(judge, ballot, round, 'judge');
+      const choice = readChoice(entry);
+      if (choice) {
+        const winner = candidates[choice.choice];
+        return { method: 'judge', judge: judge.id, agentId: winner.agentId, content: winner.content, rationale: choice.rationale || null };
+      }
+    }
+    
+    const votes = new Array(candidates.length).fill(0);
+    const voters = agents.filter(a => candidates.some(c => c.agentId === a.id));
+    const ballots = await this.mapWithConcurrency(voters, options.concurrency || voters.length, agent =>
+      ask(agent, `${ballot}\n\nDo not pick your own answer (${agent.name || agent.id}).`, round, 'voter')
+    );
+    ballots.forEach((entry, i) => {
+      const choice = readChoice(entry);
+      if (choice && candidates[choice.choice].agentId !== voters[i].id) votes[choice.choice]++;
+    });
+    
+    const best = votes.indexOf(Math.max(...votes));
+    return {
+      method: 'majority',
+      agentId: candidates[best].agentId,
+      content: candidates[best].content,
+      votes: candidates.map((c, i) => ({ agentId: c.agentId, votes: votes[i] }))
+    };
+  }
+  
   async chainPrompts(prompts, options = {}) {
     const results = [];
     let context = '';
@@ -322,8 +1181,53 @@ class PuterAIService {
   }
   
   // ============ CONVERSATION MANAGEMENT ============
+  static getContextManagerClass() {
+    if (typeof window !== 'undefined' && window.ContextManager) return window.ContextManager;
+    if (typeof require === 'function') {
+      try {
+        return require('./core/context-manager.js').ContextManager;
+      } catch (e) {
+        return null;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Context manager for a conversation, created on first use. Older turns are
+   * summarized with a fast model once the conversation outgrows the model's window.
+   */
+  getContext(conversationId = 'default') {
+    if (!this.contexts.has(conversationId)) {
+      const ContextManagerClass = PuterAIService.getContextManagerClass();
+      if (!ContextManagerClass) return null;
+      
+      this.contexts.set(conversationId, new ContextManagerClass({
+        summarize: (turns, previous) => this.summarizeTurns(turns, previous)
+      }));
+    }
+    return this.contexts.get(conversationId);
+  }
+  
+  async summarizeTurns(turns, previousSummary = '') {
+    const transcript = turns.map(t => `${t.role}: ${t.content}`).join('\n');
+    const response = await this.chat(
+      `${previousSummary ? `Current summary:\n${previousSummary}\n\n` : ''}New conversation turns:\n${transcript}\n\nWrite an updated summary that keeps every instruction, decision, name and open question. Be concise.`,
+      { task: 'fast', useHistory: false, temperature: 0.2, maxTokens: 512 }
+    );
+    if (!response.success || response.offline) {
+      throw new Error(response.error || 'Summarizer unavailable');
+    }
+    return response.content;
+  }
+  
+  pinInstruction(conversationId, content) {
+    return this.getContext(conversationId)?.pin(content) || null;
+  }
+  
   clearConversation(conversationId = 'default') {
     this.conversationHistory.delete(conversationId);
+    this.contexts.delete(conversationId);
   }
   
   getConversationHistory(conversationId = 'default') {
@@ -341,6 +1245,9 @@ class PuterAIService {
   importConversation(data) {
     if (data.messages && data.conversationId) {
       this.conversationHistory.set(data.conversationId, data.messages);
+      this.contexts.delete(data.conversationId);
+      const context = this.getContext(data.conversationId);
+      data.messages.forEach(m => context?.add(m.role, m.content));
       return true;
     }
     return false;
@@ -361,13 +1268,51 @@ class PuterAIService {
   
   // ============ USAGE STATS ============
   getUsageStats() {
+    const totals = this.sumUsage(() => true);
     return {
       totalRequests: this.tokenUsage.total,
+      estimatedTokens: totals.tokens,
+      estimatedCost: totals.cost,
       byModel: { ...this.tokenUsage.byModel },
+      fallbacks: this.tokenUsage.fallbacks,
+      circuits: this.getCircuitStats(),
       activeConversations: this.conversationHistory.size,
       availableModels: Object.keys(this.models).length
     };
   }
+  
+  /**
+   * Aggregate the usage log by the given fields (any of model, agentId,
+   * conversationId, date) and export it as 'json' (array of rows) or 'csv'.
+   */
+  exportUsage(format = 'json', groupBy = ['model', 'agentId']) {
+    const groups = new Map();
+    this.usageLog.forEach(entry => {
+      const keyValues = groupBy.map(field => field === 'date' ? entry.timestamp.slice(0, 10) : entry[field] ?? '');
+      const key = JSON.stringify(keyValues);
+      if (!groups.has(key)) {
+        groups.set(key, {
+          ...Object.fromEntries(groupBy.map((field, i) => [field, keyValues[i]])),
+          requests: 0,
+          promptTokens: 0,
+          completionTokens: 0,
+          cost: 0
+        });
+      }
+      const row = groups.get(key);
+      row.requests++;
+      row.promptTokens += entry.promptTokens;
+      row.completionTokens += entry.completionTokens;
+      row.cost += entry.cost;
+    });
+    
+    const rows = Array.from(groups.values()).map(row => ({ ...row, cost: Number(row.cost.toFixed(6)) }));
+    if (format !== 'csv') return rows;
+    
+    const columns = [...groupBy, 'requests', 'promptTokens', 'completionTokens', 'cost'];
+    const escape = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    return [columns.join(','), ...rows.map(row => columns.map(c => escape(row[c])).join(','))].join('\n');
+  }
 }
 
 // Create global instance
@@ -380,5 +1325,5 @@ if (typeof window !== 'undefined') {
 }
 
 if (typeof module !== 'undefined') {
-  module.exports = { PuterAIService, puterAI };
+  module.exports = { PuterAIService, puterAI, validateSchema };
 }
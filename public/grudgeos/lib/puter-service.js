@@ -371,15 +371,15 @@ Context: ${JSON.stringify(context)}`;
   }
 
   /**
-   * Create directory
+   * Create directory. options.recursive (default true) also creates missing parents.
    */
-  async fsMkdir(path) {
+  async fsMkdir(path, options = {}) {
     if (!this.isOnline()) {
       throw new Error('Filesystem unavailable in offline mode');
     }
 
     try {
-      await puter.fs.mkdir(path, { recursive: true });
+      await puter.fs.mkdir(path, { createMissingParents: options.recursive ?? true });
       return true;
     } catch (e) {
       console.error('[PuterService] FS mkdir error:', e);
@@ -388,15 +388,15 @@ Context: ${JSON.stringify(context)}`;
   }
 
   /**
-   * Delete file or directory
+   * Delete file or directory. options.recursive (default true) allows non-empty directories.
    */
-  async fsDelete(path) {
+  async fsDelete(path, options = {}) {
     if (!this.isOnline()) {
       throw new Error('Filesystem unavailable in offline mode');
     }
 
     try {
-      await puter.fs.delete(path);
+      await puter.fs.delete(path, { recursive: options.recursive ?? true });
       return true;
     } catch (e) {
       console.error('[PuterService] FS delete error:', e);
@@ -404,6 +404,55 @@ Context: ${JSON.stringify(context)}`;
     }
   }
 
+  /**
+   * Stat file or directory (null if it does not exist)
+   */
+  async fsStat(path) {
+    if (!this.isOnline()) {
+      throw new Error('Filesystem unavailable in offline mode');
+    }
+
+    try {
+      return await puter.fs.stat(path);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Move or rename file or directory
+   */
+  async fsMove(source, destination) {
+    if (!this.isOnline()) {
+      throw new Error('Filesystem unavailable in offline mode');
+    }
+
+    try {
+      await puter.fs.move(source, destination, { overwrite: true });
+      return true;
+    } catch (e) {
+      console.error('[PuterService] FS move error:', e);
+      throw e;
+    }
+  }
+
+  /**
+   * Copy file or directory
+   */
+  async fsCopy(source, destination) {
+    if (!this.isOnline()) {
+      throw new Error('Filesystem unavailable in offline mode');
+    }
+
+    try {
+      await puter.fs.copy(source, destination, { overwrite: true });
+      return true;
+    } catch (e) {
+      console.error('[PuterService] FS copy error:', e);
+      throw e;
+    }
+  }
+
   // ==================== Auth ====================
   
   /**
@@ -0,0 +1,274 @@
+/**
+ * Squad Blackboard
+ * Shared, versioned key/value and artifact store for the members of one AgentSquad.
+ * Agents post intermediate results, subscribe to key patterns and claim work items;
+ * tasks reference entries as `bb://<key>@<version>` instead of pasting their content.
+ */
+
+class SquadBlackboard {
+  static KINDS = {
+    VALUE: 'value',
+    ARTIFACT: 'artifact',
+    WORK: 'work'
+  };
+
+  static WORK_STATUS = {
+    OPEN: 'open',
+    CLAIMED: 'claimed',
+    DONE: 'done'
+  };
+
+  constructor(squadId, options = {}) {
+    this.squadId = squadId;
+    this.entries = new Map();
+    this.subscribers = [];
+    this.maxVersions = options.maxVersions || 20;
+    this.onChange = options.onChange || null;
+  }
+
+  /**
+   * Write a key. options: { author, kind, contentType, tags, note, expectedVersion }.
+   * With expectedVersion the write fails with code 'VERSION_CONFLICT' if someone else wrote first.
+   */
+  post(key, value, options = {}) {
+    if (!key || typeof key !== 'string') throw new Error('Blackboard key must be a non-empty string');
+
+    const existing = this.entries.get(key);
+    const currentVersion = existing?.version || 0;
+    if (options.expectedVersion !== undefined && options.expectedVersion !== currentVersion) {
+      const error = new Error(`Version conflict on ${key}: expected ${options.expectedVersion}, found ${currentVersion}`);
+      error.code = 'VERSION_CONFLICT';
+      throw error;
+    }
+
+    const version = {
+      version: currentVersion + 1,
+      value,
+      author: options.author || 'system',
+      note: options.note || '',
+      timestamp: Date.now()
+    };
+
+    const entry = {
+      key,
+      kind: options.kind || existing?.kind || SquadBlackboard.KINDS.VALUE,
+      contentType: options.contentType || existing?.contentType || (typeof value === 'string' ? 'text/plain' : 'application/json'),
+      tags: options.tags || existing?.tags || [],
+      value,
+      version: version.version,
+      author: version.author,
+      createdAt: existing?.createdAt || version.timestamp,
+      updatedAt: version.timestamp,
+      versions: [...(existing?.versions || []), version].slice(-this.maxVersions)
+    };
+
+    this.entries.set(key, entry);
+    this.notify('post', entry);
+    return this.describe(entry);
+  }
+
+  get(key, options = {}) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (options.version === undefined || options.version === entry.version) {
+      return { ...this.describe(entry), value: entry.value };
+    }
+    const version = entry.versions.find(v => v.version === options.version);
+    return version ? { ...this.describe(entry), ...version, ref: this.ref(key, version.version) } : null;
+  }
+
+  history(key) {
+    return this.entries.get(key)?.versions.map(({ version, author, note, timestamp }) => ({ version, author, note, timestamp })) || [];
+  }
+
+  list(filter = {}) {
+    return Array.from(this.entries.values())
+      .filter(e => !filter.kind || e.kind === filter.kind)
+      .filter(e => !filter.prefix || e.key.startsWith(filter.prefix))
+      .filter(e => !filter.tag || e.tags.includes(filter.tag))
+      .map(e => this.describe(e))
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  remove(key, author = 'system') {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.notify('remove', { ...entry, author });
+    return true;
+  }
+
+  describe(entry) {
+    return {
+      key: entry.key,
+      kind: entry.kind,
+      contentType: entry.contentType,
+      tags: entry.tags,
+      version: entry.version,
+      author: entry.author,
+      updatedAt: entry.updatedAt,
+      ref: this.ref(entry.key, entry.version),
+      ...(entry.kind === SquadBlackboard.KINDS.WORK ? { work: entry.value } : {})
+    };
+  }
+
+  // ==================== References ====================
+
+  ref(key, version = null) {
+    const v = version ?? this.entries.get(key)?.version;
+    return `bb://${key}${v ? `@${v}` : ''}`;
+  }
+
+  static parseRef(ref) {
+    const match = String(ref).match(/^bb:\/\/(.+?)(?:@(\d+))?$/);
+    return match ? { key: match[1], version: match[2] ? Number(match[2]) : undefined } : null;
+  }
+
+  /**
+   * Value behind a `bb://key@version` reference (or a bare key), or null
+   */
+  resolve(ref) {
+    const parsed = SquadBlackboard.parseRef(ref) || { key: ref };
+    return this.get(parsed.key, { version: parsed.version });
+  }
+
+  // ==================== Subscriptions ====================
+
+  /**
+   * pattern: exact key, prefix ending in '*', or '*' for everything.
+   * callback({ type, key, entry }) with type post | remove | claim | release | complete.
+   */
+  subscribe(pattern, callback, subscriber = null) {
+    const sub = { pattern, callback, subscriber };
+    this.subscribers.push(sub);
+    return () => {
+      this.subscribers = this.subscribers.filter(s => s !== sub);
+    };
+  }
+
+  matches(pattern, key) {
+    if (pattern === '*') return true;
+    if (pattern.endsWith('*')) return key.startsWith(pattern.slice(0, -1));
+    return pattern === key;
+  }
+
+  notify(type, entry) {
+    const event = { type, key: entry.key, entry: this.describe(entry), squadId: this.squadId };
+    this.subscribers
+      .filter(sub => this.matches(sub.pattern, entry.key))
+      .forEach(sub => {
+        try {
+          sub.callback(event);
+        } catch (e) {
+          console.error('[SquadBlackboard] Subscriber error:', e);
+        }
+      });
+    this.onChange?.(event);
+  }
+
+  // ==================== Work items ====================
+
+  addWorkItem(title, options = {}) {
+    const key = options.key || `work/${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    return this.post(key, {
+      title,
+      description: options.description || '',
+      payload: options.payload ?? null,
+      status: SquadBlackboard.WORK_STATUS.OPEN,
+      claimedBy: null,
+      claimedAt: null,
+      leaseUntil: null,
+      result: null
+    }, { author: options.author, kind: SquadBlackboard.KINDS.WORK, tags: options.tags });
+  }
+
+  getWorkItem(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.kind !== SquadBlackboard.KINDS.WORK) throw new Error(`No work item ${key}`);
+    return entry;
+  }
+
+  /**
+   * Claim an open work item (or one whose lease has expired). Returns null if someone else holds it.
+   */
+  claim(key, agentId, options = {}) {
+    const entry = this.getWorkItem(key);
+    const work = entry.value;
+    const leaseExpired = work.leaseUntil && work.leaseUntil < Date.now();
+
+    if (work.status === SquadBlackboard.WORK_STATUS.DONE) return null;
+    if (work.status === SquadBlackboard.WORK_STATUS.CLAIMED && work.claimedBy !== agentId && !leaseExpired) {
+      return null;
+    }
+
+    const claimed = this.post(key, {
+      ...work,
+      status: SquadBlackboard.WORK_STATUS.CLAIMED,
+      claimedBy: agentId,
+      claimedAt: Date.now(),
+      leaseUntil: options.leaseMs ? Date.now() + options.leaseMs : null
+    }, { author: agentId, expectedVersion: entry.version, note: 'claimed' });
+    this.notify('claim', this.entries.get(key));
+    return claimed;
+  }
+
+  release(key, agentId) {
+    const entry = this.getWorkItem(key);
+    if (entry.value.claimedBy !== agentId) throw new Error(`${key} is not claimed by ${agentId}`);
+
+    const released = this.post(key, {
+      ...entry.value,
+      status: SquadBlackboard.WORK_STATUS.OPEN,
+      claimedBy: null,
+      claimedAt: null,
+      leaseUntil: null
+    }, { author: agentId, expectedVersion: entry.version, note: 'released' });
+    this.notify('release', this.entries.get(key));
+    return released;
+  }
+
+  /**
+   * Mark a claimed work item done; `result` is typically a ref to an artifact on the board
+   */
+  complete(key, agentId, result = null) {
+    const entry = this.getWorkItem(key);
+    if (entry.value.claimedBy !== agentId) throw new Error(`${key} is not claimed by ${agentId}`);
+
+    const done = this.post(key, {
+      ...entry.value,
+      status: SquadBlackboard.WORK_STATUS.DONE,
+      leaseUntil: null,
+      completedAt: Date.now(),
+      result
+    }, { author: agentId, expectedVersion: entry.version, note: 'completed' });
+    this.notify('complete', this.entries.get(key));
+    return done;
+  }
+
+  openWork() {
+    const now = Date.now();
+    return this.list({ kind: SquadBlackboard.KINDS.WORK })
+      .filter(item => item.work.status === SquadBlackboard.WORK_STATUS.OPEN ||
+        (item.work.status === SquadBlackboard.WORK_STATUS.CLAIMED && item.work.leaseUntil && item.work.leaseUntil < now));
+  }
+
+  // ==================== Persistence ====================
+
+  toJSON() {
+    return { squadId: this.squadId, entries: Array.from(this.entries.values()) };
+  }
+
+  static fromJSON(data, options = {}) {
+    const board = new SquadBlackboard(data?.squadId, options);
+    (data?.entries || []).forEach(entry => board.entries.set(entry.key, entry));
+    return board;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.SquadBlackboard = SquadBlackboard;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { SquadBlackboard };
+}
@@ -1,14 +1,40 @@
 /**
  * AI Journal - Track and revert AI-generated changes
  * Maintains separate history for AI operations vs manual edits
- * Supports undoing last 1, 2, or 3 AI updates
+ * File contents are kept as a line history per path (latest text plus one diff per
+ * version), so any AI change - or a single hunk of it - can be reverted on top of later
+ * edits with a three-way merge, and every line can be blamed on the change that wrote it
  */
 
+import '../core/diff-engine.js';
+
 class AIJournal {
   constructor() {
     this.entries = [];
     this.maxEntries = 50;
+    this.fileHistory = {};
+    this.maxVersions = 100;
     this.kvNamespace = 'ai_journal';
+    this.sources = new Map();
+    this.dirtyFiles = new Set();
+    this.storedFiles = new Set();
+  }
+
+  /**
+   * Let the owner of files outside Puter FS (e.g. a Code Ninja shell's context files) read,
+   * write and remove them. Operations tracked with `source: name` are read and reverted
+   * through it instead of puter.fs.
+   * handlers: { read(path), write(path, content), remove(path) }
+   */
+  registerSource(name, handlers) {
+    this.sources.set(name, handlers);
+  }
+
+  getSource(name) {
+    if (!name) return null;
+    const source = this.sources.get(name);
+    if (!source) throw new Error(`File source '${name}' is not available`);
+    return source;
   }
 
   async init() {
@@ -16,6 +42,14 @@ class AIJournal {
     return this;
   }
 
+  fileKey(path) {
+    return `${this.kvNamespace}:file:${encodeURIComponent(path)}`;
+  }
+
+  /**
+   * Entries are one KV value; each file's line history is stored under its own key
+   * (fileKey), listed in `:paths`. Journals saved as a single `:files` value are migrated.
+   */
   async loadFromStorage() {
     try {
       if (typeof puter !== 'undefined' && puter.kv) {
@@ -23,26 +57,94 @@ class AIJournal {
         if (stored) {
           this.entries = JSON.parse(stored);
         }
+        const paths = await puter.kv.get(`${this.kvNamespace}:paths`);
+        if (paths) {
+          for (const path of JSON.parse(paths)) {
+            const history = await puter.kv.get(this.fileKey(path));
+            if (history) this.fileHistory[path] = JSON.parse(history);
+            this.storedFiles.add(path);
+          }
+        } else {
+          const legacy = await puter.kv.get(`${this.kvNamespace}:files`);
+          if (legacy) {
+            this.fileHistory = JSON.parse(legacy);
+            Object.keys(this.fileHistory).forEach(path => this.dirtyFiles.add(path));
+            await this.saveToStorage();
+            await puter.kv.del(`${this.kvNamespace}:files`);
+          }
+        }
       }
     } catch (e) {
       console.warn('AIJournal: Failed to load from storage', e);
       this.entries = [];
+      this.fileHistory = {};
     }
   }
 
+  /**
+   * Write the entries and the histories that changed since the last save; histories no
+   * retained entry references are dropped first (see pruneFileHistory)
+   */
   async saveToStorage() {
-    try {
-      if (typeof puter !== 'undefined' && puter.kv) {
-        await puter.kv.set(`${this.kvNamespace}:entries`, JSON.stringify(this.entries));
+    this.pruneFileHistory();
+    if (typeof puter === 'undefined' || !puter.kv) return true;
+
+    let saved = true;
+    const write = async (key, value) => {
+      try {
+        await puter.kv.set(key, value);
+        return true;
+      } catch (e) {
+        console.warn(`AIJournal: Failed to save ${key}`, e);
+        saved = false;
+        return false;
       }
-    } catch (e) {
-      console.warn('AIJournal: Failed to save to storage', e);
+    };
+
+    await write(`${this.kvNamespace}:entries`, JSON.stringify(this.entries));
+    for (const path of [...this.dirtyFiles]) {
+      if (!this.fileHistory[path]) {
+        try {
+          await puter.kv.del(this.fileKey(path));
+          this.storedFiles.delete(path);
+        } catch (e) {
+          console.warn(`AIJournal: Failed to remove history of ${path}`, e);
+          continue;
+        }
+      } else if (await write(this.fileKey(path), JSON.stringify(this.fileHistory[path]))) {
+        this.storedFiles.add(path);
+      } else {
+        continue;
+      }
+      this.dirtyFiles.delete(path);
     }
+    await write(`${this.kvNamespace}:paths`, JSON.stringify([...this.storedFiles]));
+    return saved;
+  }
+
+  markFile(path) {
+    this.dirtyFiles.add(path);
+  }
+
+  /**
+   * Drop the line history of paths that no retained entry touches
+   */
+  pruneFileHistory() {
+    const referenced = new Set(this.entries.flatMap(e => (e.files || []).map(f => f.path)));
+    Object.keys(this.fileHistory).forEach(path => {
+      if (referenced.has(path)) return;
+      delete this.fileHistory[path];
+      this.markFile(path);
+    });
+  }
+
+  createEntryId() {
+    return `ai_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
   async recordAIChange(change) {
     const entry = {
-      id: `ai_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      id: change.id || this.createEntryId(),
       timestamp: Date.now(),
       type: change.type || 'file_change',
       description: change.description || 'AI modification',
@@ -72,14 +174,14 @@ class AIJournal {
       .slice(0, count);
   }
 
-  getRevertibleChanges() {
+  getRevertibleChanges(limit = 10) {
     return this.entries
-      .filter(e => !e.reverted && e.beforeState)
-      .slice(0, 10);
+      .filter(e => !e.reverted && (e.beforeState || e.files.some(f => f.version && f.revertible !== false)))
+      .slice(0, limit);
   }
 
   async undoAIChanges(count = 1) {
-    const changesToRevert = this.getRevertibleChanges().slice(0, count);
+    const changesToRevert = this.getRevertibleChanges(count);
     const results = [];
 
     for (const change of changesToRevert) {
@@ -105,9 +207,37 @@ class AIJournal {
     return results;
   }
 
-  async revertChange(change) {
+  /**
+   * Revert every file of a change. Changes recorded with line history are merged into the
+   * current file contents, keeping later edits; if any file conflicts nothing is written
+   * and the error carries the conflicts (options.force writes conflict markers instead).
+   */
+  async revertChange(change, options = {}) {
     if (!change.beforeState) {
-      throw new Error('No before state available for this change');
+      const plans = [];
+      for (const fileChange of change.files.filter(f => f.version && !f.reverted && f.revertible !== false)) {
+        plans.push(await this.prepareRevert(change, fileChange.path, options));
+      }
+      if (!plans.length) {
+        throw new Error('No line history available for this change');
+      }
+
+      const conflicts = plans.flatMap(plan => plan.conflicts.map(c => ({ path: plan.path, ...c })));
+      if (conflicts.length && !options.force) {
+        const error = new Error(`Revert conflicts with later edits in ${[...new Set(conflicts.map(c => c.path))].join(', ')}`);
+        error.conflicts = conflicts;
+        throw error;
+      }
+
+      const restoredFiles = [];
+      for (const plan of plans) {
+        restoredFiles.push(await this.commitRevert(change, plan, options));
+      }
+      return {
+        filesRestored: restoredFiles.length,
+        restoredFiles,
+        conflicts
+      };
     }
 
     const restoredFiles = [];
@@ -144,8 +274,8 @@ class AIJournal {
   }
 
   async undoLast(n) {
-    if (n < 1 || n > 3) {
-      throw new Error('Can only undo 1, 2, or 3 AI changes at a time');
+    if (!Number.isInteger(n) || n < 1 || n > this.maxEntries) {
+      throw new Error(`Can only undo 1 to ${this.maxEntries} AI changes at a time`);
     }
     return this.undoAIChanges(n);
   }
@@ -187,25 +317,334 @@ class AIJournal {
     return snapshot;
   }
 
+  /**
+   * Record an AI file operation as line diffs. beforeFiles, when given, is the content the
+   * AI started from; differences from the journal's last known content are recorded first
+   * as user edits so blame stays accurate. A modified file the journal has not seen is read
+   * first as its baseline; without one the version is recorded as not revertible.
+   * operation.source names a registerSource owner for files that are not in Puter FS.
+   */
   async trackFileOperation(operation) {
-    const { agent, model, files, description, beforeFiles } = operation;
-
-    const beforeState = beforeFiles 
-      ? this.createFileSnapshot(beforeFiles)
-      : null;
-
-    const afterState = this.createFileSnapshot(files);
+    const { agent, model, files, description, beforeFiles, source = null } = operation;
+    const id = this.createEntryId();
+
+    (beforeFiles || []).forEach(file => this.syncFile(file.path, file.content, {}, source));
+
+    const diff = { added: [], modified: [], deleted: [], stats: { additions: 0, deletions: 0 } };
+    const changes = [];
+    for (const file of files) {
+      const known = this.fileHistory[file.path]?.exists;
+      const action = file.action || (known || beforeFiles ? 'modified' : 'added');
+      if (action !== 'added' && !this.fileHistory[file.path]) {
+        this.syncFile(file.path, await this.readFile(file.path, source), {}, source);
+      }
+      const baseline = action === 'added' || !!this.fileHistory[file.path];
+      const version = this.recordVersion(file.path, action === 'deleted' ? null : file.content, {
+        kind: 'ai',
+        agent,
+        model,
+        entryId: id
+      }, source);
+      if (version && !baseline) version.revertible = false;
+
+      diff[action === 'deleted' ? 'deleted' : action === 'added' ? 'added' : 'modified'].push(file.path);
+      if (version) {
+        diff.stats.additions += version.stats.additions;
+        diff.stats.deletions += version.stats.deletions;
+      }
+      changes.push({
+        path: file.path,
+        action,
+        version: version?.id || null,
+        ...(version?.revertible === false ? { revertible: false } : {})
+      });
+    }
 
     return this.recordAIChange({
+      id,
       type: 'file_operation',
       description: description || `AI ${agent} modified ${files.length} file(s)`,
       agent,
       model,
-      files: files.map(f => ({ path: f.path, action: f.action || 'modified' })),
-      beforeState,
-      afterState,
-      diff: this.generateDiff(beforeState, afterState)
+      files: changes,
+      diff
+    });
+  }
+
+  // ==================== Line history ====================
+
+  /**
+   * Append a version of `path` (null content = deleted) as a diff against the last known
+   * content. Returns the version, or null when nothing changed.
+   */
+  recordVersion(path, content, author = {}, source = null) {
+    const DiffEngine = window.DiffEngine;
+    const history = this.fileHistory[path] || (this.fileHistory[path] = { path, source, head: '', exists: false, versions: [] });
+    const next = content ?? '';
+    const patch = DiffEngine.structuredPatch(history.head, next, { path });
+    if (!patch.hunks.length && history.exists === (content != null)) return null;
+
+    const version = {
+      id: `ver_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      timestamp: Date.now(),
+      kind: author.kind || 'user',
+      agent: author.agent || (author.kind === 'ai' ? 'unknown' : 'user'),
+      model: author.model || null,
+      entryId: author.entryId || null,
+      revertOf: author.revertOf || null,
+      action: content == null ? 'deleted' : history.exists ? 'modified' : 'added',
+      hunks: patch.hunks,
+      stats: DiffEngine.stats(patch),
+      revertedHunks: []
+    };
+
+    history.versions.push(version);
+    if (history.versions.length > this.maxVersions) {
+      history.versions = history.versions.slice(-this.maxVersions);
+    }
+    history.head = next;
+    history.exists = content != null;
+    this.markFile(path);
+    return version;
+  }
+
+  /**
+   * Bring the journal's copy of a file up to date. The first sighting becomes the
+   * baseline; later differences are recorded as user edits.
+   */
+  syncFile(path, content, author = {}, source = null) {
+    if (content == null) return null;
+    if (!this.fileHistory[path]) {
+      this.fileHistory[path] = { path, source, head: content, exists: true, versions: [] };
+      this.markFile(path);
+      return null;
+    }
+    return this.recordVersion(path, content, { kind: 'user', ...author });
+  }
+
+  /**
+   * Record a manual edit so blame and later reverts account for it
+   */
+  async recordUserEdit(path, content, author = {}) {
+    const version = this.syncFile(path, content, author);
+    await this.saveToStorage();
+    return version;
+  }
+
+  getFileHistory(path) {
+    const history = this.fileHistory[path];
+    if (!history) return [];
+    return history.versions.map(({ hunks, ...version }) => version);
+  }
+
+  /**
+   * Content of every version of a file, oldest first: texts[0] precedes the first recorded
+   * version and texts[i + 1] follows versions[i]
+   */
+  getVersionTexts(path) {
+    const DiffEngine = window.DiffEngine;
+    const history = this.fileHistory[path];
+    if (!history) return [];
+
+    const texts = [history.head];
+    for (let i = history.versions.length - 1; i >= 0; i--) {
+      const reverse = DiffEngine.reversePatch({ oldPath: path, newPath: path, hunks: history.versions[i].hunks });
+      const result = DiffEngine.applyPatch(texts[0], reverse, { fuzz: 0 });
+      if (result.failed) {
+        throw new Error(`Line history of ${path} is inconsistent at ${history.versions[i].id}`);
+      }
+      texts.unshift(result.text);
+    }
+    return texts;
+  }
+
+  findVersion(change, path) {
+    const fileChange = change.files.find(f => f.path === path && f.version);
+    if (!fileChange) {
+      throw new Error(`No line history for ${path} in change ${change.id}`);
+    }
+    const history = this.fileHistory[path];
+    const index = history ? history.versions.findIndex(v => v.id === fileChange.version) : -1;
+    if (index < 0) {
+      throw new Error(`Version of ${path} from change ${change.id} is no longer in history`);
+    }
+    return { fileChange, history, index, version: history.versions[index] };
+  }
+
+  /**
+   * Unified diff of what a change did to one file, with hunks numbered for revertHunks
+   */
+  getChangePatch(changeId, path) {
+    const change = this.getChangeById(changeId);
+    if (!change) throw new Error(`Change not found: ${changeId}`);
+    const { version } = this.findVersion(change, path);
+    return window.DiffEngine.formatPatch({ oldPath: path, newPath: path, hunks: version.hunks });
+  }
+
+  /**
+   * Current content of a file from its source (default: the one it was tracked with),
+   * else Puter FS; null when missing
+   */
+  async readFile(path, sourceName = this.fileHistory[path]?.source) {
+    const source = this.getSource(sourceName);
+    if (source) return (await source.read(path)) ?? null;
+    try {
+      if (typeof puter !== 'undefined' && puter.fs) {
+        const data = await puter.fs.read(path);
+        return typeof data === 'string' ? data : await data.text();
+      }
+    } catch (e) {
+      // Missing files read as null
+    }
+    return null;
+  }
+
+  /**
+   * Three-way merge that takes hunks of a change out of the current content: base is the
+   * file right after the change, theirs is base without the hunks, ours is the file now.
+   * options: { hunks (indices, default all not yet reverted), content (current text) }
+   */
+  async prepareRevert(change, path, options = {}) {
+    const DiffEngine = window.DiffEngine;
+    const { fileChange, history, version } = this.findVersion(change, path);
+    if (version.revertible === false) {
+      throw new Error(`No baseline for ${path} before change ${change.id}; it cannot be reverted`);
+    }
+
+    const current = options.content ?? await this.readFile(path) ?? history.head;
+    if (current !== history.head) {
+      this.syncFile(path, current);
+    }
+
+    const index = history.versions.indexOf(version);
+    const base = this.getVersionTexts(path)[index + 1];
+    const hunks = (options.hunks || version.hunks.map((_, i) => i))
+      .filter(i => version.hunks[i] && !version.revertedHunks.includes(i));
+    if (!hunks.length) {
+      throw new Error(`Nothing left to revert in ${path} for change ${change.id}`);
+    }
+
+    const reverse = DiffEngine.reversePatch({ oldPath: path, newPath: path, hunks: version.hunks });
+    const theirs = DiffEngine.applyPatch(base, reverse, { fuzz: 0, hunks }).text;
+    const merge = DiffEngine.merge3(base, current, theirs, {
+      oursLabel: 'current',
+      theirsLabel: `revert ${change.id}`
     });
+
+    const complete = version.revertedHunks.length + hunks.length === version.hunks.length;
+    return {
+      path,
+      fileChange,
+      version,
+      hunks,
+      text: merge.text,
+      conflicts: merge.conflicts,
+      clean: merge.clean,
+      // Reverting all of a file the change created removes it
+      remove: complete && version.action === 'added' && fileChange.action === 'added' && merge.text === ''
+    };
+  }
+
+  async commitRevert(change, plan, options = {}) {
+    const { path, fileChange, version } = plan;
+    let action = plan.remove ? 'deleted' : 'restored';
+
+    try {
+      const source = this.getSource(this.fileHistory[path]?.source);
+      if (source) {
+        await (plan.remove ? source.remove(path) : source.write(path, plan.text));
+      } else if (typeof puter !== 'undefined' && puter.fs) {
+        if (plan.remove) {
+          await puter.fs.delete(path);
+        } else {
+          await puter.fs.write(path, plan.text);
+        }
+      }
+    } catch (e) {
+      console.warn(`Failed to restore ${path}:`, e);
+      action = 'failed';
+    }
+
+    if (action !== 'failed') {
+      this.recordVersion(path, plan.remove ? null : plan.text, {
+        kind: 'revert',
+        agent: options.author || 'user',
+        revertOf: change.id
+      });
+      version.revertedHunks = [...new Set([...version.revertedHunks, ...plan.hunks])].sort((a, b) => a - b);
+      fileChange.reverted = version.revertedHunks.length === version.hunks.length;
+      if (change.files.every(f => !f.version || f.reverted || f.revertible === false)) {
+        change.reverted = true;
+        change.revertedAt = Date.now();
+      }
+    }
+
+    return { path, action, text: plan.text, hunks: plan.hunks, conflicts: plan.conflicts };
+  }
+
+  /**
+   * Revert selected hunks (indices into getChangePatch) of one file of an old change while
+   * keeping later edits. On conflict nothing is written and { success: false, conflicts,
+   * text (with conflict markers) } is returned, unless options.force is set.
+   * options: { hunks, content, force, author }
+   */
+  async revertHunks(changeId, path, options = {}) {
+    const change = this.getChangeById(changeId);
+    if (!change) throw new Error(`Change not found: ${changeId}`);
+
+    const plan = await this.prepareRevert(change, path, options);
+    if (!plan.clean && !options.force) {
+      await this.saveToStorage();
+      return { success: false, path, hunks: plan.hunks, conflicts: plan.conflicts, text: plan.text };
+    }
+
+    const result = await this.commitRevert(change, plan, options);
+    await this.saveToStorage();
+    return { success: result.action !== 'failed', ...result };
+  }
+
+  /**
+   * Attribute each line of a file to the version that last wrote it:
+   * [{ line, text, kind: 'ai' | 'user' | 'revert' | 'original', agent, model, entryId,
+   *    versionId, timestamp }]. Uncommitted differences (options.content or the file on
+   * disk vs the journal) are attributed to the user.
+   */
+  async blame(path, options = {}) {
+    const DiffEngine = window.DiffEngine;
+    const history = this.fileHistory[path];
+    const texts = history ? this.getVersionTexts(path) : [''];
+    const latest = texts[texts.length - 1];
+    const current = options.content ?? await this.readFile(path) ?? latest;
+
+    let lines = DiffEngine.splitLines(texts[0]).map(text => ({ text, version: null }));
+    const advance = (next, version) => {
+      const result = [];
+      let cursor = 0;
+      DiffEngine.diffLines(lines.map(l => l.text), DiffEngine.splitLines(next)).forEach(op => {
+        if (op.type === 'equal') result.push(lines[cursor++]);
+        else if (op.type === 'delete') cursor++;
+        else result.push({ text: op.line, version });
+      });
+      lines = result;
+    };
+
+    (history?.versions || []).forEach((version, i) => advance(texts[i + 1], version));
+    if (current !== latest) {
+      advance(current, { kind: 'user', agent: 'user', timestamp: null, uncommitted: true });
+    }
+
+    return lines.map(({ text, version }, i) => ({
+      line: i + 1,
+      text,
+      kind: version?.kind || 'original',
+      agent: version?.agent || null,
+      model: version?.model || null,
+      entryId: version?.entryId || null,
+      versionId: version?.id || null,
+      revertOf: version?.revertOf || null,
+      timestamp: version?.timestamp ?? null,
+      uncommitted: !!version?.uncommitted
+    }));
   }
 
   generateDiff(before, after) {
@@ -234,6 +673,20 @@ class AIJournal {
       }
     });
 
+    // Line-level unified diffs per changed path
+    const DiffEngine = typeof window !== 'undefined' ? window.DiffEngine : null;
+    if (DiffEngine) {
+      diff.patches = {};
+      diff.stats = { additions: 0, deletions: 0 };
+      [...diff.added, ...diff.modified, ...diff.deleted].forEach(path => {
+        const patch = DiffEngine.structuredPatch(before.files[path] ?? '', after.files[path] ?? '', { path });
+        const stats = DiffEngine.stats(patch);
+        diff.patches[path] = DiffEngine.formatPatch(patch);
+        diff.stats.additions += stats.additions;
+        diff.stats.deletions += stats.deletions;
+      });
+    }
+
     return diff;
   }
 
@@ -243,6 +696,8 @@ class AIJournal {
 
   async clearHistory() {
     this.entries = [];
+    Object.keys(this.fileHistory).forEach(path => this.markFile(path));
+    this.fileHistory = {};
     await this.saveToStorage();
   }
 
@@ -254,9 +709,10 @@ class AIJournal {
 
   exportJournal() {
     return JSON.stringify({
-      version: '1.0',
+      version: '1.1',
       exportedAt: Date.now(),
-      entries: this.entries
+      entries: this.entries,
+      files: this.fileHistory
     }, null, 2);
   }
 
@@ -265,6 +721,8 @@ class AIJournal {
       const data = typeof json === 'string' ? JSON.parse(json) : json;
       if (data.entries && Array.isArray(data.entries)) {
         this.entries = data.entries;
+        [...Object.keys(this.fileHistory), ...Object.keys(data.files || {})].forEach(path => this.markFile(path));
+        this.fileHistory = data.files || {};
         await this.saveToStorage();
         return true;
       }
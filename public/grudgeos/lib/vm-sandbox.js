@@ -1,14 +1,131 @@
+function sandboxWorkerMain() {
+  const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+  const serialize = (value) => {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) return `${value.name}: ${value.message}`;
+    try {
+      return JSON.stringify(value);
+    } catch {
+      return String(value);
+    }
+  };
+
+  const collectTransferables = (value) => {
+    const list = [];
+    const visit = (v) => {
+      if (!v || typeof v !== 'object') return;
+      if (v instanceof ArrayBuffer) list.push(v);
+      else if (ArrayBuffer.isView(v)) list.push(v.buffer);
+      else if (typeof MessagePort !== 'undefined' && v instanceof MessagePort) list.push(v);
+    };
+    visit(value);
+    if (Array.isArray(value)) value.forEach(visit);
+    else if (value && Object.getPrototypeOf(value) === Object.prototype) Object.values(value).forEach(visit);
+    return [...new Set(list)];
+  };
+
+  self.addEventListener('message', async (event) => {
+    const msg = event.data;
+    if (msg?.type !== 'init') return;
+
+    const port = msg.port;
+    const pending = new Map();
+    let callId = 0;
+
+    port.onmessage = (e) => {
+      const reply = e.data;
+      if (reply?.type !== 'host-result' || !pending.has(reply.id)) return;
+      const { resolve, reject } = pending.get(reply.id);
+      pending.delete(reply.id);
+      if (reply.error) reject(new Error(reply.error));
+      else resolve(reply.result);
+    };
+
+    const host = {};
+    msg.hostApis.forEach(name => {
+      host[name] = (...args) => new Promise((resolve, reject) => {
+        const id = ++callId;
+        pending.set(id, { resolve, reject });
+        port.postMessage({ type: 'host-call', id, name, args });
+      });
+    });
+    Object.freeze(host);
+
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+      console[level] = (...args) => port.postMessage({ type: 'log', level, message: args.map(serialize).join(' ') });
+    });
+
+    if (!msg.allowNetwork) {
+      const blocked = [
+        'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'WebTransport', 'importScripts',
+        'indexedDB', 'caches', 'Worker', 'SharedWorker', 'RTCPeerConnection'
+      ];
+      // Remove them along the prototype chain (WorkerGlobalScope and friends) so they
+      // cannot be recovered from a prototype, then pin them to undefined on the global
+      for (let scope = self; scope && scope !== Object.prototype; scope = Object.getPrototypeOf(scope)) {
+        blocked.forEach(name => {
+          if (!Object.prototype.hasOwnProperty.call(scope, name)) return;
+          try {
+            delete scope[name];
+          } catch {}
+          if (Object.prototype.hasOwnProperty.call(scope, name)) {
+            try {
+              Object.defineProperty(scope, name, { value: undefined, configurable: false, writable: false });
+            } catch {
+              try { scope[name] = undefined; } catch {}
+            }
+          }
+        });
+      }
+      blocked.forEach(name => {
+        try {
+          Object.defineProperty(self, name, { value: undefined, configurable: false, writable: false });
+        } catch {
+          self[name] = undefined;
+        }
+      });
+    }
+    self.postMessage = undefined;
+
+    try {
+      const fn = new AsyncFunction('context', 'host', msg.code);
+      const value = await fn(msg.context, host);
+      try {
+        port.postMessage({ type: 'result', value }, collectTransferables(value));
+      } catch {
+        port.postMessage({ type: 'result', value: serialize(value) });
+      }
+    } catch (e) {
+      port.postMessage({ type: 'error', error: e?.message || String(e), stack: e?.stack });
+    }
+  });
+}
+
 class VMSandbox {
+  static MODES = {
+    AUTO: 'auto',
+    WORKER: 'worker',
+    SERVER: 'server'
+  };
+
   constructor(options = {}) {
     this.options = {
       timeout: options.timeout || 5000,
       memoryLimit: options.memoryLimit || 128,
       allowAsync: options.allowAsync !== false,
       serverEndpoint: options.serverEndpoint || '/api/v1/execute',
+      mode: options.mode || VMSandbox.MODES.AUTO,
+      hostApis: options.hostApis || {},
+      allowNetwork: options.allowNetwork || false,
+      serverRetryMs: options.serverRetryMs || 30000,
       ...options
     };
     
     this.executions = [];
+    this.activeWorkers = new Map();
+    this.serverUnavailableAt = null;
+    this.workerSource = null;
     this.ready = false;
     
     this.init();
@@ -16,16 +133,46 @@ class VMSandbox {
   
   async init() {
     this.ready = true;
-    console.log('[VMSandbox] Browser sandbox initialized (server-delegated execution)');
+    console.log(`[VMSandbox] Browser sandbox initialized (worker ${this.supportsWorkers() ? 'available' : 'unavailable'}, server fallback)`);
+  }
+
+  supportsWorkers() {
+    return typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && typeof URL !== 'undefined';
   }
   
-  async execute(code, context = {}) {
-    return this.executeOnServer(code, context);
+  /**
+   * Execute code in a dedicated worker or on the server.
+   * options: { mode: 'auto'|'worker'|'server', timeout, hostApis, allowNetwork }
+   * In auto mode the server is used when reachable; the worker takes over when it is not.
+   */
+  async execute(code, context = {}, options = {}) {
+    const mode = options.mode || this.options.mode;
+
+    if (mode === VMSandbox.MODES.WORKER) {
+      return this.executeInWorker(code, context, options);
+    }
+    if (mode === VMSandbox.MODES.SERVER || !this.supportsWorkers()) {
+      return this.executeOnServer(code, context);
+    }
+
+    const retryServer = !this.serverUnavailableAt ||
+      Date.now() - this.serverUnavailableAt > this.options.serverRetryMs;
+    if (!retryServer) {
+      return this.executeInWorker(code, context, options);
+    }
+
+    const execution = await this.executeOnServer(code, context);
+    if (execution.status === 'error' && execution.unreachable) {
+      this.executions = this.executions.filter(e => e !== execution);
+      return this.executeInWorker(code, context, options);
+    }
+    return execution;
   }
   
   async executeOnServer(code, context = {}) {
     const execId = 'exec_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6);
     const startTime = performance.now();
+    let reached = false;
     
     try {
       const response = await fetch(this.options.serverEndpoint, {
@@ -40,15 +187,22 @@ class VMSandbox {
           context: context,
         }),
       });
+
+      if (response.status >= 500 || response.status === 404) {
+        throw new Error(`Execution server unavailable (HTTP ${response.status})`);
+      }
       
       const data = await response.json();
+      reached = true;
+      this.serverUnavailableAt = null;
       
       if (!data.success) {
         throw new Error(data.error || 'Server execution failed');
       }
       
-      const execution = {
+      return this.recordExecution({
         id: data.result?.id || execId,
+        mode: VMSandbox.MODES.SERVER,
         status: data.result?.status || 'success',
         output: data.result?.output,
         logs: (data.result?.logs || []).map(log => ({
@@ -59,32 +213,136 @@ class VMSandbox {
         error: data.result?.error,
         executionTime: data.result?.executionTime || (performance.now() - startTime),
         timestamp: new Date().toISOString(),
-      };
-      
-      this.executions.push(execution);
-      if (this.executions.length > 100) {
-        this.executions.shift();
-      }
-      
-      return execution;
+      });
       
     } catch (e) {
-      const execution = {
+      if (!reached) {
+        this.serverUnavailableAt = Date.now();
+      }
+
+      return this.recordExecution({
         id: execId,
+        mode: VMSandbox.MODES.SERVER,
         status: 'error',
         error: e.message,
+        unreachable: !reached,
         logs: [],
         executionTime: performance.now() - startTime,
         timestamp: new Date().toISOString(),
-      };
-      
-      this.executions.push(execution);
-      return execution;
+      });
     }
   }
   
-  async executeInWorker(code, context = {}) {
-    return this.executeOnServer(code, context);
+  /**
+   * Run code in a dedicated Worker. The worker has no network or storage access unless
+   * allowNetwork is set, can only reach the host through the named hostApis, and is
+   * terminated when it finishes or exceeds the timeout.
+   */
+  async executeInWorker(code, context = {}, options = {}) {
+    if (!this.supportsWorkers()) {
+      return this.executeOnServer(code, context);
+    }
+
+    const execId = 'exec_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6);
+    const timeout = options.timeout || this.options.timeout;
+    const hostApis = { ...this.options.hostApis, ...options.hostApis };
+    const allowNetwork = options.allowNetwork ?? this.options.allowNetwork;
+    const startTime = performance.now();
+    const logs = [];
+
+    if (!this.workerSource) {
+      const blob = new Blob([`(${sandboxWorkerMain.toString()})();`], { type: 'application/javascript' });
+      this.workerSource = URL.createObjectURL(blob);
+    }
+
+    const worker = new Worker(this.workerSource);
+    const channel = new MessageChannel();
+
+    const outcome = await new Promise((resolve) => {
+      const finish = (result) => {
+        clearTimeout(timer);
+        worker.terminate();
+        channel.port1.close();
+        this.activeWorkers.delete(execId);
+        resolve(result);
+      };
+
+      const timer = setTimeout(() => {
+        finish({ status: 'timeout', error: `Execution timed out after ${timeout}ms` });
+      }, timeout);
+      this.activeWorkers.set(execId, { worker, finish });
+
+      worker.onerror = (event) => {
+        event.preventDefault?.();
+        finish({ status: 'error', error: event.message || 'Worker error' });
+      };
+
+      channel.port1.onmessage = async (event) => {
+        const msg = event.data;
+        if (msg?.type === 'log') {
+          logs.push({ level: msg.level, message: msg.message, time: Date.now() });
+        } else if (msg?.type === 'result') {
+          finish({ status: 'success', output: msg.value });
+        } else if (msg?.type === 'error') {
+          finish({ status: 'error', error: msg.error });
+        } else if (msg?.type === 'host-call') {
+          const api = Object.prototype.hasOwnProperty.call(hostApis, msg.name) ? hostApis[msg.name] : null;
+          try {
+            if (typeof api !== 'function') {
+              throw new Error(`Host API not allowed: ${msg.name}`);
+            }
+            const result = await api(...(msg.args || []));
+            channel.port1.postMessage({ type: 'host-result', id: msg.id, result });
+          } catch (e) {
+            channel.port1.postMessage({ type: 'host-result', id: msg.id, error: e.message });
+          }
+        }
+      };
+
+      // A context that cannot be cloned (functions, DOM nodes) fails here
+      try {
+        worker.postMessage({
+          type: 'init',
+          code,
+          context,
+          hostApis: Object.keys(hostApis),
+          allowNetwork,
+          port: channel.port2
+        }, [channel.port2]);
+      } catch (e) {
+        finish({ status: 'error', error: `Cannot pass context to the sandbox: ${e.message}` });
+      }
+    });
+
+    return this.recordExecution({
+      id: execId,
+      mode: VMSandbox.MODES.WORKER,
+      status: outcome.status,
+      output: outcome.output,
+      logs,
+      error: outcome.error,
+      executionTime: performance.now() - startTime,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  cancel(execId) {
+    const active = this.activeWorkers.get(execId);
+    if (!active) return false;
+    active.finish({ status: 'cancelled', error: 'Execution cancelled' });
+    return true;
+  }
+
+  getActiveExecutions() {
+    return Array.from(this.activeWorkers.keys());
+  }
+
+  recordExecution(execution) {
+    this.executions.push(execution);
+    if (this.executions.length > 100) {
+      this.executions.shift();
+    }
+    return execution;
   }
   
   getExecutions(limit = 20) {